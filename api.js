@@ -0,0 +1,17 @@
+// --- Background Message API ---
+// Shared by the popup, options and stats pages. Each page defines
+// applyState(state) to keep and render the state the background reports.
+
+/**
+ * Sends a message to the background worker and renders the state it reports.
+ * @param {object} message - A message from the background's message API.
+ * @returns {Promise<*>} - The message's result, for messages that have one.
+ */
+async function sendToBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.ok) {
+        throw new Error(response?.error ?? 'No response from background');
+    }
+    applyState(response.state);
+    return response.result;
+}
@@ -1,13 +1,16 @@
+importScripts('storage.js', 'matcher.js', 'schedule.js', 'redirect.js', 'pomodoro.js', 'history.js', 'lock.js', 'groups.js', 'transfer.js', 'netblock.js', 'notify.js', 'borrow.js', 'tracking.js', 'profiles.js', 'badge.js', 'menus.js');
+
 // --- Constants ---
-const STORAGE_KEYS = {
-    ALLOWED_TIME: 'allowedTimeMinutes',
-    BLOCKED_ENTRIES: 'blockedEntries',
-    TIME_SPENT: 'timeSpent', // Time spent on blocked sites today/session (in ms)
-    BREAK_END_TIME: 'breakEndTime', // Timestamp (ms) when the current break ends
-    LAST_CHECK_TIME: 'lastCheckTimestamp' // Timestamp of the last time check
+// Keyboard shortcuts, as named under "commands" in manifest.json
+const COMMANDS = {
+    START_BREAK: 'start-break',
+    BLOCK_CURRENT_SITE: 'block-current-site',
+    SHOW_REMAINING_TIME: 'show-remaining-time'
 };
-const CHECK_ALARM_NAME = 'siteBlockerCheckAlarm';
-const BREAK_URL = 'https://www.google.com/'; // Redirect target
+const MAX_ENTRY_NOTE_LENGTH = 200;
+const LEGACY_SNOOZES_USED_KEY = 'snoozesUsed'; // Replaced by STORAGE_KEYS.BORROWS_USED
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
 
 // --- Initialization ---
 
@@ -16,52 +19,198 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     console.log("Focus Time Blocker installed or updated.", details.reason);
     await setDefaultSettings();
     await createTrackingAlarm();
+    await resetDailyBudgetsIfDue();
+    await rollUpHistory();
+    await queueNetworkRulesUpdate();
+    await createContextMenus();
     console.log("Initial setup complete.");
 });
 
-// Ensure alarm exists on browser startup
+// Ensure alarms exist on browser startup, and catch up on a reset missed while closed
 chrome.runtime.onStartup.addListener(async () => {
     console.log("Browser started, ensuring alarm exists.");
     await createTrackingAlarm();
+    await resetDailyBudgetsIfDue();
+    await rollUpHistory();
+    // Alarms aren't guaranteed to survive a restart, so catch up on the pomodoro phase too
+    await handlePomodoroPhaseEnd();
+    // Network rules outlive the browser, but the breaks they enforce may have ended
+    await queueNetworkRulesUpdate();
 });
 
 /**
  * Sets default settings in storage if they don't exist.
+ * Also migrates plain string entries from older versions to entry objects,
+ * and runtime state from chrome.storage.sync to chrome.storage.local.
  */
 async function setDefaultSettings() {
     try {
-        const currentSettings = await chrome.storage.sync.get([
+        await migrateRuntimeState();
+        const currentSettings = await getStoredValues([
             STORAGE_KEYS.ALLOWED_TIME,
             STORAGE_KEYS.BLOCKED_ENTRIES,
             STORAGE_KEYS.TIME_SPENT,
             STORAGE_KEYS.BREAK_END_TIME,
-            STORAGE_KEYS.LAST_CHECK_TIME
+            STORAGE_KEYS.IS_BLOCK_NOW_BREAK,
+            STORAGE_KEYS.LAST_CHECK_TIME,
+            STORAGE_KEYS.ENTRY_USAGE,
+            STORAGE_KEYS.OVERALL_CAP_ENABLED,
+            STORAGE_KEYS.ALLOWLIST,
+            STORAGE_KEYS.SCHEDULES,
+            STORAGE_KEYS.DAILY_RESET_TIME,
+            STORAGE_KEYS.LAST_DAILY_RESET,
+            STORAGE_KEYS.BREAK_REDIRECT_MODE,
+            STORAGE_KEYS.CUSTOM_BREAK_URL,
+            STORAGE_KEYS.BREAK_MESSAGE,
+            STORAGE_KEYS.POMODORO_SETTINGS,
+            STORAGE_KEYS.POMODORO_STATE,
+            STORAGE_KEYS.HISTORY_RETENTION_DAYS,
+            STORAGE_KEYS.TRACKED_ENTRY_IDS,
+            STORAGE_KEYS.EMERGENCY_UNLOCK,
+            STORAGE_KEYS.COMMITMENT_LOCK,
+            STORAGE_KEYS.UNLOCK_WINDOW,
+            STORAGE_KEYS.ENTRY_GROUPS,
+            STORAGE_KEYS.NOTIFICATION_SETTINGS,
+            STORAGE_KEYS.FIRED_WARNINGS,
+            STORAGE_KEYS.BORROW_SETTINGS,
+            STORAGE_KEYS.BORROWS_USED,
+            STORAGE_KEYS.BORROWED_TIME,
+            STORAGE_KEYS.DYNAMIC_ICON,
+            STORAGE_KEYS.COUNT_INCOGNITO_TIME,
+            STORAGE_KEYS.TIME_TODAY,
+            STORAGE_KEYS.PROFILES,
+            STORAGE_KEYS.ACTIVE_PROFILE_ID
         ]);
 
+        const allowedTime = currentSettings[STORAGE_KEYS.ALLOWED_TIME] ?? DEFAULT_ALLOWED_MINUTES;
+        const rawEntries = currentSettings[STORAGE_KEYS.BLOCKED_ENTRIES] ?? [];
+        // Entries saved before per-site budgets shared one pool, so keep the
+        // shared cap switched on for them to preserve the old behaviour.
+        const hasLegacyEntries = rawEntries.some(entry => typeof entry === 'string');
+        // Borrowing replaced snoozing warnings, and keeps the snooze limits
+        const {
+            snoozeMinutes = DEFAULT_BORROW_SETTINGS.minutes,
+            snoozesPerDay = DEFAULT_BORROW_SETTINGS.perDay,
+            ...notificationSettings
+        } = currentSettings[STORAGE_KEYS.NOTIFICATION_SETTINGS] ?? {};
+        // The rules from before profiles become the first profile
+        const profiles = currentSettings[STORAGE_KEYS.PROFILES] ?? [{ id: crypto.randomUUID(), name: DEFAULT_PROFILE_NAME }];
+        const storedProfileId = currentSettings[STORAGE_KEYS.ACTIVE_PROFILE_ID];
+        const activeProfileId = profiles.some(profile => profile.id === storedProfileId) ? storedProfileId : profiles[0].id;
+
         const defaults = {
-            [STORAGE_KEYS.ALLOWED_TIME]: currentSettings[STORAGE_KEYS.ALLOWED_TIME] ?? 30,
-            [STORAGE_KEYS.BLOCKED_ENTRIES]: currentSettings[STORAGE_KEYS.BLOCKED_ENTRIES] ?? [],
+            [STORAGE_KEYS.ALLOWED_TIME]: allowedTime,
+            [STORAGE_KEYS.BLOCKED_ENTRIES]: normalizeBlockedEntries(rawEntries, allowedTime),
             [STORAGE_KEYS.TIME_SPENT]: currentSettings[STORAGE_KEYS.TIME_SPENT] ?? 0,
             [STORAGE_KEYS.BREAK_END_TIME]: currentSettings[STORAGE_KEYS.BREAK_END_TIME] ?? null,
-            [STORAGE_KEYS.LAST_CHECK_TIME]: currentSettings[STORAGE_KEYS.LAST_CHECK_TIME] ?? Date.now() // Initialize last check
+            [STORAGE_KEYS.IS_BLOCK_NOW_BREAK]: currentSettings[STORAGE_KEYS.IS_BLOCK_NOW_BREAK] ?? false,
+            [STORAGE_KEYS.LAST_CHECK_TIME]: currentSettings[STORAGE_KEYS.LAST_CHECK_TIME] ?? Date.now(), // Initialize last check
+            [STORAGE_KEYS.ENTRY_USAGE]: currentSettings[STORAGE_KEYS.ENTRY_USAGE] ?? {},
+            [STORAGE_KEYS.OVERALL_CAP_ENABLED]: currentSettings[STORAGE_KEYS.OVERALL_CAP_ENABLED] ?? hasLegacyEntries,
+            [STORAGE_KEYS.ALLOWLIST]: currentSettings[STORAGE_KEYS.ALLOWLIST] ?? [],
+            [STORAGE_KEYS.SCHEDULES]: currentSettings[STORAGE_KEYS.SCHEDULES] ?? [],
+            [STORAGE_KEYS.DAILY_RESET_TIME]: currentSettings[STORAGE_KEYS.DAILY_RESET_TIME] ?? DEFAULT_DAILY_RESET_TIME,
+            [STORAGE_KEYS.LAST_DAILY_RESET]: currentSettings[STORAGE_KEYS.LAST_DAILY_RESET] ?? Date.now(),
+            [STORAGE_KEYS.BREAK_REDIRECT_MODE]: currentSettings[STORAGE_KEYS.BREAK_REDIRECT_MODE] ?? BREAK_REDIRECT_MODES.PAGE,
+            [STORAGE_KEYS.CUSTOM_BREAK_URL]: currentSettings[STORAGE_KEYS.CUSTOM_BREAK_URL] ?? '',
+            [STORAGE_KEYS.BREAK_MESSAGE]: currentSettings[STORAGE_KEYS.BREAK_MESSAGE] ?? DEFAULT_BREAK_MESSAGE,
+            [STORAGE_KEYS.POMODORO_SETTINGS]: {
+                ...DEFAULT_POMODORO_SETTINGS,
+                ...(currentSettings[STORAGE_KEYS.POMODORO_SETTINGS] ?? {})
+            },
+            [STORAGE_KEYS.POMODORO_STATE]: currentSettings[STORAGE_KEYS.POMODORO_STATE] ?? IDLE_POMODORO_STATE,
+            [STORAGE_KEYS.HISTORY_RETENTION_DAYS]: currentSettings[STORAGE_KEYS.HISTORY_RETENTION_DAYS] ?? DEFAULT_HISTORY_RETENTION_DAYS,
+            [STORAGE_KEYS.TRACKED_ENTRY_IDS]: currentSettings[STORAGE_KEYS.TRACKED_ENTRY_IDS] ?? [],
+            [STORAGE_KEYS.EMERGENCY_UNLOCK]: {
+                ...DEFAULT_EMERGENCY_UNLOCK,
+                ...(currentSettings[STORAGE_KEYS.EMERGENCY_UNLOCK] ?? {})
+            },
+            [STORAGE_KEYS.COMMITMENT_LOCK]: currentSettings[STORAGE_KEYS.COMMITMENT_LOCK] ?? null,
+            [STORAGE_KEYS.UNLOCK_WINDOW]: currentSettings[STORAGE_KEYS.UNLOCK_WINDOW] ?? null,
+            [STORAGE_KEYS.ENTRY_GROUPS]: currentSettings[STORAGE_KEYS.ENTRY_GROUPS] ?? [],
+            [STORAGE_KEYS.NOTIFICATION_SETTINGS]: {
+                ...DEFAULT_NOTIFICATION_SETTINGS,
+                ...notificationSettings
+            },
+            [STORAGE_KEYS.FIRED_WARNINGS]: currentSettings[STORAGE_KEYS.FIRED_WARNINGS] ?? {},
+            [STORAGE_KEYS.BORROW_SETTINGS]: {
+                ...DEFAULT_BORROW_SETTINGS,
+                ...(currentSettings[STORAGE_KEYS.BORROW_SETTINGS] ?? { minutes: snoozeMinutes, perDay: snoozesPerDay })
+            },
+            [STORAGE_KEYS.BORROWS_USED]: currentSettings[STORAGE_KEYS.BORROWS_USED] ?? 0,
+            [STORAGE_KEYS.BORROWED_TIME]: currentSettings[STORAGE_KEYS.BORROWED_TIME] ?? {},
+            [STORAGE_KEYS.DYNAMIC_ICON]: currentSettings[STORAGE_KEYS.DYNAMIC_ICON] ?? false,
+            [STORAGE_KEYS.COUNT_INCOGNITO_TIME]: currentSettings[STORAGE_KEYS.COUNT_INCOGNITO_TIME] ?? true,
+            [STORAGE_KEYS.TIME_TODAY]: currentSettings[STORAGE_KEYS.TIME_TODAY] ?? {},
+            [STORAGE_KEYS.PROFILES]: profiles,
+            [STORAGE_KEYS.ACTIVE_PROFILE_ID]: activeProfileId
         };
 
-        await chrome.storage.sync.set(defaults);
+        await setStoredValues(defaults);
+        await chrome.storage.local.remove(LEGACY_SNOOZES_USED_KEY);
         console.log("Default settings ensured:", defaults);
     } catch (error) {
         console.error("Error setting default settings:", error);
     }
 }
 
+/**
+ * Moves runtime state saved by older versions out of chrome.storage.sync,
+ * where its frequent writes ran into the sync write quota.
+ */
+async function migrateRuntimeState() {
+    const legacyState = await chrome.storage.sync.get(RUNTIME_STATE_KEYS);
+    const legacyKeys = Object.keys(legacyState);
+    if (legacyKeys.length === 0) {
+        return;
+    }
+    // Anything already in local storage was written later, so it wins
+    const currentState = await chrome.storage.local.get(RUNTIME_STATE_KEYS);
+    await chrome.storage.local.set({ ...legacyState, ...currentState });
+    await chrome.storage.sync.remove(legacyKeys);
+    console.log("Moved runtime state to local storage:", legacyKeys);
+}
+
+/**
+ * Converts stored blocked entries to { id, pattern, matchType, allowedTimeMinutes, countAudible } objects.
+ * Older versions stored plain strings; those get the given budget and keep
+ * their substring behaviour as keyword entries.
+ * @param {Array<string|object>} entries - Entries as read from storage.
+ * @param {number} defaultMinutes - Budget for entries that don't have one.
+ * @returns {object[]} - Normalized entries.
+ */
+function normalizeBlockedEntries(entries, defaultMinutes) {
+    return entries.map(entry => {
+        if (typeof entry === 'string') {
+            return {
+                id: crypto.randomUUID(),
+                pattern: entry,
+                matchType: MATCH_TYPES.KEYWORD,
+                allowedTimeMinutes: defaultMinutes,
+                countAudible: false
+            };
+        }
+        return {
+            ...entry,
+            id: entry.id ?? crypto.randomUUID(),
+            matchType: entry.matchType ?? MATCH_TYPES.KEYWORD,
+            allowedTimeMinutes: entry.allowedTimeMinutes ?? defaultMinutes,
+            countAudible: entry.countAudible ?? false
+        };
+    });
+}
+
 /**
  * Creates the periodic alarm for checking tabs if it doesn't exist.
+ * Tracking is driven by tab, window and idle events; the alarm is a safety
+ * net that also notices budgets running out while nothing happens.
  */
 async function createTrackingAlarm() {
     try {
         const alarm = await chrome.alarms.get(CHECK_ALARM_NAME);
-        if (!alarm) {
-            // Check every 10 seconds for more responsive time tracking
-            chrome.alarms.create(CHECK_ALARM_NAME, { periodInMinutes: 0.16 }); // ~10 seconds
+        // Older versions created the alarm with a shorter period
+        if (!alarm || alarm.periodInMinutes !== CHECK_ALARM_PERIOD_MINUTES) {
+            chrome.alarms.create(CHECK_ALARM_NAME, { periodInMinutes: CHECK_ALARM_PERIOD_MINUTES });
             console.log("Tracking alarm created.");
         } else {
             console.log("Tracking alarm already exists.");
@@ -71,169 +220,1195 @@ async function createTrackingAlarm() {
     }
 }
 
-// --- Core Logic ---
+// --- Message API ---
+// The popup and options page never touch storage themselves: they ask for
+// the state with 'getState', change things through the messages below, and
+// re-render whenever a 'stateChanged' broadcast arrives.
+
+// Settings the popup and options page may change through 'updateSettings'
+const EDITABLE_SETTINGS_KEYS = [
+    STORAGE_KEYS.ALLOWED_TIME,
+    STORAGE_KEYS.BLOCKED_ENTRIES,
+    STORAGE_KEYS.OVERALL_CAP_ENABLED,
+    STORAGE_KEYS.ALLOWLIST,
+    STORAGE_KEYS.SCHEDULES,
+    STORAGE_KEYS.DAILY_RESET_TIME,
+    STORAGE_KEYS.BREAK_REDIRECT_MODE,
+    STORAGE_KEYS.CUSTOM_BREAK_URL,
+    STORAGE_KEYS.BREAK_MESSAGE,
+    STORAGE_KEYS.POMODORO_SETTINGS,
+    STORAGE_KEYS.EMERGENCY_UNLOCK,
+    STORAGE_KEYS.ENTRY_GROUPS,
+    STORAGE_KEYS.NOTIFICATION_SETTINGS,
+    STORAGE_KEYS.BORROW_SETTINGS,
+    STORAGE_KEYS.DYNAMIC_ICON,
+    STORAGE_KEYS.COUNT_INCOGNITO_TIME,
+    STORAGE_KEYS.HISTORY_RETENTION_DAYS
+];
+const ACTIVE_TAB_STATUSES = {
+    BREAK: 'break', // The shared break is running
+    FOCUS: 'focus', // A pomodoro work session blocks this tab
+    ENTRY_BREAK: 'entryBreak', // One of this tab's entries is on break
+    BREAK_PAGE: 'breakPage', // This tab shows the break page or custom break URL
+    COUNTING: 'counting', // This tab matches entries whose time is counted
+    ALLOWLISTED: 'allowlisted', // This tab matches an entry but is always allowed
+    OUTSIDE_SCHEDULE: 'outsideSchedule', // This tab matches an entry outside its focus hours
+    PAUSED: 'paused', // This tab only matches entries whose group is paused
+    INCOGNITO: 'incognito', // This private tab matches entries, but private windows aren't counted
+    NONE: 'none'
+};
+const STATE_BROADCAST_DELAY_MS = 100;
+
+let stateBroadcastTimeout = null;
+// Settings the worker checked against the lock before writing them, as JSON
+// by storage key, so the lock's listener doesn't revert them once the new
+// rules lock themselves, e.g. by blocking the active tab
+const trustedSettingWrites = new Map();
+
+/**
+ * Reads every setting the popup shows, filling in defaults.
+ * @returns {Promise<object>} - Settings keyed by storage key.
+ */
+async function getSettings() {
+    const data = await chrome.storage.sync.get([
+        ...EDITABLE_SETTINGS_KEYS,
+        STORAGE_KEYS.PROFILES,
+        STORAGE_KEYS.ACTIVE_PROFILE_ID
+    ]);
+    return {
+        [STORAGE_KEYS.ALLOWED_TIME]: data[STORAGE_KEYS.ALLOWED_TIME] ?? DEFAULT_ALLOWED_MINUTES,
+        [STORAGE_KEYS.BLOCKED_ENTRIES]: data[STORAGE_KEYS.BLOCKED_ENTRIES] ?? [],
+        [STORAGE_KEYS.OVERALL_CAP_ENABLED]: data[STORAGE_KEYS.OVERALL_CAP_ENABLED] ?? false,
+        [STORAGE_KEYS.ALLOWLIST]: data[STORAGE_KEYS.ALLOWLIST] ?? [],
+        [STORAGE_KEYS.SCHEDULES]: data[STORAGE_KEYS.SCHEDULES] ?? [],
+        [STORAGE_KEYS.DAILY_RESET_TIME]: data[STORAGE_KEYS.DAILY_RESET_TIME] ?? DEFAULT_DAILY_RESET_TIME,
+        [STORAGE_KEYS.BREAK_REDIRECT_MODE]: data[STORAGE_KEYS.BREAK_REDIRECT_MODE] ?? BREAK_REDIRECT_MODES.PAGE,
+        [STORAGE_KEYS.CUSTOM_BREAK_URL]: data[STORAGE_KEYS.CUSTOM_BREAK_URL] ?? '',
+        [STORAGE_KEYS.BREAK_MESSAGE]: data[STORAGE_KEYS.BREAK_MESSAGE] ?? DEFAULT_BREAK_MESSAGE,
+        [STORAGE_KEYS.POMODORO_SETTINGS]: {
+            ...DEFAULT_POMODORO_SETTINGS,
+            ...(data[STORAGE_KEYS.POMODORO_SETTINGS] ?? {})
+        },
+        [STORAGE_KEYS.EMERGENCY_UNLOCK]: {
+            ...DEFAULT_EMERGENCY_UNLOCK,
+            ...(data[STORAGE_KEYS.EMERGENCY_UNLOCK] ?? {})
+        },
+        [STORAGE_KEYS.ENTRY_GROUPS]: data[STORAGE_KEYS.ENTRY_GROUPS] ?? [],
+        [STORAGE_KEYS.NOTIFICATION_SETTINGS]: {
+            ...DEFAULT_NOTIFICATION_SETTINGS,
+            ...(data[STORAGE_KEYS.NOTIFICATION_SETTINGS] ?? {})
+        },
+        [STORAGE_KEYS.BORROW_SETTINGS]: {
+            ...DEFAULT_BORROW_SETTINGS,
+            ...(data[STORAGE_KEYS.BORROW_SETTINGS] ?? {})
+        },
+        [STORAGE_KEYS.DYNAMIC_ICON]: data[STORAGE_KEYS.DYNAMIC_ICON] ?? false,
+        [STORAGE_KEYS.COUNT_INCOGNITO_TIME]: data[STORAGE_KEYS.COUNT_INCOGNITO_TIME] ?? true,
+        [STORAGE_KEYS.HISTORY_RETENTION_DAYS]: data[STORAGE_KEYS.HISTORY_RETENTION_DAYS] ?? DEFAULT_HISTORY_RETENTION_DAYS,
+        // Changed through the profile messages, not 'updateSettings'
+        [STORAGE_KEYS.PROFILES]: data[STORAGE_KEYS.PROFILES] ?? [],
+        [STORAGE_KEYS.ACTIVE_PROFILE_ID]: data[STORAGE_KEYS.ACTIVE_PROFILE_ID] ?? null
+    };
+}
+
+/**
+ * Builds the state the popup renders: settings, counters, what is going on
+ * in the active tab of the last focused window, and where today's time went.
+ * @returns {Promise<object>}
+ */
+async function getExtensionState() {
+    const now = Date.now();
+    const settings = await getSettings();
+    const runtimeState = await chrome.storage.local.get([
+        STORAGE_KEYS.TIME_SPENT,
+        STORAGE_KEYS.BREAK_END_TIME,
+        STORAGE_KEYS.IS_BLOCK_NOW_BREAK,
+        STORAGE_KEYS.LAST_CHECK_TIME,
+        STORAGE_KEYS.ENTRY_USAGE,
+        STORAGE_KEYS.POMODORO_STATE,
+        STORAGE_KEYS.TRACKED_ENTRY_IDS,
+        STORAGE_KEYS.COMMITMENT_LOCK,
+        STORAGE_KEYS.UNLOCK_WINDOW,
+        STORAGE_KEYS.BORROWS_USED,
+        STORAGE_KEYS.BORROWED_TIME,
+        STORAGE_KEYS.TIME_TODAY
+    ]);
+    const blockedEntries = settings[STORAGE_KEYS.BLOCKED_ENTRIES];
+    const allowlist = settings[STORAGE_KEYS.ALLOWLIST];
+    const entryUsage = runtimeState[STORAGE_KEYS.ENTRY_USAGE] ?? {};
+    const timeSpent = runtimeState[STORAGE_KEYS.TIME_SPENT] ?? 0;
+    const pomodoroState = runtimeState[STORAGE_KEYS.POMODORO_STATE] ?? IDLE_POMODORO_STATE;
+    const trackedEntryIds = runtimeState[STORAGE_KEYS.TRACKED_ENTRY_IDS] ?? [];
+    const storedBreakEndTime = runtimeState[STORAGE_KEYS.BREAK_END_TIME];
+    const breakEndTime = storedBreakEndTime && now < storedBreakEndTime ? storedBreakEndTime : null;
+    // Counters only move on tracking checks, so add what hasn't been counted yet
+    const lastCheck = runtimeState[STORAGE_KEYS.LAST_CHECK_TIME] ?? now;
+    const uncountedMs = Math.min(Math.max(0, now - lastCheck), MAX_TRACKED_ELAPSED_MS);
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const activeUrl = activeTab?.url ?? '';
+    const enabledEntries = getEnabledEntries(blockedEntries, settings[STORAGE_KEYS.ENTRY_GROUPS]);
+    const scheduledEntries = getScheduledEntries(enabledEntries, settings[STORAGE_KEYS.SCHEDULES], now);
+    const matchedEntries = findMatchingEntries(activeUrl, scheduledEntries, allowlist);
+    const entryBreakEndTime = Math.max(0, ...matchedEntries
+        .filter(entry => isEntryOnBreak(entryUsage[entry.id], now))
+        .map(entry => entryUsage[entry.id].breakEndTime));
+    const focusEndTime = getPomodoroFocusEndTime(pomodoroState, now);
+
+    const activeTabState = {
+        url: activeUrl,
+        status: ACTIVE_TAB_STATUSES.NONE,
+        matchedEntryIds: matchedEntries.map(entry => entry.id),
+        endTime: null, // When the running break or focus session ends
+        remainingMs: null, // Budget left while counting
+        isCounting: false // Whether remainingMs is going down right now
+    };
+    if (breakEndTime) {
+        activeTabState.status = ACTIVE_TAB_STATUSES.BREAK;
+        activeTabState.endTime = breakEndTime;
+    } else if (focusEndTime && matchedEntries.length > 0) {
+        activeTabState.status = ACTIVE_TAB_STATUSES.FOCUS;
+        activeTabState.endTime = focusEndTime;
+    } else if (entryBreakEndTime) {
+        activeTabState.status = ACTIVE_TAB_STATUSES.ENTRY_BREAK;
+        activeTabState.endTime = entryBreakEndTime;
+    } else if (isBreakRedirectUrl(activeUrl, settings)) {
+        activeTabState.status = ACTIVE_TAB_STATUSES.BREAK_PAGE;
+    } else if (matchedEntries.length > 0 && activeTab?.incognito && !settings[STORAGE_KEYS.COUNT_INCOGNITO_TIME]) {
+        activeTabState.status = ACTIVE_TAB_STATUSES.INCOGNITO;
+    } else if (matchedEntries.length > 0) {
+        activeTabState.isCounting = matchedEntries.some(entry => trackedEntryIds.includes(entry.id));
+        const pendingMs = activeTabState.isCounting ? uncountedMs : 0;
+        let remainingMs = settings[STORAGE_KEYS.OVERALL_CAP_ENABLED]
+            ? settings[STORAGE_KEYS.ALLOWED_TIME] * 60 * 1000 - timeSpent - pendingMs
+            : Infinity;
+        for (const entry of matchedEntries) {
+            const entryTimeSpent = entryUsage[entry.id]?.timeSpent ?? 0;
+            remainingMs = Math.min(remainingMs, entry.allowedTimeMinutes * 60 * 1000 - entryTimeSpent - pendingMs);
+        }
+        activeTabState.status = ACTIVE_TAB_STATUSES.COUNTING;
+        activeTabState.remainingMs = Math.max(0, remainingMs);
+    } else if (findMatchingEntries(activeUrl, blockedEntries).length > 0) {
+        if (isUrlAllowlisted(activeUrl, allowlist)) {
+            activeTabState.status = ACTIVE_TAB_STATUSES.ALLOWLISTED;
+        } else if (findMatchingEntries(activeUrl, enabledEntries).length > 0) {
+            activeTabState.status = ACTIVE_TAB_STATUSES.OUTSIDE_SCHEDULE;
+        } else {
+            activeTabState.status = ACTIVE_TAB_STATUSES.PAUSED;
+        }
+    }
+
+    // Borrowing lends time to every budget limiting the tab or, on the break
+    // page, the page it was sent away from, unless borrowTime would refuse
+    const borrowFromUrl = getBreakPageFromUrl(activeUrl);
+    const borrowEntries = borrowFromUrl
+        ? findMatchingEntries(borrowFromUrl, scheduledEntries, allowlist)
+        : matchedEntries;
+    const borrowBudgetIds = borrowEntries.map(entry => entry.id);
+    if (borrowBudgetIds.length > 0 && settings[STORAGE_KEYS.OVERALL_CAP_ENABLED]) {
+        borrowBudgetIds.push(OVERALL_BUDGET_ID);
+    }
+    const isBorrowBlocked = Boolean(getBorrowBlockedError(runtimeState, settings[STORAGE_KEYS.OVERALL_CAP_ENABLED], now));
+    const borrowSettings = settings[STORAGE_KEYS.BORROW_SETTINGS];
+    const borrowedTime = runtimeState[STORAGE_KEYS.BORROWED_TIME] ?? {};
+
+    // Where today's time went, including the entries the active tab matches
+    // even before they count any, and the open tabs a break would send away
+    const timeToday = runtimeState[STORAGE_KEYS.TIME_TODAY] ?? {};
+    const countingBudgetIds = trackedEntryIds.length > 0 ? [...trackedEntryIds, OVERALL_BUDGET_ID] : [];
+    const getTimeToday = budgetId => (timeToday[budgetId] ?? 0) + (countingBudgetIds.includes(budgetId) ? uncountedMs : 0);
+    const breakdownEntries = blockedEntries
+        .filter(entry => getTimeToday(entry.id) > 0 || activeTabState.matchedEntryIds.includes(entry.id))
+        .map(entry => ({
+            id: entry.id,
+            pattern: entry.pattern,
+            timeTodayMs: getTimeToday(entry.id),
+            isActiveTab: activeTabState.matchedEntryIds.includes(entry.id)
+        }))
+        .sort((a, b) => b.timeTodayMs - a.timeTodayMs);
+    const openTabs = await chrome.tabs.query({});
+    const blockableTabs = openTabs
+        .filter(tab => tab.url && !isBreakRedirectUrl(tab.url, settings))
+        .map(tab => ({
+            id: tab.id,
+            title: tab.title || tab.url,
+            entryIds: findMatchingEntries(tab.url, scheduledEntries, allowlist).map(entry => entry.id)
+        }))
+        .filter(tab => tab.entryIds.length > 0);
+
+    // While a timer runs, the rules are locked so limits can't be loosened
+    // mid-session. A break locks them wherever it runs, or switching to
+    // another tab, such as the options page, would unlock them.
+    const isBreakRunning = Boolean(breakEndTime) || Boolean(focusEndTime)
+        || blockedEntries.some(entry => isEntryOnBreak(entryUsage[entry.id], now));
+    const isTimerActive = isBreakRunning
+        || (activeTabState.status === ACTIVE_TAB_STATUSES.COUNTING && activeTabState.remainingMs > 0);
+
+    return {
+        generatedAt: now,
+        // The passphrase never leaves the background
+        settings: {
+            ...settings,
+            [STORAGE_KEYS.EMERGENCY_UNLOCK]: { ...settings[STORAGE_KEYS.EMERGENCY_UNLOCK], passphrase: '' }
+        },
+        timeSpent,
+        breakEndTime,
+        entryUsage,
+        pomodoroState,
+        activeTab: activeTabState,
+        isBreakRunning,
+        isTimerActive,
+        lock: getLockState(runtimeState, isTimerActive, now),
+        borrow: {
+            minutes: borrowSettings.minutes,
+            remaining: Math.max(0, borrowSettings.perDay - (runtimeState[STORAGE_KEYS.BORROWS_USED] ?? 0)),
+            budgetIds: isBorrowBlocked ? [] : borrowBudgetIds, // What a borrow would lend time to
+            borrowedMs: Math.max(0, ...borrowBudgetIds.map(budgetId => borrowedTime[budgetId] ?? 0)) // Still to pay back
+        },
+        breakdown: {
+            totalMs: getTimeToday(OVERALL_BUDGET_ID), // Each moment once, even when several entries counted it
+            entries: breakdownEntries,
+            blockableTabs
+        }
+    };
+}
+
+/**
+ * Checks a settings update for invalid values.
+ * @param {object} updates - Settings being changed, keyed by storage key.
+ * @param {object} settings - The settings after the update.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateSettings(updates, settings) {
+    const allowedTime = settings[STORAGE_KEYS.ALLOWED_TIME];
+    if (!Number.isInteger(allowedTime) || allowedTime < 1) {
+        return "Please enter a valid time limit (minimum 1 minute).";
+    }
+    if (parseTimeOfDay(settings[STORAGE_KEYS.DAILY_RESET_TIME]) === null) {
+        return "Please enter a valid daily reset time (HH:MM).";
+    }
+    if (settings[STORAGE_KEYS.BREAK_REDIRECT_MODE] === BREAK_REDIRECT_MODES.CUSTOM) {
+        const urlError = validateCustomBreakUrl(settings[STORAGE_KEYS.CUSTOM_BREAK_URL]);
+        if (urlError) {
+            return urlError;
+        }
+    }
+    const emergencyUnlockError = validateEmergencyUnlockSettings(settings[STORAGE_KEYS.EMERGENCY_UNLOCK]);
+    if (emergencyUnlockError) {
+        return emergencyUnlockError;
+    }
+    const entryGroupsError = validateEntryGroups(settings[STORAGE_KEYS.ENTRY_GROUPS]);
+    if (entryGroupsError) {
+        return entryGroupsError;
+    }
+    const notificationError = validateNotificationSettings(settings[STORAGE_KEYS.NOTIFICATION_SETTINGS]);
+    if (notificationError) {
+        return notificationError;
+    }
+    const borrowError = validateBorrowSettings(settings[STORAGE_KEYS.BORROW_SETTINGS]);
+    if (borrowError) {
+        return borrowError;
+    }
+    const retentionError = validateHistoryRetentionDays(settings[STORAGE_KEYS.HISTORY_RETENTION_DAYS]);
+    if (retentionError) {
+        return retentionError;
+    }
+    const pomodoroSettings = settings[STORAGE_KEYS.POMODORO_SETTINGS];
+    const pomodoroLengths = [
+        pomodoroSettings.workMinutes,
+        pomodoroSettings.shortBreakMinutes,
+        pomodoroSettings.longBreakMinutes,
+        pomodoroSettings.cyclesBeforeLongBreak
+    ];
+    if (pomodoroLengths.some(value => !Number.isInteger(value) || value < 1)) {
+        return "Please enter valid pomodoro lengths (minimum 1).";
+    }
+    for (const entry of settings[STORAGE_KEYS.BLOCKED_ENTRIES]) {
+        if (!Number.isInteger(entry.allowedTimeMinutes) || entry.allowedTimeMinutes < 1) {
+            return "Please enter a valid budget (minimum 1 minute).";
+        }
+        if (entry.note !== undefined && (typeof entry.note !== 'string' || entry.note.length > MAX_ENTRY_NOTE_LENGTH)) {
+            return `Notes can be at most ${MAX_ENTRY_NOTE_LENGTH} characters.`;
+        }
+    }
+    if (updates[STORAGE_KEYS.BLOCKED_ENTRIES]) {
+        // Entries edited in place must not turn into one that is already listed
+        const entries = settings[STORAGE_KEYS.BLOCKED_ENTRIES];
+        const duplicate = entries.find((entry, index) => entries.findIndex(other =>
+            other.pattern === entry.pattern && other.matchType === entry.matchType) !== index);
+        if (duplicate) {
+            return `${duplicate.pattern} is already in the block list.`;
+        }
+    }
+    const patternEntries = [
+        ...(updates[STORAGE_KEYS.BLOCKED_ENTRIES] ?? []),
+        ...(updates[STORAGE_KEYS.ALLOWLIST] ?? [])
+    ];
+    for (const entry of patternEntries) {
+        const patternError = validatePattern(entry.pattern, entry.matchType);
+        if (patternError) {
+            return patternError;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates and saves a settings update from the popup, options or stats page.
+ * @param {object} updates - Settings to change, keyed by storage key.
+ */
+async function updateSettings(updates) {
+    const unknownKeys = Object.keys(updates ?? {}).filter(key => !EDITABLE_SETTINGS_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown settings: ${unknownKeys.join(', ')}`);
+    }
+    const current = await getSettings();
+    const emergencyUnlock = updates[STORAGE_KEYS.EMERGENCY_UNLOCK];
+    if (emergencyUnlock && !emergencyUnlock.passphrase) {
+        // The popup never sees the passphrase, so an empty one means "unchanged"
+        updates = {
+            ...updates,
+            [STORAGE_KEYS.EMERGENCY_UNLOCK]: {
+                ...emergencyUnlock,
+                passphrase: current[STORAGE_KEYS.EMERGENCY_UNLOCK].passphrase
+            }
+        };
+    }
+    const settings = { ...current, ...updates };
+    const validationError = validateSettings(updates, settings);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+    const { lock } = await getExtensionState();
+    const lockedError = lock.isLocked ? getLockedSettingsError(updates, current) : null;
+    if (lockedError) {
+        throw new Error(lockedError);
+    }
+    await setSyncSettings(updates);
+    if (STORAGE_KEYS.HISTORY_RETENTION_DAYS in updates) {
+        // Roll up now, not at the next daily reset, so the stats page shows the result
+        await rollUpHistory();
+    }
+}
+
+/**
+ * Validates a new block list entry and checks that it isn't listed yet.
+ * @param {{ pattern: string, matchType: string, allowedTimeMinutes: number, countAudible: boolean, groupId?: string, note?: string }} entry
+ * @param {object[]} blockedEntries - The entries it would be added to.
+ * @returns {{ entry: object | null, error: string | null }} - The entry ready to save, or why it can't be added.
+ */
+function prepareBlockedEntry(entry, blockedEntries) {
+    const matchType = entry?.matchType ?? MATCH_TYPES.KEYWORD;
+    const pattern = normalizePattern(entry?.pattern ?? '', matchType);
+    const patternError = validatePattern(pattern, matchType);
+    if (patternError) {
+        return { entry: null, error: patternError };
+    }
+    if (!Number.isInteger(entry.allowedTimeMinutes) || entry.allowedTimeMinutes < 1) {
+        return { entry: null, error: "Please enter a valid budget for this entry (minimum 1 minute)." };
+    }
+    if (blockedEntries.some(existing => existing.pattern === pattern && existing.matchType === matchType)) {
+        return { entry: null, error: `${pattern} is already in the block list.` };
+    }
+    const note = typeof entry.note === 'string' ? entry.note.trim() : '';
+    if (note.length > MAX_ENTRY_NOTE_LENGTH) {
+        return { entry: null, error: `Notes can be at most ${MAX_ENTRY_NOTE_LENGTH} characters.` };
+    }
+    const newEntry = {
+        id: crypto.randomUUID(),
+        pattern,
+        matchType,
+        allowedTimeMinutes: entry.allowedTimeMinutes,
+        countAudible: Boolean(entry.countAudible)
+    };
+    if (entry.groupId) {
+        newEntry.groupId = entry.groupId;
+    }
+    if (note) {
+        newEntry.note = note;
+    }
+    return { entry: newEntry, error: null };
+}
+
+/**
+ * Prepares several new entries at once, skipping those that can't be added.
+ * Entries repeated in the list are only added once.
+ * @param {object[]} entries - Entries as passed to prepareBlockedEntry.
+ * @param {object[]} blockedEntries - The entries they would be added to.
+ * @returns {{ updatedEntries: object[], results: { pattern: string, added: boolean, error: string | null }[] }}
+ *     The block list with the new entries, and one result per entry, in order.
+ */
+function prepareBlockedEntries(entries, blockedEntries) {
+    const updatedEntries = [...blockedEntries];
+    const results = entries.map(entry => {
+        const { entry: newEntry, error } = prepareBlockedEntry(entry, updatedEntries);
+        if (newEntry) {
+            updatedEntries.push(newEntry);
+        }
+        return { pattern: newEntry?.pattern ?? String(entry?.pattern ?? ''), added: Boolean(newEntry), error };
+    });
+    return { updatedEntries, results };
+}
+
+/**
+ * Adds an entry to the block list.
+ * @param {{ pattern: string, matchType: string, allowedTimeMinutes: number, countAudible: boolean }} entry
+ * @returns {Promise<object>} - The saved entry.
+ */
+async function addBlockedEntry(entry) {
+    const { [STORAGE_KEYS.BLOCKED_ENTRIES]: blockedEntries } = await getSettings();
+    const { entry: newEntry, error } = prepareBlockedEntry(entry, blockedEntries);
+    if (error) {
+        throw new Error(error);
+    }
+    await setSyncSettings({ [STORAGE_KEYS.BLOCKED_ENTRIES]: [...blockedEntries, newEntry] });
+    return newEntry;
+}
 
 /**
- * Checks if a given URL matches any of the blocked entries (URL or keyword).
- * @param {string} url - The URL to check.
- * @param {string[]} blockedEntries - Array of blocked URLs/keywords.
- * @returns {boolean} - True if the URL is blocked, false otherwise.
+ * Adds a pasted list of entries to the block list.
+ * @param {object[]} entries - Entries as passed to addBlockedEntry.
+ * @returns {Promise<object[]>} - One result per entry, see prepareBlockedEntries.
  */
-function isUrlBlocked(url, blockedEntries) {
-    if (!url || !blockedEntries || blockedEntries.length === 0) {
-        return false;
+async function addBlockedEntries(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error("Please enter at least one URL or keyword to block.");
+    }
+    const { [STORAGE_KEYS.BLOCKED_ENTRIES]: blockedEntries } = await getSettings();
+    const { updatedEntries, results } = prepareBlockedEntries(entries, blockedEntries);
+    if (updatedEntries.length > blockedEntries.length) {
+        await setSyncSettings({ [STORAGE_KEYS.BLOCKED_ENTRIES]: updatedEntries });
     }
-    const lowerUrl = url.toLowerCase();
-    return blockedEntries.some(entry => lowerUrl.includes(entry.toLowerCase()));
+    return results;
 }
 
 /**
- * Redirects a specific tab to the break URL.
- * @param {number} tabId - The ID of the tab to redirect.
+ * Gets the hostname of a website's URL.
+ * @param {string | undefined} url - The URL.
+ * @returns {string}
+ * @throws {Error} If the URL isn't an http(s) address.
  */
-async function redirectToBreak(tabId) {
+function getWebsiteHostname(url) {
+    let parsedUrl = null;
     try {
-        await chrome.tabs.update(tabId, { url: BREAK_URL });
-        console.log(`Tab ${tabId} redirected to break URL.`);
+        parsedUrl = new URL(url ?? '');
     } catch (error) {
-        // Handle cases where the tab might have been closed etc.
-        console.warn(`Failed to redirect tab ${tabId}:`, error.message);
+        // Not a page with an address, e.g. a new tab
     }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error("Only websites can be blocked.");
+    }
+    return parsedUrl.hostname;
 }
 
 /**
- * The main function called by the alarm to check time and enforce blocks/breaks.
+ * Adds an entry from a shortcut or context menu to the block list, with the
+ * daily time limit as its budget.
+ * @param {{ pattern: string, matchType: string }} entry - The entry to add.
+ * @returns {Promise<object>} - The saved entry.
  */
-async function checkActiveTabAndManageTime() {
-    console.log("Alarm triggered: Checking active tab...");
-    const now = Date.now();
+async function addQuickBlockedEntry(entry) {
+    const { [STORAGE_KEYS.ALLOWED_TIME]: allowedTimeMinutes } = await getSettings();
+    return addBlockedEntry({ ...entry, allowedTimeMinutes, countAudible: false });
+}
 
-    try {
-        const data = await chrome.storage.sync.get([
-            STORAGE_KEYS.ALLOWED_TIME,
-            STORAGE_KEYS.BLOCKED_ENTRIES,
-            STORAGE_KEYS.TIME_SPENT,
-            STORAGE_KEYS.BREAK_END_TIME,
-            STORAGE_KEYS.LAST_CHECK_TIME
-        ]);
+/**
+ * Adds the domain of the active tab to the block list.
+ * @returns {Promise<object>} - The saved entry.
+ */
+async function blockActiveTabDomain() {
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return addQuickBlockedEntry({ pattern: getWebsiteHostname(activeTab?.url), matchType: MATCH_TYPES.DOMAIN });
+}
 
-        const {
-            [STORAGE_KEYS.ALLOWED_TIME]: allowedTimeMinutes,
-            [STORAGE_KEYS.BLOCKED_ENTRIES]: blockedEntries,
-            [STORAGE_KEYS.TIME_SPENT]: currentTimeSpent,
-            [STORAGE_KEYS.BREAK_END_TIME]: breakEndTime,
-            [STORAGE_KEYS.LAST_CHECK_TIME]: lastCheckTimestamp
-        } = data;
+/**
+ * Adds one of the preset categories to the block list as a new group. Sites
+ * already in the block list are left where they are.
+ * @param {string} presetId - Key of the category in PRESET_CATEGORIES.
+ * @param {number} allowedTimeMinutes - Budget for each site of the category.
+ * @returns {Promise<object[]>} - One result per site, see prepareBlockedEntries.
+ */
+async function addPresetCategory(presetId, allowedTimeMinutes) {
+    const preset = PRESET_CATEGORIES[presetId];
+    if (!preset) {
+        throw new Error(`Unknown category: ${presetId}`);
+    }
+    if (!Number.isInteger(allowedTimeMinutes) || allowedTimeMinutes < 1) {
+        throw new Error("Please enter a valid budget for this entry (minimum 1 minute).");
+    }
+    const settings = await getSettings();
+    const entryGroups = settings[STORAGE_KEYS.ENTRY_GROUPS];
+    if (entryGroups.some(group => group.presetId === presetId)) {
+        throw new Error(`${preset.name} is already in the block list.`);
+    }
 
-        const allowedTimeMs = (allowedTimeMinutes ?? 30) * 60 * 1000;
+    const group = { id: crypto.randomUUID(), name: preset.name, enabled: true, presetId };
+    const entries = preset.patterns.map(pattern => ({
+        pattern,
+        matchType: MATCH_TYPES.DOMAIN,
+        allowedTimeMinutes,
+        countAudible: false,
+        groupId: group.id
+    }));
+    const { updatedEntries, results } = prepareBlockedEntries(entries, settings[STORAGE_KEYS.BLOCKED_ENTRIES]);
+    await setSyncSettings({
+        [STORAGE_KEYS.BLOCKED_ENTRIES]: updatedEntries,
+        [STORAGE_KEYS.ENTRY_GROUPS]: [...entryGroups, group]
+    });
+    return results;
+}
 
-        // 1. Check if a break is ongoing
-        if (breakEndTime && now < breakEndTime) {
-            console.log(`Currently on break until ${new Date(breakEndTime).toLocaleTimeString()}`);
-            await chrome.storage.sync.set({ [STORAGE_KEYS.LAST_CHECK_TIME]: now });
-            return;
-        }
+/**
+ * Deletes entries from the block list, along with their usage and schedule links.
+ * @param {object} settings - Current settings, keyed by storage key.
+ * @param {string[]} entryIds - Ids of the entries to delete.
+ * @param {object} [otherUpdates] - Other settings to save in the same write.
+ */
+async function deleteBlockedEntries(settings, entryIds, otherUpdates = {}) {
+    const schedules = settings[STORAGE_KEYS.SCHEDULES].map(schedule => ({
+        ...schedule,
+        entryIds: schedule.entryIds.filter(id => !entryIds.includes(id))
+    }));
+    const { [STORAGE_KEYS.ENTRY_USAGE]: entryUsage = {} } = await chrome.storage.local.get([STORAGE_KEYS.ENTRY_USAGE]);
+    for (const entryId of entryIds) {
+        delete entryUsage[entryId];
+    }
 
-        // 2. Reset state if the break is over
-        let updatedTimeSpent = currentTimeSpent;
-        if (breakEndTime && now >= breakEndTime) {
-            console.log("Break finished. Resetting timer.");
-            updatedTimeSpent = 0;
-            await chrome.storage.sync.set({
-                [STORAGE_KEYS.BREAK_END_TIME]: null,
-                [STORAGE_KEYS.TIME_SPENT]: 0
-            });
-        }
+    await chrome.storage.sync.set({
+        [STORAGE_KEYS.BLOCKED_ENTRIES]: settings[STORAGE_KEYS.BLOCKED_ENTRIES].filter(entry => !entryIds.includes(entry.id)),
+        [STORAGE_KEYS.SCHEDULES]: schedules,
+        ...otherUpdates
+    });
+    await chrome.storage.local.set({ [STORAGE_KEYS.ENTRY_USAGE]: entryUsage });
+}
 
-        // 3. Check the active tab
-        const activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!activeTabs || activeTabs.length === 0) {
-            console.log("No active tab found.");
-            await chrome.storage.sync.set({ [STORAGE_KEYS.LAST_CHECK_TIME]: now });
-            return;
+/**
+ * Removes an entry from the block list, along with its usage and schedule links.
+ * @param {string} entryId - Id of the entry to remove.
+ */
+async function removeBlockedEntry(entryId) {
+    const { lock } = await getExtensionState();
+    if (lock.isLocked) {
+        throw new Error("Cannot remove sites while rules are locked");
+    }
+    const settings = await getSettings();
+    if (!settings[STORAGE_KEYS.BLOCKED_ENTRIES].some(entry => entry.id === entryId)) {
+        throw new Error("This entry no longer exists.");
+    }
+    await deleteBlockedEntries(settings, [entryId]);
+}
+
+/**
+ * Removes a group and all of its entries from the block list.
+ * @param {string} groupId - Id of the group to remove.
+ */
+async function removeEntryGroup(groupId) {
+    const { lock } = await getExtensionState();
+    if (lock.isLocked) {
+        throw new Error("Cannot remove categories while rules are locked");
+    }
+    const settings = await getSettings();
+    const entryGroups = settings[STORAGE_KEYS.ENTRY_GROUPS];
+    if (!entryGroups.some(group => group.id === groupId)) {
+        throw new Error("This category no longer exists.");
+    }
+    const entryIds = settings[STORAGE_KEYS.BLOCKED_ENTRIES]
+        .filter(entry => entry.groupId === groupId)
+        .map(entry => entry.id);
+    await deleteBlockedEntries(settings, entryIds, {
+        [STORAGE_KEYS.ENTRY_GROUPS]: entryGroups.filter(group => group.id !== groupId)
+    });
+}
+
+/**
+ * Deletes all settings, lists, counters and history, and starts over with
+ * the defaults.
+ */
+async function resetAllData() {
+    const { lock } = await getExtensionState();
+    if (lock.isLocked) {
+        throw new Error("Cannot reset data while rules are locked");
+    }
+    // On the tracking queue, so a running check can't write the old counters back
+    await runOnTrackingQueue(async () => {
+        await chrome.storage.sync.clear();
+        await chrome.storage.local.clear();
+    });
+    await chrome.alarms.clear(POMODORO_ALARM_NAME);
+    await setDefaultSettings();
+    console.log("All data reset.");
+}
+
+/**
+ * Starts the shared break right away ("Block Now"), and sends the active tab
+ * to the break page if it is blocked.
+ */
+async function startBreakNow() {
+    const now = Date.now();
+    const settings = await getSettings();
+    const allowedTimeMs = settings[STORAGE_KEYS.ALLOWED_TIME] * 60 * 1000;
+    const breakEndTime = now + allowedTimeMs;
+
+    // On the tracking queue, so a running check can't count time into the new break
+    await runOnTrackingQueue(async () => {
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.TIME_SPENT]: allowedTimeMs,
+            [STORAGE_KEYS.BREAK_END_TIME]: breakEndTime,
+            [STORAGE_KEYS.IS_BLOCK_NOW_BREAK]: true,
+            [STORAGE_KEYS.LAST_CHECK_TIME]: now,
+            [STORAGE_KEYS.TRACKED_ENTRY_IDS]: []
+        });
+        await recordHistoryEvent(HISTORY_EVENTS.BLOCK_NOW, now);
+    });
+    // The break blocks every budget, so warnings offering to borrow no longer apply
+    clearBudgetWarnings([OVERALL_BUDGET_ID, ...settings[STORAGE_KEYS.BLOCKED_ENTRIES].map(entry => entry.id)]);
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (activeTab?.url) {
+        const enabledEntries = getEnabledEntries(settings[STORAGE_KEYS.BLOCKED_ENTRIES], settings[STORAGE_KEYS.ENTRY_GROUPS]);
+        const scheduledEntries = getScheduledEntries(enabledEntries, settings[STORAGE_KEYS.SCHEDULES], now);
+        if (isUrlBlocked(activeTab.url, scheduledEntries, settings[STORAGE_KEYS.ALLOWLIST])) {
+            await redirectToBreak(activeTab.id, activeTab.url, breakEndTime, activeTab.incognito);
         }
+    }
+}
 
-        const activeTab = activeTabs[0];
-        if (activeTab.url && isUrlBlocked(activeTab.url, blockedEntries)) {
-            const timeElapsedMs = now - (lastCheckTimestamp ?? now);
-            // Cap the elapsed time to avoid huge jumps if the alarm was delayed
-            const cappedTimeElapsedMs = Math.min(timeElapsedMs, 30000); // Max 30 seconds
-            updatedTimeSpent += cappedTimeElapsedMs;
-
-            console.log(`Blocked site active (${activeTab.url}). Time spent: ${Math.round(updatedTimeSpent / 1000)}s / ${allowedTimeMinutes * 60}s`);
-
-            // 4. Notify user if time is almost up
-            const remainingTimeMs = allowedTimeMs - updatedTimeSpent;
-            if (remainingTimeMs <= 60000 && remainingTimeMs > 0) { // Less than 1 minute remaining
-                chrome.notifications.create({
-                    type: 'basic',
-                    iconUrl: 'icons/ICON_16.png',
-                    title: 'Focus Time Blocker',
-                    message: 'You have less than 1 minute remaining!'
-                });
-            } else if (remainingTimeMs <= 300000 && remainingTimeMs > 60000) { // Less than 5 minutes remaining
-                chrome.notifications.create({
-                    type: 'basic',
-                    iconUrl: 'icons/ICON_16.png',
-                    title: 'Focus Time Blocker',
-                    message: 'You have less than 5 minutes remaining!'
-                });
-            }
+/**
+ * Starts the break of one budget right away, from its warning notification.
+ * @param {string} budgetId - An entry id, or OVERALL_BUDGET_ID for the shared break.
+ */
+async function startBudgetBreakNow(budgetId) {
+    if (budgetId === OVERALL_BUDGET_ID) {
+        await startBreakNow();
+        return;
+    }
+    const now = Date.now();
+    const { [STORAGE_KEYS.BLOCKED_ENTRIES]: blockedEntries } = await getSettings();
+    const entry = blockedEntries.find(other => other.id === budgetId);
+    if (!entry) {
+        return;
+    }
 
-            // 5. Check if the time limit is reached
-            if (updatedTimeSpent >= allowedTimeMs) {
-                console.log("Time limit exceeded. Starting break.");
-                const breakDurationMs = allowedTimeMs;
-                const newBreakEndTime = now + breakDurationMs;
+    // On the tracking queue, so a running check can't overwrite the new break
+    await runOnTrackingQueue(async () => {
+        const { [STORAGE_KEYS.ENTRY_USAGE]: entryUsage = {} } = await chrome.storage.local.get([STORAGE_KEYS.ENTRY_USAGE]);
+        const allowedMs = entry.allowedTimeMinutes * 60 * 1000;
+        entryUsage[entry.id] = { timeSpent: allowedMs, breakEndTime: now + allowedMs };
+        await chrome.storage.local.set({ [STORAGE_KEYS.ENTRY_USAGE]: entryUsage });
+        // A budget break taken a little early, not a Block Now
+        await recordHistoryEvent(HISTORY_EVENTS.BREAK, now);
+    });
+    // Sends the tabs showing the entry to the break page
+    await queueTrackingCheck();
+}
 
-                await chrome.storage.sync.set({
-                    [STORAGE_KEYS.TIME_SPENT]: updatedTimeSpent,
-                    [STORAGE_KEYS.BREAK_END_TIME]: newBreakEndTime,
-                    [STORAGE_KEYS.LAST_CHECK_TIME]: now
-                });
+/**
+ * Lends time to budgets, if any borrows are left today and no focus session
+ * or Block Now break is running. The time is paid back when each budget next
+ * starts over, and every borrow is logged in the usage history. The popup and
+ * the warnings' Borrow button both go through here.
+ * @param {string[]} budgetIds - Entry ids, and OVERALL_BUDGET_ID for the shared cap.
+ */
+async function borrowTime(budgetIds) {
+    const now = Date.now();
+    const settings = await getSettings();
+    const borrowSettings = settings[STORAGE_KEYS.BORROW_SETTINGS];
+    const blockedEntries = settings[STORAGE_KEYS.BLOCKED_ENTRIES];
+    const labels = budgetIds.map(budgetId => getBudgetInfo(budgetId, blockedEntries)?.label).filter(Boolean);
 
-                await redirectToBreak(activeTab.id);
-                return;
-            }
+    // On the tracking queue, so a running check can't overwrite the lent time
+    await runOnTrackingQueue(async () => {
+        const runtimeState = await chrome.storage.local.get([
+            STORAGE_KEYS.TIME_SPENT,
+            STORAGE_KEYS.BREAK_END_TIME,
+            STORAGE_KEYS.IS_BLOCK_NOW_BREAK,
+            STORAGE_KEYS.ENTRY_USAGE,
+            STORAGE_KEYS.POMODORO_STATE,
+            STORAGE_KEYS.BORROWS_USED,
+            STORAGE_KEYS.BORROWED_TIME
+        ]);
+        const blockedError = getBorrowBlockedError(runtimeState, settings[STORAGE_KEYS.OVERALL_CAP_ENABLED], now);
+        if (blockedError) {
+            throw new Error(blockedError);
+        }
+        const borrowsUsed = runtimeState[STORAGE_KEYS.BORROWS_USED] ?? 0;
+        if (borrowsUsed >= borrowSettings.perDay) {
+            throw new Error("No borrows left today.");
         }
 
-        // 6. Update time spent
-        await chrome.storage.sync.set({
-            [STORAGE_KEYS.TIME_SPENT]: updatedTimeSpent,
-            [STORAGE_KEYS.LAST_CHECK_TIME]: now
+        const counters = lendTime({
+            timeSpent: runtimeState[STORAGE_KEYS.TIME_SPENT] ?? 0,
+            breakEndTime: runtimeState[STORAGE_KEYS.BREAK_END_TIME] ?? null,
+            entryUsage: runtimeState[STORAGE_KEYS.ENTRY_USAGE] ?? {},
+            borrowedTime: runtimeState[STORAGE_KEYS.BORROWED_TIME] ?? {}
+        }, budgetIds, blockedEntries, settings[STORAGE_KEYS.ALLOWED_TIME] * 60 * 1000, borrowSettings.minutes * 60 * 1000);
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.TIME_SPENT]: counters.timeSpent,
+            [STORAGE_KEYS.BREAK_END_TIME]: counters.breakEndTime,
+            [STORAGE_KEYS.ENTRY_USAGE]: counters.entryUsage,
+            [STORAGE_KEYS.BORROWED_TIME]: counters.borrowedTime,
+            [STORAGE_KEYS.BORROWS_USED]: borrowsUsed + 1
         });
+        await recordBorrow(labels, borrowSettings.minutes, now);
+    });
+    console.log(`Borrowed ${borrowSettings.minutes} minutes for: ${labels.join(', ')}.`);
+}
+
+/**
+ * Lends time to the budgets limiting the active tab and, if the tab shows the
+ * break page, takes it back to the page it was sent away from.
+ */
+async function borrowTimeForActiveTab() {
+    const { borrow } = await getExtensionState();
+    if (borrow.budgetIds.length === 0) {
+        throw new Error("Time can only be borrowed for a blocked site, and not during a focus session or a Block Now break.");
+    }
+    await borrowTime(borrow.budgetIds);
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const fromUrl = getBreakPageFromUrl(activeTab?.url);
+    if (fromUrl) {
+        await chrome.tabs.update(activeTab.id, { url: fromUrl });
+    }
+}
+
+/**
+ * Adds a profile. It starts out empty, or as a copy of the active profile's
+ * rules. A copy keeps the entry ids, so a site listed in both profiles keeps
+ * its time and break when switching, and counts as the same site for the
+ * lock rules.
+ * @param {string} name - Name of the new profile.
+ * @param {boolean} copyCurrent - Whether to copy the active profile's rules.
+ * @returns {Promise<object>} - The new { id, name } profile.
+ */
+async function addProfile(name, copyCurrent) {
+    const settings = await getSettings();
+    const profiles = settings[STORAGE_KEYS.PROFILES];
+    if (profiles.length >= MAX_PROFILES) {
+        throw new Error(`There can be at most ${MAX_PROFILES} profiles.`);
+    }
+    const trimmedName = (name ?? '').trim();
+    const nameError = validateProfileName(trimmedName, profiles);
+    if (nameError) {
+        throw new Error(nameError);
+    }
+    const profile = { id: crypto.randomUUID(), name: trimmedName };
+    await setSyncSettings({
+        [getProfileStorageKey(profile.id)]: copyCurrent ? pickProfileSettings(settings) : getDefaultProfileSettings(),
+        [STORAGE_KEYS.PROFILES]: [...profiles, profile]
+    });
+    return profile;
+}
+
+/**
+ * Renames a profile.
+ * @param {string} profileId - Id of the profile.
+ * @param {string} name - Its new name.
+ */
+async function renameProfile(profileId, name) {
+    const profiles = (await getSettings())[STORAGE_KEYS.PROFILES];
+    if (!profiles.some(profile => profile.id === profileId)) {
+        throw new Error("This profile no longer exists.");
+    }
+    const trimmedName = (name ?? '').trim();
+    const nameError = validateProfileName(trimmedName, profiles, profileId);
+    if (nameError) {
+        throw new Error(nameError);
+    }
+    await chrome.storage.sync.set({
+        [STORAGE_KEYS.PROFILES]: profiles.map(profile => profile.id === profileId ? { ...profile, name: trimmedName } : profile)
+    });
+}
+
+/**
+ * Deletes a profile other than the active one, with its rules.
+ * @param {string} profileId - Id of the profile.
+ */
+async function removeProfile(profileId) {
+    const settings = await getSettings();
+    const profiles = settings[STORAGE_KEYS.PROFILES];
+    if (!profiles.some(profile => profile.id === profileId)) {
+        throw new Error("This profile no longer exists.");
+    }
+    if (profileId === settings[STORAGE_KEYS.ACTIVE_PROFILE_ID]) {
+        throw new Error("Switch to another profile before removing this one.");
+    }
+    await chrome.storage.sync.set({
+        [STORAGE_KEYS.PROFILES]: profiles.filter(profile => profile.id !== profileId)
+    });
+    await chrome.storage.sync.remove(getProfileStorageKey(profileId));
+}
 
+/**
+ * Writes settings already checked against the lock, so the lock's listener
+ * leaves them alone even if the rules are locked by the time it runs.
+ * @param {object} values - Settings keyed by storage key.
+ * @param {object} current - Current settings, as from getSettings.
+ */
+async function setTrustedSyncSettings(values, current) {
+    // Unchanged settings don't show up in onChanged to use their mark
+    const changedKeys = Object.keys(values).filter(key => JSON.stringify(values[key]) !== JSON.stringify(current[key]));
+    changedKeys.forEach(key => trustedSettingWrites.set(key, JSON.stringify(values[key])));
+    try {
+        await setSyncSettings(values);
     } catch (error) {
-        console.error("Error during periodic check:", error);
-        await chrome.storage.sync.set({ [STORAGE_KEYS.LAST_CHECK_TIME]: now });
+        changedKeys.forEach(key => trustedSettingWrites.delete(key));
+        throw error;
     }
 }
 
+/**
+ * Makes another profile's rules the active ones, keeping the current rules
+ * under the profile that is switched away from.
+ * @param {string} profileId - Id of the profile to switch to.
+ */
+async function switchProfile(profileId) {
+    const settings = await getSettings();
+    const profile = settings[STORAGE_KEYS.PROFILES].find(other => other.id === profileId);
+    if (!profile) {
+        throw new Error("This profile no longer exists.");
+    }
+    const activeProfileId = settings[STORAGE_KEYS.ACTIVE_PROFILE_ID];
+    if (profileId === activeProfileId) {
+        return;
+    }
+    const storageKey = getProfileStorageKey(profileId);
+    const { [storageKey]: storedSettings = {} } = await chrome.storage.sync.get([storageKey]);
+    const profileSettings = pickProfileSettings({ ...getDefaultProfileSettings(), ...storedSettings });
+
+    // Even an emergency unlock doesn't allow switching out of a running break
+    const state = await getExtensionState();
+    const switchError = getProfileSwitchError(profile, profileSettings, settings, state.lock.isLocked || state.isBreakRunning);
+    if (switchError) {
+        throw new Error(switchError);
+    }
+
+    await setTrustedSyncSettings({
+        ...profileSettings,
+        [getProfileStorageKey(activeProfileId)]: pickProfileSettings(settings),
+        [STORAGE_KEYS.ACTIVE_PROFILE_ID]: profileId
+    }, settings);
+    // The profile's own copy is only dropped once its rules are the active ones
+    const appliedSettings = pickProfileSettings(await chrome.storage.sync.get(PROFILE_SETTINGS_KEYS));
+    if (JSON.stringify(appliedSettings) === JSON.stringify(profileSettings)) {
+        await chrome.storage.sync.remove(storageKey);
+    } else {
+        console.warn(`Kept the stored rules of the ${profile.name} profile, which didn't all apply.`);
+    }
+    console.log(`Switched to the ${profile.name} profile.`);
+    // Sends tabs the new rules block to the break page
+    await queueTrackingCheck();
+}
+
+/**
+ * Imports block lists and settings from an export file.
+ * @param {object} data - The parsed export file.
+ * @param {string} mode - One of IMPORT_MODES.
+ * @returns {Promise<object>} - What was added and what was rejected, and why.
+ */
+async function importSettings(data, mode) {
+    const { updates, report } = parseSettingsImport(data, mode, await getSettings());
+    if (Object.keys(updates).length > 0) {
+        // Validates the result and applies the lock rules like any other change
+        await updateSettings(updates);
+    }
+    return report;
+}
+
+/**
+ * Handles a message from the popup, replying with the new state and, for
+ * messages that produce one, a result.
+ * @param {object} message - The message.
+ * @returns {Promise<{ state: object, result: * }>}
+ */
+async function handleApiMessage(message) {
+    let result = null;
+    switch (message.type) {
+        case 'getState':
+            break;
+        case 'startBreak':
+            await startBreakNow();
+            break;
+        case 'borrowTime':
+            await borrowTimeForActiveTab();
+            break;
+        case 'addEntry':
+            await addBlockedEntry(message.entry);
+            break;
+        case 'addEntries':
+            result = await addBlockedEntries(message.entries);
+            break;
+        case 'removeEntry':
+            await removeBlockedEntry(message.entryId);
+            break;
+        case 'addCategory':
+            result = await addPresetCategory(message.presetId, message.allowedTimeMinutes);
+            break;
+        case 'removeCategory':
+            await removeEntryGroup(message.groupId);
+            break;
+        case 'updateSettings':
+            await updateSettings(message.settings);
+            break;
+        case 'pomodoro':
+            await handlePomodoroAction(message.action, (await getExtensionState()).lock.isCommitmentLocked);
+            break;
+        case 'startLock':
+            await startCommitmentLock(message.minutes);
+            break;
+        case 'emergencyUnlock':
+            await requestEmergencyUnlock(message.passphrase);
+            break;
+        case 'addProfile':
+            result = await addProfile(message.name, message.copyCurrent);
+            break;
+        case 'renameProfile':
+            await renameProfile(message.profileId, message.name);
+            break;
+        case 'removeProfile':
+            await removeProfile(message.profileId);
+            break;
+        case 'switchProfile':
+            await switchProfile(message.profileId);
+            break;
+        case 'exportSettings':
+            result = buildSettingsExport(await getSettings(), Date.now());
+            break;
+        case 'importSettings':
+            result = await importSettings(message.data, message.mode);
+            break;
+        case 'resetData':
+            await resetAllData();
+            break;
+        default:
+            throw new Error(`Unknown message type: ${message.type}`);
+    }
+    return { state: await getExtensionState(), result };
+}
+
+/**
+ * Tells any open popup or options page that the state changed, and updates
+ * the toolbar badge.
+ * Storage changes come in bursts, so they are coalesced into one broadcast.
+ * Every tracking check writes to storage, so the badge follows the same
+ * events as the checks, including the alarm that counts a break down.
+ */
+function scheduleStateBroadcast() {
+    clearTimeout(stateBroadcastTimeout);
+    stateBroadcastTimeout = setTimeout(async () => {
+        try {
+            const state = await getExtensionState();
+            await updateActionBadge(state);
+            await updateContextMenus(state);
+            await chrome.runtime.sendMessage({ type: 'stateChanged', state });
+        } catch (error) {
+            // Nobody is listening when the popup is closed
+        }
+    }, STATE_BROADCAST_DELAY_MS);
+}
+
 // --- Event Listeners ---
 
 // Listener for the alarm
 chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === CHECK_ALARM_NAME) {
-        checkActiveTabAndManageTime();
+        queueTrackingCheck();
+    } else if (alarm.name === DAILY_RESET_ALARM_NAME) {
+        resetDailyBudgetsIfDue();
+        rollUpHistory();
+    } else if (alarm.name === POMODORO_ALARM_NAME) {
+        handlePomodoroPhaseEnd();
+    } else if (alarm.name === NETWORK_RULES_ALARM_NAME) {
+        queueNetworkRulesUpdate();
+        queueTrackingCheck();
+    }
+});
+
+// Reschedule the daily reset when its time of day is changed, and end any
+// pomodoro session when pomodoro mode is switched off
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') {
+        return;
+    }
+    if (changes[STORAGE_KEYS.DAILY_RESET_TIME]) {
+        scheduleDailyResetAlarm();
+    }
+    const pomodoroSettingsChange = changes[STORAGE_KEYS.POMODORO_SETTINGS];
+    if (pomodoroSettingsChange && pomodoroSettingsChange.oldValue?.enabled && !pomodoroSettingsChange.newValue?.enabled) {
+        // While locked, the lock listener below switches pomodoro mode back on instead
+        getExtensionState()
+            .then(({ lock }) => handlePomodoroAction(POMODORO_ACTIONS.STOP, lock.isLocked))
+            .catch(error => console.error("Error stopping the pomodoro session:", error));
     }
 });
 
-// Optional: Add an onUpdated listener for faster redirection during breaks
+// Buttons on the budget warnings
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    const { kind, budgetId } = parseNotificationId(notificationId);
+    if (kind !== NOTIFICATION_KINDS.WARNING) {
+        return;
+    }
+    chrome.notifications.clear(notificationId);
+    try {
+        if (buttonIndex === WARNING_BUTTONS.START_BREAK) {
+            await startBudgetBreakNow(budgetId);
+        } else if (buttonIndex === WARNING_BUTTONS.BORROW) {
+            await borrowTime([budgetId]);
+        }
+    } catch (error) {
+        console.error("Error handling notification button:", error);
+        // The warning may be stale, e.g. from before a break started
+        showCommandNotification(error.message);
+    }
+});
+
+// Keyboard shortcuts. There is no popup to show the outcome, so reply with a notification.
+chrome.commands.onCommand.addListener(async (command) => {
+    try {
+        if (command === COMMANDS.START_BREAK) {
+            await startBreakNow();
+            showCommandNotification("Break started! Sites will be blocked.");
+        } else if (command === COMMANDS.BLOCK_CURRENT_SITE) {
+            const entry = await blockActiveTabDomain();
+            showCommandNotification(`${entry.pattern} added to the block list.`);
+        } else if (command === COMMANDS.SHOW_REMAINING_TIME) {
+            showCommandNotification(describeRemainingTime(await getExtensionState()));
+        }
+    } catch (error) {
+        console.error(`Error handling the ${command} shortcut:`, error);
+        showCommandNotification(error.message);
+    }
+});
+
+// Context menu items add the page, link or selection to the block list
+chrome.contextMenus.onClicked.addListener(async (info) => {
+    try {
+        const entry = getContextMenuEntry(info);
+        if (!entry) {
+            return;
+        }
+        const savedEntry = await addQuickBlockedEntry(entry);
+        showCommandNotification(`${savedEntry.pattern} added to the block list.`);
+    } catch (error) {
+        console.error("Error handling the context menu:", error);
+        showCommandNotification(error.message);
+    }
+});
+
+// Requests from the popup and options page; see the Message API section
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    handleApiMessage(message ?? {})
+        .then(({ state, result }) => sendResponse({ ok: true, state, result }))
+        .catch(error => {
+            console.error(`Error handling ${message?.type} message:`, error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
+
+// Rules can also change without going through the message API, e.g. from
+// another synced device. Undo anything that loosens them while they're locked.
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    // The worker's own checked writes are left alone
+    const trustedKeys = areaName === 'sync'
+        ? Object.keys(changes).filter(key => trustedSettingWrites.has(key)
+            && trustedSettingWrites.get(key) === JSON.stringify(changes[key].newValue))
+        : [];
+    trustedKeys.forEach(key => trustedSettingWrites.delete(key));
+    const ruleKeys = Object.keys(changes).filter(key =>
+        EDITABLE_SETTINGS_KEYS.includes(key) && changes[key].oldValue !== undefined && !trustedKeys.includes(key)
+    );
+    if (areaName !== 'sync' || ruleKeys.length === 0) {
+        return;
+    }
+    try {
+        const { lock } = await getExtensionState();
+        if (!lock.isLocked) {
+            return;
+        }
+        const reverts = {};
+        for (const key of ruleKeys) {
+            const { oldValue, newValue } = changes[key];
+            // A removed setting falls back to its default, which may be looser
+            if (newValue === undefined || getLockedSettingsError({ [key]: newValue }, { [key]: oldValue })) {
+                reverts[key] = oldValue;
+            }
+        }
+        if (Object.keys(reverts).length > 0) {
+            console.warn("Reverting settings loosened while rules are locked:", Object.keys(reverts));
+            await chrome.storage.sync.set(reverts);
+        }
+    } catch (error) {
+        console.error("Error enforcing the lock:", error);
+    }
+});
+
+// Let an open popup know whenever settings or runtime state change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const changedKeys = Object.keys(changes).filter(key => key !== USAGE_HISTORY_KEY);
+    if ((areaName === 'sync' || areaName === 'local') && changedKeys.length > 0) {
+        scheduleStateBroadcast();
+    }
+    // Block pages at the network level as soon as a break starts, and stop when it ends
+    if (changedKeys.some(key => NETWORK_RULE_KEYS.includes(key))) {
+        queueNetworkRulesUpdate();
+    }
+});
+
+// Re-check what is being tracked whenever the user switches tabs or windows,
+// navigates, a tab starts or stops playing audio, or a tab is closed
+chrome.tabs.onActivated.addListener(() => queueTrackingCheck());
+chrome.tabs.onRemoved.addListener(() => queueTrackingCheck());
+chrome.windows.onFocusChanged.addListener(() => queueTrackingCheck());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url || changeInfo.audible !== undefined) {
+        queueTrackingCheck();
+    }
+});
+
+// Stop counting when the user goes idle or locks the screen. The idle event
+// fires IDLE_DETECTION_SECONDS after the last input, so don't count that stretch.
+chrome.idle.onStateChanged.addListener((state) => {
+    if (state === 'active') {
+        queueTrackingCheck();
+    } else {
+        queueTrackingCheck({ accrueUntil: Date.now() - IDLE_DETECTION_SECONDS * 1000 });
+    }
+});
+
+// Redirect tabs that start loading a page on break. Network rules block most
+// of them before they load; this catches the entries rules can't express.
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // Check only when URL changes or page fully loads, and we have a URL
     if ((changeInfo.url || changeInfo.status === 'complete') && tab.url) {
         try {
-            const data = await chrome.storage.sync.get([STORAGE_KEYS.BREAK_END_TIME, STORAGE_KEYS.BLOCKED_ENTRIES]);
-            const breakEndTime = data[STORAGE_KEYS.BREAK_END_TIME];
-            const blockedEntries = data[STORAGE_KEYS.BLOCKED_ENTRIES] ?? [];
+            const data = await getStoredValues([
+                STORAGE_KEYS.BREAK_END_TIME,
+                STORAGE_KEYS.BLOCKED_ENTRIES,
+                STORAGE_KEYS.ENTRY_GROUPS,
+                STORAGE_KEYS.ENTRY_USAGE,
+                STORAGE_KEYS.ALLOWLIST,
+                STORAGE_KEYS.SCHEDULES,
+                STORAGE_KEYS.POMODORO_STATE,
+                STORAGE_KEYS.BREAK_REDIRECT_MODE,
+                STORAGE_KEYS.CUSTOM_BREAK_URL
+            ]);
             const now = Date.now();
 
-            // If currently on break and the updated tab matches a blocked entry
-            if (breakEndTime && now < breakEndTime && isUrlBlocked(tab.url, blockedEntries)) {
+            // Network rules send private tabs to the bundled break page too, which they can't load
+            if (tab.incognito && tab.url.startsWith(chrome.runtime.getURL(BREAK_PAGE_PATH))) {
+                const until = Number(new URL(tab.url).searchParams.get('until'));
+                await redirectToBreak(tabId, getBreakPageFromUrl(tab.url), until || null, true);
+                return;
+            }
+
+            // If the shared break or a matching entry's break is running
+            const breakEndTime = getBreakEndTimeForUrl(tab.url, data, now);
+            if (breakEndTime) {
                 // Avoid redirect loop
-                if (!tab.url.startsWith(BREAK_URL)) {
+                if (!isBreakRedirectUrl(tab.url, data)) {
                     console.log(`[onUpdated] Redirecting tab ${tabId} (${tab.url}) during break.`);
-                    await redirectToBreak(tabId);
+                    await redirectToBreak(tabId, tab.url, breakEndTime, tab.incognito);
                 }
             }
         } catch (error) {
@@ -0,0 +1,97 @@
+// --- Toolbar Badge ---
+// Loaded by the background service worker via importScripts. Shows on the
+// toolbar button how much of the active tab's budget is left, or how long the
+// break blocking it still runs, and nothing otherwise. Optionally the icon
+// gets a dot in the same colour, so the state shows even without the badge.
+
+const DEFAULT_ICON_PATH = 'icons/ICON_16.png';
+const ICON_SIZE = 16;
+const BADGE_COLORS = {
+    COUNTING: '#2e7d32', // Green, like the popup's timer
+    BREAK: '#d32f2f', // Red, like the popup's break timer
+    FOCUS: '#ef6c00' // Orange, for pomodoro work sessions
+};
+
+// The badge last shown, to skip updates that change nothing
+let shownBadgeKey = null;
+// Icons with a state dot, keyed by colour
+const stateIconCache = new Map();
+
+/**
+ * Formats a duration for the badge, which only fits about four characters.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} - e.g. "25m" or "3h".
+ */
+function formatBadgeTime(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    return minutes < 100 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+/**
+ * Picks the badge text and colour for the active tab.
+ * @param {object} state - State as built by getExtensionState.
+ * @returns {{ text: string, color: string | null }}
+ */
+function getBadge(state) {
+    const { activeTab, generatedAt } = state;
+    switch (activeTab.status) {
+        case ACTIVE_TAB_STATUSES.BREAK:
+        case ACTIVE_TAB_STATUSES.ENTRY_BREAK:
+            return { text: formatBadgeTime(activeTab.endTime - generatedAt), color: BADGE_COLORS.BREAK };
+        case ACTIVE_TAB_STATUSES.FOCUS:
+            return { text: formatBadgeTime(activeTab.endTime - generatedAt), color: BADGE_COLORS.FOCUS };
+        case ACTIVE_TAB_STATUSES.COUNTING:
+            return { text: formatBadgeTime(activeTab.remainingMs), color: BADGE_COLORS.COUNTING };
+        default:
+            return { text: '', color: null };
+    }
+}
+
+/**
+ * Draws the toolbar icon with a dot in the given colour.
+ * @param {string} color - CSS colour of the dot.
+ * @returns {Promise<object>} - Image data keyed by size, for chrome.action.setIcon.
+ */
+async function drawStateIcon(color) {
+    if (!stateIconCache.has(color)) {
+        const response = await fetch(chrome.runtime.getURL(DEFAULT_ICON_PATH));
+        const bitmap = await createImageBitmap(await response.blob());
+        const canvas = new OffscreenCanvas(ICON_SIZE, ICON_SIZE);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0, ICON_SIZE, ICON_SIZE);
+        // Top right, where the badge doesn't cover it
+        context.fillStyle = color;
+        context.beginPath();
+        context.arc(ICON_SIZE - 4, 4, 4, 0, 2 * Math.PI);
+        context.fill();
+        stateIconCache.set(color, context.getImageData(0, 0, ICON_SIZE, ICON_SIZE));
+    }
+    return { [ICON_SIZE]: stateIconCache.get(color) };
+}
+
+/**
+ * Updates the badge, and the icon if it reflects the state, for the active tab.
+ * @param {object} state - State as built by getExtensionState.
+ */
+async function updateActionBadge(state) {
+    const badge = getBadge(state);
+    const showStateIcon = Boolean(state.settings[STORAGE_KEYS.DYNAMIC_ICON] && badge.color);
+    const badgeKey = JSON.stringify([badge, showStateIcon]);
+    if (badgeKey === shownBadgeKey) {
+        return;
+    }
+    try {
+        await chrome.action.setBadgeText({ text: badge.text });
+        if (badge.color) {
+            await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+        }
+        if (showStateIcon) {
+            await chrome.action.setIcon({ imageData: await drawStateIcon(badge.color) });
+        } else {
+            await chrome.action.setIcon({ path: { [ICON_SIZE]: DEFAULT_ICON_PATH } });
+        }
+        shownBadgeKey = badgeKey;
+    } catch (error) {
+        console.error("Error updating the toolbar badge:", error);
+    }
+}
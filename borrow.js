@@ -0,0 +1,84 @@
+// --- Borrowed Time ---
+// Loaded by the background service worker via importScripts. When a budget
+// runs out mid-task, a few minutes can be borrowed a limited number of times
+// a day. Borrowed time isn't free: it is kept as a debt per budget and counted
+// as already spent when that budget next starts over, after its break or at
+// the daily reset (see tracking.js).
+
+const DEFAULT_BORROW_SETTINGS = {
+    minutes: 5, // Time each borrow gives
+    perDay: 3 // Borrows allowed until the daily reset
+};
+
+/**
+ * Validates the borrow settings.
+ * @param {object} settings - Borrow settings.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateBorrowSettings(settings) {
+    if (!Number.isInteger(settings.minutes) || settings.minutes < 1) {
+        return "Please enter how many minutes a borrow gives (minimum 1 minute).";
+    }
+    if (!Number.isInteger(settings.perDay) || settings.perDay < 0) {
+        return "Please enter how many borrows a day are allowed (0 for none).";
+    }
+    return null;
+}
+
+/**
+ * Checks whether a focus session or a Block Now break is running. They
+ * weren't caused by a budget running out, so borrowing can't cut them short.
+ * Without the shared cap, the shared break can only be a Block Now break.
+ * @param {object} runtimeState - Runtime state with the shared break and the pomodoro state.
+ * @param {boolean} overallCapEnabled - Whether the shared cap is on.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {string | null} - An error message, or null if nothing stops borrowing.
+ */
+function getBorrowBlockedError(runtimeState, overallCapEnabled, now) {
+    if (getPomodoroFocusEndTime(runtimeState[STORAGE_KEYS.POMODORO_STATE], now)) {
+        return "Time can't be borrowed during a focus session.";
+    }
+    const breakEndTime = runtimeState[STORAGE_KEYS.BREAK_END_TIME];
+    const isBlockNowBreak = runtimeState[STORAGE_KEYS.IS_BLOCK_NOW_BREAK] || !overallCapEnabled;
+    if (breakEndTime && now < breakEndTime && isBlockNowBreak) {
+        return "Time can't be borrowed during a Block Now break.";
+    }
+    return null;
+}
+
+/**
+ * Lends time to budgets: each one ends its break, if it is on one, and gets
+ * the borrowed time on top of what it had left, which is never more than its
+ * whole budget. Only the time actually granted is added to each budget's
+ * debt, so a budget with less than borrowMs spent doesn't owe the rest.
+ * @param {object} counters - { timeSpent, breakEndTime, entryUsage, borrowedTime } as stored.
+ * @param {string[]} budgetIds - Entry ids, and OVERALL_BUDGET_ID for the shared cap.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @param {number} allowedTimeMs - The shared cap.
+ * @param {number} borrowMs - Time to lend to each budget.
+ * @returns {object} - The updated counters, in the same shape.
+ */
+function lendTime(counters, budgetIds, blockedEntries, allowedTimeMs, borrowMs) {
+    let { timeSpent, breakEndTime } = counters;
+    const entryUsage = { ...counters.entryUsage };
+    const borrowedTime = { ...counters.borrowedTime };
+    for (const budgetId of budgetIds) {
+        let grantedMs = 0;
+        if (budgetId === OVERALL_BUDGET_ID) {
+            const spentMs = Math.min(timeSpent, allowedTimeMs);
+            timeSpent = Math.max(0, spentMs - borrowMs);
+            breakEndTime = null;
+            grantedMs = spentMs - timeSpent;
+        } else {
+            const entry = blockedEntries.find(other => other.id === budgetId);
+            if (!entry) {
+                continue;
+            }
+            const spentMs = Math.min(entryUsage[entry.id]?.timeSpent ?? 0, entry.allowedTimeMinutes * 60 * 1000);
+            entryUsage[entry.id] = { timeSpent: Math.max(0, spentMs - borrowMs), breakEndTime: null };
+            grantedMs = spentMs - entryUsage[entry.id].timeSpent;
+        }
+        borrowedTime[budgetId] = (borrowedTime[budgetId] ?? 0) + grantedMs;
+    }
+    return { timeSpent, breakEndTime, entryUsage, borrowedTime };
+}
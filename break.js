@@ -0,0 +1,76 @@
+// --- DOM Elements ---
+const breakTitle = document.getElementById('break-title');
+const countdownValueSpan = document.getElementById('countdown-value');
+const countdownLabelSpan = document.getElementById('countdown-label');
+const breakMessageP = document.getElementById('break-message');
+const breakFromP = document.getElementById('break-from');
+const breakFromLink = document.getElementById('break-from-link');
+
+const params = new URLSearchParams(window.location.search);
+const fromUrl = params.get('from');
+const breakEndTime = parseInt(params.get('until'), 10) || null;
+
+let countdownInterval = null;
+
+// --- Functions ---
+
+/**
+ * Updates the countdown, and lets the user return once the break is over.
+ */
+function updateCountdown() {
+    const remainingMs = breakEndTime ? Math.max(0, breakEndTime - Date.now()) : 0;
+    const mins = Math.floor(remainingMs / 60000);
+    const secs = Math.floor((remainingMs % 60000) / 1000);
+    countdownValueSpan.textContent = `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+
+    if (remainingMs === 0) {
+        clearInterval(countdownInterval);
+        breakTitle.textContent = "Break's over";
+        countdownLabelSpan.textContent = 'welcome back';
+        document.body.classList.add('break-over');
+        if (fromUrl) {
+            // Only link back once going there won't just redirect here again
+            breakFromLink.href = fromUrl;
+        }
+    }
+}
+
+/**
+ * Loads the motivational message from settings, and tells a pomodoro work
+ * session apart from a regular break.
+ */
+async function loadMessage() {
+    try {
+        const data = await getStoredValues(['breakMessage', 'pomodoroState']);
+        breakMessageP.textContent = data.breakMessage || DEFAULT_BREAK_MESSAGE;
+
+        const pomodoroState = data.pomodoroState;
+        const isFocusSession = pomodoroState?.phase === 'work' && !pomodoroState.paused
+            && pomodoroState.phaseEndTime === breakEndTime;
+        if (isFocusSession && breakEndTime > Date.now()) {
+            breakTitle.textContent = 'Focus session in progress';
+            countdownLabelSpan.textContent = 'until your next break';
+        }
+    } catch (error) {
+        console.error("Error loading break message:", error);
+        breakMessageP.textContent = DEFAULT_BREAK_MESSAGE;
+    }
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', () => {
+    if (fromUrl) {
+        breakFromLink.textContent = fromUrl;
+    } else {
+        breakFromP.style.display = 'none';
+    }
+    breakFromLink.addEventListener('click', (event) => {
+        if (!breakFromLink.getAttribute('href') || breakFromLink.getAttribute('href') === '#') {
+            event.preventDefault();
+        }
+    });
+
+    loadMessage();
+    updateCountdown();
+    countdownInterval = setInterval(updateCountdown, 1000);
+});
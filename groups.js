@@ -0,0 +1,69 @@
+// --- Entry Groups ---
+// Loaded by the background service worker via importScripts. Blocked entries
+// can belong to a group, such as one of the built-in preset categories. A
+// group keeps a name and an enabled flag, so a whole category can be paused
+// without deleting its entries.
+
+// Built-in categories, added to the block list as a group of domain entries
+const PRESET_CATEGORIES = {
+    social: {
+        name: 'Social media',
+        patterns: [
+            'facebook.com', 'instagram.com', 'twitter.com', 'x.com', 'tiktok.com',
+            'reddit.com', 'snapchat.com', 'linkedin.com', 'pinterest.com', 'tumblr.com'
+        ]
+    },
+    news: {
+        name: 'News',
+        patterns: [
+            'cnn.com', 'bbc.com', 'nytimes.com', 'theguardian.com', 'foxnews.com',
+            'washingtonpost.com', 'reuters.com', 'news.google.com', 'news.ycombinator.com'
+        ]
+    },
+    video: {
+        name: 'Video',
+        patterns: [
+            'youtube.com', 'netflix.com', 'twitch.tv', 'vimeo.com', 'hulu.com',
+            'disneyplus.com', 'primevideo.com', 'dailymotion.com'
+        ]
+    },
+    shopping: {
+        name: 'Shopping',
+        patterns: [
+            'amazon.com', 'ebay.com', 'etsy.com', 'aliexpress.com', 'walmart.com',
+            'target.com', 'temu.com', 'shein.com'
+        ]
+    }
+};
+
+/**
+ * Leaves out entries whose group is paused. Entries without a group, or whose
+ * group no longer exists, are always enforced.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @param {object[]} entryGroups - Array of { id, name, enabled } groups.
+ * @returns {object[]} - The entries that are enforced.
+ */
+function getEnabledEntries(blockedEntries, entryGroups) {
+    const pausedGroupIds = new Set((entryGroups ?? []).filter(group => !group.enabled).map(group => group.id));
+    if (pausedGroupIds.size === 0) {
+        return blockedEntries ?? [];
+    }
+    return (blockedEntries ?? []).filter(entry => !pausedGroupIds.has(entry.groupId));
+}
+
+/**
+ * Validates the entry groups.
+ * @param {object[]} entryGroups - Array of groups.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateEntryGroups(entryGroups) {
+    for (const group of entryGroups) {
+        if (typeof group?.id !== 'string' || typeof group.name !== 'string' || !group.name.trim()) {
+            return "Every category needs a name.";
+        }
+        if (typeof group.enabled !== 'boolean') {
+            return `Please choose whether "${group.name}" is on or paused.`;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,199 @@
+// --- Usage History ---
+// Shared by the background service worker (via importScripts) and the stats page.
+// History lives in chrome.storage.local: it is written on every tracking tick
+// and would quickly exhaust chrome.storage.sync's write quota.
+
+const USAGE_HISTORY_KEY = 'usageHistory';
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+const MIN_HISTORY_RETENTION_DAYS = 7;
+const HISTORY_EVENTS = {
+    BREAK: 'breaks', // A budget ran out, or its warning's break button was used, and a break started
+    BLOCK_NOW: 'blockNowUses', // The user started a break from the popup
+    BORROW: 'borrows' // The user borrowed time, see borrow.js
+};
+
+/**
+ * Validates how many days of history to keep day-by-day.
+ * @param {number} retentionDays - The number of days.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateHistoryRetentionDays(retentionDays) {
+    if (!Number.isInteger(retentionDays) || retentionDays < MIN_HISTORY_RETENTION_DAYS) {
+        return `Please keep at least ${MIN_HISTORY_RETENTION_DAYS} days of history.`;
+    }
+    return null;
+}
+
+/**
+ * Returns the local calendar day of a timestamp as "YYYY-MM-DD".
+ * @param {number} timestamp - Timestamp (ms).
+ * @returns {string}
+ */
+function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" day key as local midnight.
+ * @param {string} dayKey - The day key.
+ * @returns {Date}
+ */
+function parseDayKey(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Returns the day key of the Monday starting the week that contains a day.
+ * @param {string} dayKey - The day key.
+ * @returns {string}
+ */
+function getWeekKey(dayKey) {
+    const date = parseDayKey(dayKey);
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+    return toDayKey(date.getTime());
+}
+
+/**
+ * Returns an empty history record for one day or one week.
+ * @returns {object}
+ */
+function createHistoryRecord() {
+    return {
+        totalMs: 0,
+        entries: {},
+        [HISTORY_EVENTS.BREAK]: 0,
+        [HISTORY_EVENTS.BLOCK_NOW]: 0,
+        [HISTORY_EVENTS.BORROW]: 0
+    };
+}
+
+/**
+ * Reads the usage history.
+ * @returns {Promise<{ days: object, weeks: object }>} - Records keyed by day key and by week key.
+ */
+async function getUsageHistory() {
+    const data = await chrome.storage.local.get([USAGE_HISTORY_KEY]);
+    return { days: {}, weeks: {}, ...(data[USAGE_HISTORY_KEY] ?? {}) };
+}
+
+/**
+ * Adds time spent on blocked entries to today's record.
+ * @param {object[]} entries - The entries the time counted towards.
+ * @param {number} elapsedMs - Time to add.
+ * @param {number} now - Current timestamp (ms).
+ */
+async function recordUsage(entries, elapsedMs, now) {
+    if (elapsedMs <= 0 || entries.length === 0) {
+        return;
+    }
+    try {
+        const history = await getUsageHistory();
+        const dayKey = toDayKey(now);
+        const record = history.days[dayKey] ?? createHistoryRecord();
+        record.totalMs += elapsedMs;
+        for (const entry of entries) {
+            const entryRecord = record.entries[entry.id] ?? { pattern: entry.pattern, ms: 0 };
+            // Keep the latest pattern so renamed entries show their current name
+            record.entries[entry.id] = { pattern: entry.pattern, ms: entryRecord.ms + elapsedMs };
+        }
+        history.days[dayKey] = record;
+        await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: history });
+    } catch (error) {
+        console.error("Error recording usage:", error);
+    }
+}
+
+/**
+ * Counts a break or a "Block Now" use in today's record.
+ * @param {string} eventName - One of HISTORY_EVENTS.
+ * @param {number} now - Current timestamp (ms).
+ */
+async function recordHistoryEvent(eventName, now) {
+    try {
+        const history = await getUsageHistory();
+        const dayKey = toDayKey(now);
+        const record = history.days[dayKey] ?? createHistoryRecord();
+        record[eventName] = (record[eventName] ?? 0) + 1;
+        history.days[dayKey] = record;
+        await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: history });
+    } catch (error) {
+        console.error(`Error recording ${eventName}:`, error);
+    }
+}
+
+/**
+ * Logs a borrow in today's record. Day records keep each use; weekly
+ * roll-ups only keep the count.
+ * @param {string[]} labels - Names of the budgets the time was lent to.
+ * @param {number} minutes - Time lent to each budget.
+ * @param {number} now - Current timestamp (ms).
+ */
+async function recordBorrow(labels, minutes, now) {
+    try {
+        const history = await getUsageHistory();
+        const dayKey = toDayKey(now);
+        const record = history.days[dayKey] ?? createHistoryRecord();
+        record[HISTORY_EVENTS.BORROW] = (record[HISTORY_EVENTS.BORROW] ?? 0) + 1;
+        record.borrowLog = [...(record.borrowLog ?? []), { time: now, labels, minutes }];
+        history.days[dayKey] = record;
+        await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: history });
+    } catch (error) {
+        console.error("Error recording borrow:", error);
+    }
+}
+
+/**
+ * Adds one day or week record into another.
+ * @param {object} target - Record to add into (modified).
+ * @param {object} source - Record to add.
+ */
+function mergeHistoryRecord(target, source) {
+    target.totalMs += source.totalMs ?? 0;
+    target[HISTORY_EVENTS.BREAK] += source[HISTORY_EVENTS.BREAK] ?? 0;
+    target[HISTORY_EVENTS.BLOCK_NOW] += source[HISTORY_EVENTS.BLOCK_NOW] ?? 0;
+    target[HISTORY_EVENTS.BORROW] += source[HISTORY_EVENTS.BORROW] ?? 0;
+    for (const [entryId, entryRecord] of Object.entries(source.entries ?? {})) {
+        const existing = target.entries[entryId] ?? { pattern: entryRecord.pattern, ms: 0 };
+        target.entries[entryId] = { pattern: existing.pattern, ms: existing.ms + entryRecord.ms };
+    }
+}
+
+/**
+ * Rolls day records older than the retention window up into weekly records.
+ * @param {number} retentionDays - How many days to keep day-by-day.
+ * @param {number} now - Current timestamp (ms).
+ */
+async function rollUpUsageHistory(retentionDays, now) {
+    try {
+        const history = await getUsageHistory();
+        const cutoff = new Date(now);
+        cutoff.setHours(0, 0, 0, 0);
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+
+        let rolledUp = 0;
+        for (const [dayKey, record] of Object.entries(history.days)) {
+            if (parseDayKey(dayKey) >= cutoff) {
+                continue;
+            }
+            const weekKey = getWeekKey(dayKey);
+            const weekRecord = history.weeks[weekKey] ?? { ...createHistoryRecord(), dayCount: 0 };
+            mergeHistoryRecord(weekRecord, record);
+            weekRecord.dayCount += 1;
+            history.weeks[weekKey] = weekRecord;
+            delete history.days[dayKey];
+            rolledUp++;
+        }
+
+        if (rolledUp > 0) {
+            await chrome.storage.local.set({ [USAGE_HISTORY_KEY]: history });
+            console.log(`Rolled ${rolledUp} days of history up into weekly records.`);
+        }
+    } catch (error) {
+        console.error("Error rolling up usage history:", error);
+    }
+}
@@ -0,0 +1,208 @@
+// --- Lock Mode ---
+// Loaded by the background service worker via importScripts. While the rules
+// are locked they can only get stricter: entries can be added and limits
+// lowered, but removals and raised limits wait until the lock is over.
+// Rules are locked while a timer or break is active, and for as long as the
+// user committed to from the popup. An optional emergency unlock lifts the
+// lock for a few minutes after typing a passphrase or waiting.
+
+const EMERGENCY_UNLOCK_MODES = {
+    OFF: 'off',
+    PASSPHRASE: 'passphrase', // Unlocks right after typing the passphrase
+    WAIT: 'wait' // Unlocks once the wait after asking is over
+};
+const DEFAULT_EMERGENCY_UNLOCK = {
+    mode: EMERGENCY_UNLOCK_MODES.OFF,
+    passphrase: '',
+    waitMinutes: 30
+};
+const MIN_PASSPHRASE_LENGTH = 10;
+const EMERGENCY_UNLOCK_MINUTES = 5; // How long an emergency unlock lasts
+const MAX_COMMITMENT_LOCK_MINUTES = 7 * 24 * 60;
+
+/**
+ * Works out whether the rules are locked right now.
+ * @param {object} runtimeState - Runtime state holding the commitment lock and emergency unlock window.
+ * @param {boolean} isTimerActive - Whether a break or focus session is running, or the active tab's time is counted.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {{ isLocked: boolean, isTimerLock: boolean, isCommitmentLocked: boolean,
+ *     commitmentEndTime: number | null, unlockWindow: { start: number, end: number } | null }}
+ */
+function getLockState(runtimeState, isTimerActive, now) {
+    const commitmentLock = runtimeState[STORAGE_KEYS.COMMITMENT_LOCK];
+    const storedWindow = runtimeState[STORAGE_KEYS.UNLOCK_WINDOW];
+    const unlockWindow = storedWindow && now < storedWindow.end ? storedWindow : null;
+    const isEmergencyUnlocked = Boolean(unlockWindow && now >= unlockWindow.start);
+
+    // An emergency unlock also ends the commitment lock that was running when it opened
+    const isCommitmentEnded = Boolean(storedWindow && now >= storedWindow.start
+        && commitmentLock && storedWindow.start >= commitmentLock.start);
+    const commitmentEndTime = commitmentLock && now < commitmentLock.end && !isCommitmentEnded
+        ? commitmentLock.end
+        : null;
+
+    return {
+        isLocked: (isTimerActive || commitmentEndTime !== null) && !isEmergencyUnlocked,
+        isTimerLock: isTimerActive,
+        // Locked by the user's commitment, not only by a running timer
+        isCommitmentLocked: commitmentEndTime !== null && !isEmergencyUnlocked,
+        commitmentEndTime,
+        unlockWindow
+    };
+}
+
+/**
+ * Compares two setting values. Objects are compared key by key on the keys
+ * of the current value, so settings that gained new default keys still match.
+ * @param {*} current - The current value.
+ * @param {*} updated - The new value.
+ * @returns {boolean}
+ */
+function isSameSetting(current, updated) {
+    if (current && updated && typeof current === 'object' && !Array.isArray(current)) {
+        return Object.keys(current).every(key => JSON.stringify(current[key]) === JSON.stringify(updated[key]));
+    }
+    return JSON.stringify(current) === JSON.stringify(updated);
+}
+
+/**
+ * Checks that a settings update made while the rules are locked only makes
+ * them stricter: adding entries, lowering limits, removing exceptions and
+ * schedules, and switching the overall cap, audio counting, private window
+ * counting or categories on.
+ * @param {object} updates - Settings being changed, keyed by storage key.
+ * @param {object} current - The current settings, keyed by storage key.
+ * @returns {string | null} - An error message, or null if allowed.
+ */
+function getLockedSettingsError(updates, current) {
+    for (const [key, value] of Object.entries(updates)) {
+        const currentValue = current[key];
+        if (key === STORAGE_KEYS.ALLOWED_TIME) {
+            if (value > currentValue) {
+                return "Cannot raise the overall cap while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.OVERALL_CAP_ENABLED) {
+            if (currentValue && !value) {
+                return "Cannot turn off the overall cap while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.COUNT_INCOGNITO_TIME) {
+            if (currentValue && !value) {
+                return "Cannot stop counting private windows while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.ALLOWLIST) {
+            if (value.some(entry => !currentValue.some(existing => isSameSetting(existing, entry)))) {
+                return "Cannot add exceptions while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.SCHEDULES) {
+            if (value.some(schedule => !currentValue.some(existing => isSameSetting(existing, schedule)))) {
+                return "Cannot add or change schedules while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.BLOCKED_ENTRIES) {
+            for (const existing of currentValue) {
+                const updated = value.find(entry => entry.id === existing.id);
+                if (!updated) {
+                    return "Cannot remove sites while rules are locked";
+                }
+                if (updated.pattern !== existing.pattern || updated.matchType !== existing.matchType) {
+                    return "Cannot change patterns while rules are locked";
+                }
+                if (updated.allowedTimeMinutes > existing.allowedTimeMinutes) {
+                    return "Cannot raise budgets while rules are locked";
+                }
+                if (existing.countAudible && !updated.countAudible) {
+                    return "Cannot stop counting audio while rules are locked";
+                }
+                if (updated.groupId !== existing.groupId) {
+                    return "Cannot move sites between categories while rules are locked";
+                }
+            }
+        } else if (key === STORAGE_KEYS.ENTRY_GROUPS) {
+            for (const existing of currentValue) {
+                const updated = value.find(group => group.id === existing.id);
+                if (!updated) {
+                    return "Cannot remove categories while rules are locked";
+                }
+                if (existing.enabled && !updated.enabled) {
+                    return "Cannot pause categories while rules are locked";
+                }
+            }
+        } else if (key === STORAGE_KEYS.BORROW_SETTINGS) {
+            if (value.minutes > currentValue.minutes || value.perDay > currentValue.perDay) {
+                return "Cannot allow more borrowing while rules are locked";
+            }
+        } else if (key === STORAGE_KEYS.BREAK_MESSAGE || key === STORAGE_KEYS.DYNAMIC_ICON
+            || key === STORAGE_KEYS.NOTIFICATION_SETTINGS || key === STORAGE_KEYS.HISTORY_RETENTION_DAYS) {
+            // Only changes what the break page says, how the toolbar looks, when warnings show
+            // or how long history is kept day by day
+        } else if (!isSameSetting(currentValue, value)) {
+            return "Cannot update settings while rules are locked";
+        }
+    }
+    return null;
+}
+
+/**
+ * Locks the rules for a while, on top of any timer lock.
+ * @param {number} minutes - How long to lock for.
+ */
+async function startCommitmentLock(minutes) {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_COMMITMENT_LOCK_MINUTES) {
+        throw new Error(`Please lock for between 1 minute and ${MAX_COMMITMENT_LOCK_MINUTES / (24 * 60)} days.`);
+    }
+    const now = Date.now();
+    const { [STORAGE_KEYS.COMMITMENT_LOCK]: currentLock } = await chrome.storage.local.get([STORAGE_KEYS.COMMITMENT_LOCK]);
+    // Never shorten a running lock
+    const end = Math.max(now + minutes * 60 * 1000, currentLock && now < currentLock.end ? currentLock.end : 0);
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.COMMITMENT_LOCK]: { start: now, end },
+        // A new commitment cancels any pending emergency unlock
+        [STORAGE_KEYS.UNLOCK_WINDOW]: null
+    });
+}
+
+/**
+ * Starts an emergency unlock: right away with the right passphrase, or after
+ * the configured wait.
+ * @param {string} passphrase - The passphrase typed by the user, in passphrase mode.
+ */
+async function requestEmergencyUnlock(passphrase) {
+    const now = Date.now();
+    const data = await chrome.storage.sync.get([STORAGE_KEYS.EMERGENCY_UNLOCK]);
+    const settings = { ...DEFAULT_EMERGENCY_UNLOCK, ...(data[STORAGE_KEYS.EMERGENCY_UNLOCK] ?? {}) };
+    const unlockMs = EMERGENCY_UNLOCK_MINUTES * 60 * 1000;
+
+    let start;
+    if (settings.mode === EMERGENCY_UNLOCK_MODES.PASSPHRASE) {
+        if (passphrase !== settings.passphrase) {
+            throw new Error("That passphrase doesn't match.");
+        }
+        start = now;
+    } else if (settings.mode === EMERGENCY_UNLOCK_MODES.WAIT) {
+        const { [STORAGE_KEYS.UNLOCK_WINDOW]: pendingWindow } = await chrome.storage.local.get([STORAGE_KEYS.UNLOCK_WINDOW]);
+        if (pendingWindow && now < pendingWindow.end) {
+            return; // Already waiting, asking again doesn't restart the wait
+        }
+        start = now + settings.waitMinutes * 60 * 1000;
+    } else {
+        throw new Error("Emergency unlock is turned off.");
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.UNLOCK_WINDOW]: { start, end: start + unlockMs } });
+}
+
+/**
+ * Validates the emergency unlock settings.
+ * @param {object} settings - Emergency unlock settings.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateEmergencyUnlockSettings(settings) {
+    if (!Object.values(EMERGENCY_UNLOCK_MODES).includes(settings.mode)) {
+        return "Please pick an emergency unlock option.";
+    }
+    if (settings.mode === EMERGENCY_UNLOCK_MODES.PASSPHRASE && settings.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return `Please choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    }
+    if (settings.mode === EMERGENCY_UNLOCK_MODES.WAIT && (!Number.isInteger(settings.waitMinutes) || settings.waitMinutes < 1)) {
+        return "Please enter a valid emergency unlock wait (minimum 1 minute).";
+    }
+    return null;
+}
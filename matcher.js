@@ -0,0 +1,190 @@
+// --- URL Matching ---
+// Shared by the background service worker (via importScripts) and the popup.
+
+const MATCH_TYPES = {
+    DOMAIN: 'domain', // Hostname, including its subdomains
+    PATH: 'path', // Hostname plus a path prefix
+    GLOB: 'glob', // Wildcard pattern (* and ?) against the URL without its scheme
+    REGEX: 'regex', // Regular expression against the full URL
+    KEYWORD: 'keyword' // Plain substring anywhere in the URL
+};
+
+const MATCH_TYPE_LABELS = {
+    [MATCH_TYPES.DOMAIN]: 'Domain',
+    [MATCH_TYPES.PATH]: 'Path prefix',
+    [MATCH_TYPES.GLOB]: 'Glob',
+    [MATCH_TYPES.REGEX]: 'Regex',
+    [MATCH_TYPES.KEYWORD]: 'Keyword'
+};
+
+const HOSTNAME_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Removes the scheme and a leading "www." from a user-typed pattern.
+ * @param {string} pattern - The pattern as typed.
+ * @returns {string}
+ */
+function stripScheme(pattern) {
+    return pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/^www\./i, '');
+}
+
+/**
+ * Normalizes a pattern for storage according to its match type.
+ * Regex patterns are only trimmed, since lowercasing would change their meaning.
+ * @param {string} pattern - The pattern as typed.
+ * @param {string} matchType - One of MATCH_TYPES.
+ * @returns {string}
+ */
+function normalizePattern(pattern, matchType) {
+    const trimmed = pattern.trim();
+    switch (matchType) {
+        case MATCH_TYPES.DOMAIN:
+            // Anything after the hostname (path, port) is dropped
+            return stripScheme(trimmed).toLowerCase().split(/[/:?#]/)[0];
+        case MATCH_TYPES.PATH:
+        case MATCH_TYPES.GLOB:
+            return stripScheme(trimmed).toLowerCase();
+        case MATCH_TYPES.REGEX:
+            return trimmed;
+        default:
+            return trimmed.toLowerCase();
+    }
+}
+
+/**
+ * Validates a normalized pattern for the given match type.
+ * @param {string} pattern - The normalized pattern.
+ * @param {string} matchType - One of MATCH_TYPES.
+ * @returns {string | null} - An error message, or null if the pattern is valid.
+ */
+function validatePattern(pattern, matchType) {
+    if (!pattern) {
+        return "Please enter a URL or keyword to block.";
+    }
+    switch (matchType) {
+        case MATCH_TYPES.DOMAIN:
+            return HOSTNAME_PATTERN.test(pattern) ? null : `"${pattern}" is not a valid domain.`;
+        case MATCH_TYPES.PATH: {
+            const slashIndex = pattern.indexOf('/');
+            if (slashIndex <= 0) {
+                return "A path prefix needs a domain and a path, e.g. example.com/docs";
+            }
+            const host = pattern.slice(0, slashIndex);
+            return HOSTNAME_PATTERN.test(host) ? null : `"${host}" is not a valid domain.`;
+        }
+        case MATCH_TYPES.REGEX:
+            try {
+                new RegExp(pattern, 'i');
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        case MATCH_TYPES.GLOB:
+        case MATCH_TYPES.KEYWORD:
+            return null;
+        default:
+            return `Unknown match type "${matchType}".`;
+    }
+}
+
+/**
+ * Converts a glob pattern into an anchored, case-insensitive regular expression.
+ * @param {string} glob - Pattern where * matches any run of characters and ? one character.
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks whether a hostname is the given domain or one of its subdomains.
+ * @param {string} hostname - Hostname from the URL.
+ * @param {string} domain - Normalized domain pattern.
+ * @returns {boolean}
+ */
+function hostMatchesDomain(hostname, domain) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Checks whether a URL matches a single blocked entry.
+ * @param {string} url - The URL to check.
+ * @param {object} entry - Entry with pattern and matchType.
+ * @returns {boolean}
+ */
+function urlMatchesEntry(url, entry) {
+    const matchType = entry.matchType ?? MATCH_TYPES.KEYWORD;
+    if (matchType === MATCH_TYPES.KEYWORD) {
+        return url.toLowerCase().includes(entry.pattern.toLowerCase());
+    }
+    if (matchType === MATCH_TYPES.REGEX) {
+        try {
+            return new RegExp(entry.pattern, 'i').test(url);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return false;
+    }
+
+    switch (matchType) {
+        case MATCH_TYPES.DOMAIN:
+            return hostMatchesDomain(parsedUrl.hostname, entry.pattern);
+        case MATCH_TYPES.PATH: {
+            const slashIndex = entry.pattern.indexOf('/');
+            const domain = entry.pattern.slice(0, slashIndex);
+            const pathPrefix = entry.pattern.slice(slashIndex);
+            const path = `${parsedUrl.pathname}${parsedUrl.search}`.toLowerCase();
+            return hostMatchesDomain(parsedUrl.hostname, domain) && path.startsWith(pathPrefix);
+        }
+        case MATCH_TYPES.GLOB:
+            return globToRegExp(entry.pattern).test(stripScheme(url));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks whether a URL is covered by an "always allowed" exception.
+ * @param {string} url - The URL to check.
+ * @param {object[]} allowlist - Array of allowlist entries (pattern and matchType).
+ * @returns {boolean}
+ */
+function isUrlAllowlisted(url, allowlist) {
+    if (!url || !allowlist || allowlist.length === 0) {
+        return false;
+    }
+    return allowlist.some(entry => urlMatchesEntry(url, entry));
+}
+
+/**
+ * Returns the blocked entries whose pattern matches the given URL.
+ * The allowlist is checked first: an allowlisted URL matches nothing.
+ * @param {string} url - The URL to check.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @param {object[]} [allowlist] - Array of allowlist entries.
+ * @returns {object[]} - The matching entries (empty if none).
+ */
+function findMatchingEntries(url, blockedEntries, allowlist = []) {
+    if (!url || !blockedEntries || blockedEntries.length === 0) {
+        return [];
+    }
+    if (isUrlAllowlisted(url, allowlist)) {
+        return [];
+    }
+    return blockedEntries.filter(entry => urlMatchesEntry(url, entry));
+}
@@ -0,0 +1,84 @@
+// --- Context Menus ---
+// Loaded by the background service worker via importScripts. Right-clicking a
+// page, a link or selected text offers to add it to the block list. Adding
+// entries only makes the rules stricter, so the lock never forbids it; the
+// page item is disabled while the tab is on break, since that page is either
+// blocked already or the break page itself.
+
+const CONTEXT_MENU_IDS = {
+    BLOCK_PAGE: 'block-page',
+    BLOCK_LINK: 'block-link',
+    BLOCK_SELECTION: 'block-selection'
+};
+const WEB_PAGE_PATTERNS = ['http://*/*', 'https://*/*'];
+
+// Whether the page item was last enabled, to skip updates that change nothing
+let isBlockPageMenuEnabled = null;
+
+/**
+ * Creates the context menu items. Chrome keeps them until the extension is
+ * updated, so this runs on install.
+ */
+async function createContextMenus() {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({
+        id: CONTEXT_MENU_IDS.BLOCK_PAGE,
+        title: 'Block this site',
+        contexts: ['page'],
+        documentUrlPatterns: WEB_PAGE_PATTERNS
+    });
+    chrome.contextMenus.create({
+        id: CONTEXT_MENU_IDS.BLOCK_LINK,
+        title: "Block this link's domain",
+        contexts: ['link'],
+        targetUrlPatterns: WEB_PAGE_PATTERNS
+    });
+    chrome.contextMenus.create({
+        id: CONTEXT_MENU_IDS.BLOCK_SELECTION,
+        title: 'Block "%s" as keyword',
+        contexts: ['selection']
+    });
+    isBlockPageMenuEnabled = true;
+}
+
+/**
+ * Builds the block list entry for a clicked menu item.
+ * @param {object} info - The click info from chrome.contextMenus.onClicked.
+ * @returns {{ pattern: string, matchType: string } | null} - Null for items that aren't ours.
+ */
+function getContextMenuEntry(info) {
+    switch (info.menuItemId) {
+        case CONTEXT_MENU_IDS.BLOCK_PAGE:
+            return { pattern: getWebsiteHostname(info.pageUrl), matchType: MATCH_TYPES.DOMAIN };
+        case CONTEXT_MENU_IDS.BLOCK_LINK:
+            return { pattern: getWebsiteHostname(info.linkUrl), matchType: MATCH_TYPES.DOMAIN };
+        case CONTEXT_MENU_IDS.BLOCK_SELECTION:
+            return { pattern: info.selectionText ?? '', matchType: MATCH_TYPES.KEYWORD };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Enables the page item unless the active tab is on break.
+ * @param {object} state - State as built by getExtensionState.
+ */
+async function updateContextMenus(state) {
+    const breakStatuses = [
+        ACTIVE_TAB_STATUSES.BREAK,
+        ACTIVE_TAB_STATUSES.FOCUS,
+        ACTIVE_TAB_STATUSES.ENTRY_BREAK,
+        ACTIVE_TAB_STATUSES.BREAK_PAGE
+    ];
+    const enabled = !breakStatuses.includes(state.activeTab.status);
+    if (enabled === isBlockPageMenuEnabled) {
+        return;
+    }
+    try {
+        await chrome.contextMenus.update(CONTEXT_MENU_IDS.BLOCK_PAGE, { enabled });
+        isBlockPageMenuEnabled = enabled;
+    } catch (error) {
+        // The items don't exist until createContextMenus has run
+        console.error("Error updating the context menu:", error);
+    }
+}
@@ -0,0 +1,202 @@
+// --- Network Blocking ---
+// Loaded by the background service worker via importScripts. While a break or
+// pomodoro work session runs, declarativeNetRequest rules redirect blocked
+// pages before they load, in every tab. Entries that can't be expressed as
+// rules (keywords with wildcard characters, regexes Chrome's RE2 engine
+// doesn't support) still rely on redirecting the tab once it starts loading.
+
+const NETWORK_RULES_ALARM_NAME = 'networkRulesAlarm';
+const NETWORK_RULE_PRIORITIES = {
+    BLOCK: 1,
+    ALLOW: 2 // Exceptions and the custom break URL win over blocks
+};
+// Characters with a special meaning in a urlFilter
+const URL_FILTER_SPECIAL_CHARS = /[*|^]/;
+// Storage keys that change which rules apply
+const NETWORK_RULE_KEYS = [
+    'blockedEntries',
+    'entryGroups',
+    'allowlistEntries',
+    'schedules',
+    'breakRedirectMode',
+    'customBreakUrl',
+    'breakEndTime',
+    'entryUsage',
+    'pomodoroState'
+];
+
+// Serializes rule updates, so two updates can't add the same rule ids
+let networkRulesQueue = Promise.resolve();
+// The rules last applied, to skip updates that change nothing
+let appliedNetworkRulesKey = null;
+
+/**
+ * Builds the rule condition matching the same pages as an entry.
+ * @param {object} entry - Entry with pattern and matchType.
+ * @returns {Promise<object | null>} - The condition, or null if the entry can't be expressed as a rule.
+ */
+async function buildRuleCondition(entry) {
+    const condition = { resourceTypes: ['main_frame'], isUrlFilterCaseSensitive: false };
+    let regex;
+    switch (entry.matchType) {
+        case MATCH_TYPES.DOMAIN:
+            // Matches subdomains too
+            return { ...condition, requestDomains: [entry.pattern] };
+        case MATCH_TYPES.PATH:
+        case MATCH_TYPES.KEYWORD:
+            if (URL_FILTER_SPECIAL_CHARS.test(entry.pattern) || !/^[\x20-\x7e]+$/.test(entry.pattern)) {
+                return null;
+            }
+            // "||" anchors the path prefix at the start of the hostname, or any subdomain
+            return {
+                ...condition,
+                urlFilter: entry.matchType === MATCH_TYPES.PATH ? `||${entry.pattern}` : entry.pattern
+            };
+        case MATCH_TYPES.GLOB:
+            // Globs match the URL without its scheme and leading "www."
+            regex = `^[a-z][a-z0-9+.-]*://(www\\.)?${globToRegExp(entry.pattern).source.slice(1)}`;
+            break;
+        case MATCH_TYPES.REGEX:
+            regex = entry.pattern;
+            break;
+        default:
+            return null;
+    }
+    const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex, isCaseSensitive: false });
+    return isSupported ? { ...condition, regexFilter: regex } : null;
+}
+
+/**
+ * Builds the redirect to the break page or the custom break URL.
+ * @param {object} settings - Storage snapshot with breakRedirectMode and customBreakUrl.
+ * @param {number} breakEndTime - Timestamp (ms) when the break ends.
+ * @returns {object} - A rule action.
+ */
+function buildBreakRuleAction(settings, breakEndTime) {
+    // The requested URL isn't known when the rule is written, so the break page can't link back
+    const url = buildBreakRedirectUrl(settings, null, breakEndTime);
+    const extensionRoot = chrome.runtime.getURL('');
+    const redirect = url.startsWith(extensionRoot)
+        ? { extensionPath: url.slice(extensionRoot.length - 1) }
+        : { url };
+    return { type: 'redirect', redirect };
+}
+
+/**
+ * Builds the rules for the entries on break right now: the ones whose own
+ * break runs, or all enforced entries during the shared break or a pomodoro
+ * work session.
+ * @param {object} data - Storage snapshot with the NETWORK_RULE_KEYS.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {Promise<{ rules: object[], nextChange: number | null }>} - The rules, and when
+ *     they next change: when the first running break ends, or a schedule starts or ends.
+ */
+async function buildBreakRules(data, now) {
+    const enforcedEntries = getScheduledEntries(
+        getEnabledEntries(data[STORAGE_KEYS.BLOCKED_ENTRIES], data[STORAGE_KEYS.ENTRY_GROUPS]),
+        data[STORAGE_KEYS.SCHEDULES] ?? [],
+        now
+    );
+    const entryUsage = data[STORAGE_KEYS.ENTRY_USAGE] ?? {};
+    const sharedEndTimes = [
+        data[STORAGE_KEYS.BREAK_END_TIME],
+        getPomodoroFocusEndTime(data[STORAGE_KEYS.POMODORO_STATE], now)
+    ];
+    const runningEndTimes = [...sharedEndTimes, ...Object.values(entryUsage).map(usage => usage.breakEndTime)]
+        .filter(endTime => endTime && now < endTime);
+    if (runningEndTimes.length === 0) {
+        return { rules: [], nextChange: null };
+    }
+    // Schedules starting or ending during a break change which entries it blocks
+    const nextChange = Math.min(...runningEndTimes, getNextScheduleChange(data[STORAGE_KEYS.SCHEDULES] ?? [], now) ?? Infinity);
+
+    const rules = [];
+    for (const entry of enforcedEntries) {
+        const endTimes = [...sharedEndTimes, entryUsage[entry.id]?.breakEndTime]
+            .filter(endTime => endTime && now < endTime);
+        if (endTimes.length === 0) {
+            continue;
+        }
+        const condition = await buildRuleCondition(entry);
+        if (!condition) {
+            continue; // Left to the redirect in tabs.onUpdated
+        }
+        const breakEndTime = Math.max(...endTimes);
+        rules.push({
+            id: rules.length + 1,
+            priority: NETWORK_RULE_PRIORITIES.BLOCK,
+            action: buildBreakRuleAction(data, breakEndTime),
+            condition
+        });
+    }
+    if (rules.length === 0) {
+        return { rules, nextChange };
+    }
+
+    // Exceptions must win. If one can't be expressed as a rule, a block rule
+    // could cover pages it allows, so leave everything to the redirect.
+    const allowConditions = [];
+    for (const entry of data[STORAGE_KEYS.ALLOWLIST] ?? []) {
+        allowConditions.push(await buildRuleCondition(entry));
+    }
+    const customBreakUrl = data[STORAGE_KEYS.CUSTOM_BREAK_URL];
+    if (data[STORAGE_KEYS.BREAK_REDIRECT_MODE] === BREAK_REDIRECT_MODES.CUSTOM && customBreakUrl) {
+        // Never block the custom break URL, or the redirect would loop
+        allowConditions.push(URL_FILTER_SPECIAL_CHARS.test(customBreakUrl)
+            ? null
+            : { resourceTypes: ['main_frame'], urlFilter: `|${customBreakUrl}` });
+    }
+    if (allowConditions.includes(null)) {
+        console.warn("An exception can't be expressed as a network rule. Blocked pages will be redirected after they start loading.");
+        return { rules: [], nextChange: null };
+    }
+    for (const condition of allowConditions) {
+        rules.push({
+            id: rules.length + 1,
+            priority: NETWORK_RULE_PRIORITIES.ALLOW,
+            action: { type: 'allow' },
+            condition
+        });
+    }
+    return { rules, nextChange };
+}
+
+/**
+ * Replaces the network rules with the ones for the breaks running now, and
+ * schedules the next update for when they change.
+ */
+async function updateNetworkRules() {
+    const now = Date.now();
+    try {
+        const data = await getStoredValues(NETWORK_RULE_KEYS);
+        const { rules, nextChange } = await buildBreakRules(data, now);
+
+        const rulesKey = JSON.stringify(rules);
+        if (rulesKey !== appliedNetworkRulesKey) {
+            const currentRules = await chrome.declarativeNetRequest.getDynamicRules();
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: currentRules.map(rule => rule.id),
+                addRules: rules
+            });
+            appliedNetworkRulesKey = rulesKey;
+            console.log(`Network rules updated: ${rules.length} rules.`);
+        }
+
+        if (nextChange) {
+            await chrome.alarms.create(NETWORK_RULES_ALARM_NAME, { when: nextChange });
+        } else {
+            await chrome.alarms.clear(NETWORK_RULES_ALARM_NAME);
+        }
+    } catch (error) {
+        console.error("Error updating network rules:", error);
+    }
+}
+
+/**
+ * Runs a rule update after any that is already running.
+ * @returns {Promise<void>}
+ */
+function queueNetworkRulesUpdate() {
+    networkRulesQueue = networkRulesQueue.then(updateNetworkRules);
+    return networkRulesQueue;
+}
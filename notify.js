@@ -0,0 +1,196 @@
+// --- Notifications ---
+// Loaded by the background service worker via importScripts. Warns when a
+// budget is about to run out, once per threshold, and tells the user when
+// breaks start and end. Each budget has its own stable notification id, so a
+// newer notification replaces the older one instead of piling up.
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    warningMinutes: [5, 1], // Warn when this many minutes of a budget are left
+    breakNotifications: true // Notify when breaks start and end
+};
+const MAX_WARNING_THRESHOLDS = 5;
+const OVERALL_BUDGET_ID = 'overall'; // Budget id of the shared cap; entries use their own id
+const NOTIFICATION_KINDS = {
+    WARNING: 'warning',
+    BREAK_START: 'breakStart',
+    BREAK_END: 'breakEnd',
+    COMMAND: 'command' // Replies to keyboard shortcuts and context menu items
+};
+const WARNING_BUTTONS = {
+    START_BREAK: 0,
+    BORROW: 1
+};
+
+/**
+ * Builds the notification id for a budget, e.g. "warning:overall".
+ * @param {string} kind - One of NOTIFICATION_KINDS.
+ * @param {string} budgetId - An entry id or OVERALL_BUDGET_ID.
+ * @returns {string}
+ */
+function getNotificationId(kind, budgetId) {
+    return `${kind}:${budgetId}`;
+}
+
+/**
+ * Splits a notification id built by getNotificationId.
+ * @param {string} notificationId
+ * @returns {{ kind: string, budgetId: string }}
+ */
+function parseNotificationId(notificationId) {
+    const separatorIndex = notificationId.indexOf(':');
+    return {
+        kind: notificationId.slice(0, separatorIndex),
+        budgetId: notificationId.slice(separatorIndex + 1)
+    };
+}
+
+/**
+ * Names a budget for notifications.
+ * @param {string} budgetId - An entry id or OVERALL_BUDGET_ID.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @returns {{ id: string, label: string } | null} - Null if the entry no longer exists.
+ */
+function getBudgetInfo(budgetId, blockedEntries) {
+    if (budgetId === OVERALL_BUDGET_ID) {
+        return { id: budgetId, label: 'All blocked sites' };
+    }
+    const entry = blockedEntries.find(other => other.id === budgetId);
+    return entry ? { id: entry.id, label: entry.pattern } : null;
+}
+
+/**
+ * Works out which budgets crossed a warning threshold since the last check.
+ * A threshold fires once, and is armed again once the budget has more time
+ * left than it, e.g. after a reset, a borrow or a raised budget.
+ * @param {{ id: string, label: string, remainingMs: number }[]} budgets - The budgets being counted.
+ * @param {object} firedWarnings - Thresholds (minutes) already fired, keyed by budget id.
+ * @param {number[]} warningMinutes - The warning thresholds.
+ * @returns {{ warnings: { budget: object, minutes: number }[], firedWarnings: object }}
+ *     The warnings to show, with the smallest threshold crossed, and the updated fired thresholds.
+ */
+function getBudgetWarnings(budgets, firedWarnings, warningMinutes) {
+    const updatedFiredWarnings = { ...firedWarnings };
+    const warnings = [];
+    for (const budget of budgets) {
+        if (budget.remainingMs <= 0) {
+            continue; // Its break starts instead
+        }
+        const crossed = warningMinutes.filter(minutes => budget.remainingMs <= minutes * 60 * 1000);
+        const alreadyFired = (firedWarnings[budget.id] ?? []).filter(minutes => crossed.includes(minutes));
+        if (crossed.some(minutes => !alreadyFired.includes(minutes))) {
+            warnings.push({ budget, minutes: Math.min(...crossed) });
+        }
+        if (crossed.length > 0) {
+            updatedFiredWarnings[budget.id] = crossed;
+        } else {
+            delete updatedFiredWarnings[budget.id];
+        }
+    }
+    return { warnings, firedWarnings: updatedFiredWarnings };
+}
+
+/**
+ * Warns that a budget is about to run out.
+ * @param {{ id: string, label: string }} budget - The budget.
+ * @param {number} minutes - The threshold crossed.
+ * @param {number} borrowMinutes - Time a borrow gives, or 0 if no borrow is left.
+ */
+function showBudgetWarning(budget, minutes, borrowMinutes) {
+    const buttons = [{ title: 'Start break now' }];
+    if (borrowMinutes > 0) {
+        buttons.push({ title: `Borrow ${borrowMinutes} min` });
+    }
+    chrome.notifications.create(getNotificationId(NOTIFICATION_KINDS.WARNING, budget.id), {
+        type: 'basic',
+        iconUrl: 'icons/ICON_16.png',
+        title: 'Focus Time Blocker',
+        message: `${budget.label}: less than ${minutes} minute${minutes === 1 ? '' : 's'} left.`,
+        buttons
+    });
+}
+
+/**
+ * Tells the user a break started or ended.
+ * @param {string} kind - NOTIFICATION_KINDS.BREAK_START or NOTIFICATION_KINDS.BREAK_END.
+ * @param {{ id: string, label: string }} budget - The budget whose break it is.
+ * @param {number | null} [breakEndTime] - When a starting break ends.
+ */
+function showBreakNotification(kind, budget, breakEndTime = null) {
+    // The warning for this budget no longer applies
+    chrome.notifications.clear(getNotificationId(NOTIFICATION_KINDS.WARNING, budget.id));
+    const message = kind === NOTIFICATION_KINDS.BREAK_START
+        ? `${budget.label}: break until ${new Date(breakEndTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+        : `${budget.label}: break's over, your budget starts again.`;
+    chrome.notifications.create(getNotificationId(kind, budget.id), {
+        type: 'basic',
+        iconUrl: 'icons/ICON_16.png',
+        title: 'Focus Time Blocker',
+        message
+    });
+}
+
+/**
+ * Clears the warnings of budgets a break now blocks, so their buttons can't be used.
+ * @param {string[]} budgetIds - Entry ids, and OVERALL_BUDGET_ID for the shared cap.
+ */
+function clearBudgetWarnings(budgetIds) {
+    for (const budgetId of budgetIds) {
+        chrome.notifications.clear(getNotificationId(NOTIFICATION_KINDS.WARNING, budgetId));
+    }
+}
+
+/**
+ * Shows the reply to a keyboard shortcut or context menu item, replacing the previous one.
+ * @param {string} message - What happened.
+ */
+function showCommandNotification(message) {
+    chrome.notifications.create(NOTIFICATION_KINDS.COMMAND, {
+        type: 'basic',
+        iconUrl: 'icons/ICON_16.png',
+        title: 'Focus Time Blocker',
+        message
+    });
+}
+
+/**
+ * Describes how much time the active tab has left, for the remaining-time shortcut.
+ * @param {object} state - State as built by getExtensionState.
+ * @returns {string}
+ */
+function describeRemainingTime(state) {
+    const { activeTab, settings, timeSpent } = state;
+    const formatClock = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const formatMinutes = ms => {
+        const minutes = Math.max(0, Math.ceil(ms / 60000));
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    };
+    switch (activeTab.status) {
+        case ACTIVE_TAB_STATUSES.BREAK:
+        case ACTIVE_TAB_STATUSES.ENTRY_BREAK:
+            return `On a break until ${formatClock(activeTab.endTime)}.`;
+        case ACTIVE_TAB_STATUSES.FOCUS:
+            return `Work session until ${formatClock(activeTab.endTime)}.`;
+        case ACTIVE_TAB_STATUSES.COUNTING:
+            return `${formatMinutes(activeTab.remainingMs)} left on this site.`;
+        default:
+            if (settings.overallCapEnabled) {
+                const remainingMs = settings.allowedTimeMinutes * 60 * 1000 - timeSpent;
+                return `This page isn't limited. ${formatMinutes(remainingMs)} left across all blocked sites.`;
+            }
+            return "This page isn't limited.";
+    }
+}
+
+/**
+ * Validates the notification settings.
+ * @param {object} settings - Notification settings.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateNotificationSettings(settings) {
+    const { warningMinutes } = settings;
+    if (!Array.isArray(warningMinutes) || warningMinutes.length > MAX_WARNING_THRESHOLDS
+        || warningMinutes.some(minutes => !Number.isInteger(minutes) || minutes < 1)) {
+        return `Please enter up to ${MAX_WARNING_THRESHOLDS} warning times in whole minutes, e.g. 5, 1.`;
+    }
+    return null;
+}
@@ -0,0 +1,1341 @@
+// --- DOM Elements ---
+const statusDiv = document.getElementById('status');
+const lockStatusDiv = document.getElementById('lockStatus');
+const newEntryInput = document.getElementById('newEntry');
+const newEntryTypeSelect = document.getElementById('newEntryType');
+const matchPreviewDiv = document.getElementById('matchPreview');
+const newEntryBudgetInput = document.getElementById('newEntryBudget');
+const newEntryNoteInput = document.getElementById('newEntryNote');
+const newEntryCountAudibleInput = document.getElementById('newEntryCountAudible');
+const newEntryBulkModeInput = document.getElementById('newEntryBulkMode');
+const newEntryBulkInput = document.getElementById('newEntryBulk');
+const bulkResultsUl = document.getElementById('bulkResults');
+const addEntryBtn = document.getElementById('addEntryBtn');
+const presetCategorySelect = document.getElementById('presetCategory');
+const addCategoryBtn = document.getElementById('addCategoryBtn');
+const blockListUl = document.getElementById('blockList');
+const newAllowEntryInput = document.getElementById('newAllowEntry');
+const newAllowTypeSelect = document.getElementById('newAllowType');
+const addAllowBtn = document.getElementById('addAllowBtn');
+const allowListUl = document.getElementById('allowList');
+const newScheduleNameInput = document.getElementById('newScheduleName');
+const newScheduleDaysDiv = document.getElementById('newScheduleDays');
+const newScheduleRangesInput = document.getElementById('newScheduleRanges');
+const newScheduleEntriesDiv = document.getElementById('newScheduleEntries');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+const scheduleListUl = document.getElementById('scheduleList');
+const timeLimitInput = document.getElementById('timeLimit');
+const overallCapEnabledInput = document.getElementById('overallCapEnabled');
+const dailyResetTimeInput = document.getElementById('dailyResetTime');
+const emergencyUnlockModeSelect = document.getElementById('emergencyUnlockMode');
+const emergencyPassphraseSettingInput = document.getElementById('emergencyPassphraseSetting');
+const emergencyWaitSettingDiv = document.getElementById('emergencyWaitSetting');
+const emergencyWaitMinutesInput = document.getElementById('emergencyWaitMinutes');
+const breakRedirectModeSelect = document.getElementById('breakRedirectMode');
+const customBreakUrlInput = document.getElementById('customBreakUrl');
+const breakMessageInput = document.getElementById('breakMessage');
+const warningMinutesInput = document.getElementById('warningMinutes');
+const breakNotificationsInput = document.getElementById('breakNotifications');
+const borrowMinutesInput = document.getElementById('borrowMinutes');
+const borrowsPerDayInput = document.getElementById('borrowsPerDay');
+const dynamicIconInput = document.getElementById('dynamicIcon');
+const countIncognitoTimeInput = document.getElementById('countIncognitoTime');
+const pomodoroEnabledInput = document.getElementById('pomodoroEnabled');
+const pomodoroSettingsDiv = document.getElementById('pomodoroSettings');
+const pomodoroWorkInput = document.getElementById('pomodoroWork');
+const pomodoroShortBreakInput = document.getElementById('pomodoroShortBreak');
+const pomodoroLongBreakInput = document.getElementById('pomodoroLongBreak');
+const pomodoroCyclesInput = document.getElementById('pomodoroCycles');
+const pomodoroAutoStartInput = document.getElementById('pomodoroAutoStart');
+const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importFileInput = document.getElementById('importFile');
+const importTextInput = document.getElementById('importText');
+const importModeSelect = document.getElementById('importMode');
+const importBtn = document.getElementById('importBtn');
+const importReportDiv = document.getElementById('importReport');
+const resetDataBtn = document.getElementById('resetDataBtn');
+const profileListUl = document.getElementById('profileList');
+const newProfileNameInput = document.getElementById('newProfileName');
+const newProfileCopyInput = document.getElementById('newProfileCopy');
+const addProfileBtn = document.getElementById('addProfileBtn');
+
+// The latest state reported by the background worker
+let currentState = null;
+// What the lists were last rendered from, see renderState
+let renderedListsKey = null;
+// Id of the blocked entry being edited in place, if any
+let editingEntryId = null;
+// Profile the settings form was last filled in from, see renderState
+let filledProfileId = null;
+
+// --- Functions ---
+
+/**
+ * Finds the section an entry is listed in: its category, or null for entries
+ * without one (or whose category no longer exists).
+ * @param {object} entry - The blocked entry.
+ * @param {object[]} entryGroups - Array of { id, name, enabled } categories.
+ * @returns {string | null}
+ */
+function getEntrySectionId(entry, entryGroups) {
+    return entryGroups.some(group => group.id === entry.groupId) ? entry.groupId : null;
+}
+
+/**
+ * Renders the block list: entries without a category first, then each
+ * category with a header to pause or remove it. Entries keep the order of
+ * the block list within their section.
+ * @param {object[]} list - Array of blocked entry objects.
+ * @param {object[]} entryGroups - Array of { id, name, enabled } categories.
+ * @param {boolean} isInBreak - Whether we're currently in a break period.
+ * @param {boolean} isLocked - Whether the rules are locked.
+ */
+function renderBlockList(list, entryGroups = [], isInBreak = false, isLocked = false) {
+    blockListUl.innerHTML = ''; // Clear existing list
+    if ((!list || list.length === 0) && entryGroups.length === 0) {
+        blockListUl.innerHTML = '<li>No sites/keywords blocked yet.</li>';
+        return;
+    }
+    const sections = [null, ...entryGroups.map(group => group.id)];
+    for (const sectionId of sections) {
+        const group = entryGroups.find(other => other.id === sectionId);
+        const sectionEntries = list.filter(entry => getEntrySectionId(entry, entryGroups) === sectionId);
+        if (group) {
+            blockListUl.appendChild(createGroupHeaderItem(group, sectionEntries.length, isInBreak, isLocked));
+        }
+        sectionEntries.forEach((entry, position) => {
+            const index = list.indexOf(entry);
+            const li = entry.id === editingEntryId
+                ? createEditingItem(entry, index, isLocked)
+                : createBlockListItem(entry, index, isInBreak, isLocked, {
+                    isFirst: position === 0,
+                    isLast: position === sectionEntries.length - 1
+                });
+            if (group) {
+                li.classList.add('grouped');
+                li.classList.toggle('paused', !group.enabled);
+            }
+            blockListUl.appendChild(li);
+        });
+    }
+}
+
+/**
+ * Creates the list item for one blocked entry.
+ * @param {object} entry - The blocked entry.
+ * @param {number} index - Index of the entry in the block list.
+ * @param {boolean} isInBreak - Whether we're currently in a break period.
+ * @param {boolean} isLocked - Whether the rules are locked.
+ * @param {{ isFirst: boolean, isLast: boolean }} position - Where the entry is in its section.
+ * @returns {HTMLLIElement}
+ */
+function createBlockListItem(entry, index, isInBreak, isLocked, position) {
+    const li = document.createElement('li');
+
+    const upBtn = document.createElement('button');
+    upBtn.textContent = '↑';
+    upBtn.title = 'Move up';
+    upBtn.classList.add('entry-move');
+    upBtn.dataset.index = index;
+    upBtn.dataset.direction = '-1';
+    upBtn.disabled = position.isFirst;
+    upBtn.addEventListener('click', handleMoveEntry);
+
+    const downBtn = document.createElement('button');
+    downBtn.textContent = '↓';
+    downBtn.title = 'Move down';
+    downBtn.classList.add('entry-move');
+    downBtn.dataset.index = index;
+    downBtn.dataset.direction = '1';
+    downBtn.disabled = position.isLast;
+    downBtn.addEventListener('click', handleMoveEntry);
+
+    const typeSpan = document.createElement('span');
+    typeSpan.textContent = MATCH_TYPE_LABELS[entry.matchType] ?? MATCH_TYPE_LABELS[MATCH_TYPES.KEYWORD];
+    typeSpan.classList.add('entry-type');
+
+    const detailsDiv = document.createElement('div');
+    detailsDiv.classList.add('entry-details');
+    const textSpan = document.createElement('span');
+    textSpan.textContent = entry.pattern;
+    textSpan.title = entry.pattern;
+    textSpan.classList.add('entry-pattern');
+    detailsDiv.appendChild(textSpan);
+    if (entry.note) {
+        const noteSpan = document.createElement('span');
+        noteSpan.textContent = entry.note;
+        noteSpan.title = entry.note;
+        noteSpan.classList.add('entry-note');
+        detailsDiv.appendChild(noteSpan);
+    }
+
+    const budgetInput = document.createElement('input');
+    budgetInput.type = 'number';
+    budgetInput.min = '1';
+    budgetInput.value = entry.allowedTimeMinutes;
+    budgetInput.title = isLocked ? 'Budget (minutes) - can only be lowered while rules are locked' : 'Budget (minutes)';
+    budgetInput.classList.add('entry-budget');
+    budgetInput.dataset.index = index;
+    budgetInput.addEventListener('change', handleBudgetChange);
+
+    const audibleLabel = document.createElement('label');
+    audibleLabel.classList.add('entry-audible');
+    audibleLabel.title = 'Count time while playing audio in a background tab';
+    const audibleInput = document.createElement('input');
+    audibleInput.type = 'checkbox';
+    audibleInput.checked = Boolean(entry.countAudible);
+    audibleInput.dataset.index = index;
+    audibleInput.addEventListener('change', handleCountAudibleChange);
+    audibleLabel.appendChild(audibleInput);
+    audibleLabel.appendChild(document.createTextNode('🔊'));
+
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.classList.add('entry-edit');
+    editBtn.dataset.entryId = entry.id;
+    editBtn.title = isLocked ? 'Only the note can be changed while rules are locked' : 'Edit the pattern, match type or note';
+    editBtn.addEventListener('click', handleEditEntry);
+
+    li.appendChild(upBtn);
+    li.appendChild(downBtn);
+    li.appendChild(typeSpan);
+    li.appendChild(detailsDiv);
+    li.appendChild(budgetInput);
+    li.appendChild(audibleLabel);
+    li.appendChild(editBtn);
+
+    // Background audio can't stop counting while the rules are locked
+    if (isLocked && entry.countAudible) {
+        audibleInput.disabled = true;
+        audibleLabel.title = "Cannot stop counting audio while rules are locked";
+    }
+
+    if (!isInBreak) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.dataset.index = index;
+        removeBtn.addEventListener('click', handleRemoveEntry);
+
+        // Disable remove button while the rules are locked
+        if (isLocked) {
+            removeBtn.disabled = true;
+            removeBtn.classList.add('disabled');
+            removeBtn.title = "Cannot remove sites while rules are locked";
+        }
+
+        li.appendChild(removeBtn);
+    }
+
+    li.classList.add('fade-in');
+    setTimeout(() => li.classList.remove('fade-in'), 500);
+    return li;
+}
+
+/**
+ * Creates the list item of the entry being edited, with its pattern, match
+ * type and note in a form.
+ * @param {object} entry - The blocked entry.
+ * @param {number} index - Index of the entry in the block list.
+ * @param {boolean} isLocked - Whether the rules are locked.
+ * @returns {HTMLLIElement}
+ */
+function createEditingItem(entry, index, isLocked) {
+    const li = document.createElement('li');
+    li.classList.add('editing');
+
+    const typeSelect = newEntryTypeSelect.cloneNode(true);
+    typeSelect.removeAttribute('id');
+    typeSelect.value = entry.matchType;
+    typeSelect.classList.add('entry-type-input');
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.value = entry.pattern;
+    patternInput.classList.add('entry-pattern-input');
+
+    // Patterns and match types can't change while the rules are locked
+    if (isLocked) {
+        typeSelect.disabled = true;
+        patternInput.disabled = true;
+        patternInput.title = "Cannot change patterns while rules are locked";
+    }
+
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.maxLength = newEntryNoteInput.maxLength;
+    noteInput.value = entry.note ?? '';
+    noteInput.placeholder = 'Note (optional)';
+    noteInput.classList.add('entry-note-input');
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    saveBtn.classList.add('entry-edit');
+    saveBtn.dataset.index = index;
+    saveBtn.addEventListener('click', handleSaveEntryEdit);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', handleCancelEntryEdit);
+
+    li.appendChild(typeSelect);
+    li.appendChild(patternInput);
+    li.appendChild(noteInput);
+    li.appendChild(saveBtn);
+    li.appendChild(cancelBtn);
+    return li;
+}
+
+/**
+ * Creates the header item of a category, with a switch to pause it.
+ * @param {object} group - The category.
+ * @param {number} entryCount - How many entries the category has.
+ * @param {boolean} isInBreak - Whether we're currently in a break period.
+ * @param {boolean} isLocked - Whether the rules are locked.
+ * @returns {HTMLLIElement}
+ */
+function createGroupHeaderItem(group, entryCount, isInBreak, isLocked) {
+    const li = document.createElement('li');
+    li.classList.add('group-header');
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.classList.add('group-enabled');
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = group.enabled;
+    enabledInput.dataset.groupId = group.id;
+    enabledInput.addEventListener('change', handleGroupEnabledChange);
+    enabledLabel.appendChild(enabledInput);
+    enabledLabel.appendChild(document.createTextNode(`${group.name} (${entryCount})`));
+    enabledLabel.title = group.enabled ? 'Uncheck to pause this category' : 'Paused - check to block this category again';
+    li.appendChild(enabledLabel);
+
+    // Pausing a category loosens the rules
+    if (isLocked && group.enabled) {
+        enabledInput.disabled = true;
+        enabledLabel.title = "Cannot pause categories while rules are locked";
+    }
+
+    if (!isInBreak) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.dataset.groupId = group.id;
+        removeBtn.addEventListener('click', handleRemoveGroup);
+        if (isLocked) {
+            removeBtn.disabled = true;
+            removeBtn.classList.add('disabled');
+            removeBtn.title = "Cannot remove categories while rules are locked";
+        }
+        li.appendChild(removeBtn);
+    }
+    return li;
+}
+
+/**
+ * Renders the "Always allowed" list.
+ * Removing an exception only makes rules stricter, so it is always possible.
+ * @param {object[]} list - Array of allowlist entries.
+ */
+function renderAllowList(list) {
+    allowListUl.innerHTML = ''; // Clear existing list
+    if (!list || list.length === 0) {
+        allowListUl.innerHTML = '<li>No exceptions yet.</li>';
+        return;
+    }
+    list.forEach((entry, index) => {
+        const li = document.createElement('li');
+        const typeSpan = document.createElement('span');
+        typeSpan.textContent = MATCH_TYPE_LABELS[entry.matchType] ?? MATCH_TYPE_LABELS[MATCH_TYPES.KEYWORD];
+        typeSpan.classList.add('entry-type');
+
+        const textSpan = document.createElement('span');
+        textSpan.textContent = entry.pattern;
+        textSpan.title = entry.pattern;
+        textSpan.classList.add('entry-pattern');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.dataset.index = index;
+        removeBtn.addEventListener('click', handleRemoveAllowEntry);
+
+        li.appendChild(typeSpan);
+        li.appendChild(textSpan);
+        li.appendChild(removeBtn);
+        allowListUl.appendChild(li);
+    });
+}
+
+/**
+ * Renders the schedule list and the entry picker of the add-schedule form.
+ * Removing a schedule makes its entries always enforced, so it is always possible.
+ * @param {object[]} schedules - Array of schedules.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ */
+function renderScheduleList(schedules, blockedEntries) {
+    scheduleListUl.innerHTML = ''; // Clear existing list
+    if (!schedules || schedules.length === 0) {
+        scheduleListUl.innerHTML = '<li>No schedules - blocking is always on.</li>';
+    } else {
+        schedules.forEach((schedule, index) => {
+            const li = document.createElement('li');
+            const textSpan = document.createElement('span');
+            const patterns = blockedEntries
+                .filter(entry => schedule.entryIds.includes(entry.id))
+                .map(entry => entry.pattern);
+            textSpan.textContent = `${schedule.name}: ${formatSchedule(schedule)}`;
+            textSpan.title = patterns.length > 0 ? `Applies to: ${patterns.join(', ')}` : 'Applies to no entries';
+            textSpan.classList.add('entry-pattern');
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.dataset.index = index;
+            removeBtn.addEventListener('click', handleRemoveSchedule);
+
+            li.appendChild(textSpan);
+            li.appendChild(removeBtn);
+            scheduleListUl.appendChild(li);
+        });
+    }
+
+    newScheduleEntriesDiv.innerHTML = '';
+    blockedEntries.forEach(entry => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = entry.id;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(entry.pattern));
+        newScheduleEntriesDiv.appendChild(label);
+    });
+}
+
+/**
+ * Renders the profile list. The active profile can't be removed, and the
+ * others can be switched to.
+ * @param {object[]} profiles - Array of { id, name } profiles.
+ * @param {string} activeProfileId - Id of the active profile.
+ */
+function renderProfileList(profiles, activeProfileId) {
+    profileListUl.innerHTML = ''; // Clear existing list
+    profiles.forEach(profile => {
+        const li = document.createElement('li');
+        const isActive = profile.id === activeProfileId;
+        const textSpan = document.createElement('span');
+        textSpan.textContent = isActive ? `${profile.name} (active)` : profile.name;
+        textSpan.title = profile.name;
+        textSpan.classList.add('entry-pattern');
+        li.appendChild(textSpan);
+
+        if (!isActive) {
+            const switchBtn = document.createElement('button');
+            switchBtn.textContent = 'Switch';
+            switchBtn.dataset.profileId = profile.id;
+            switchBtn.addEventListener('click', handleSwitchProfile);
+            li.appendChild(switchBtn);
+        }
+
+        const renameBtn = document.createElement('button');
+        renameBtn.textContent = 'Rename';
+        renameBtn.dataset.profileId = profile.id;
+        renameBtn.addEventListener('click', handleRenameProfile);
+        li.appendChild(renameBtn);
+
+        if (!isActive) {
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.dataset.profileId = profile.id;
+            removeBtn.addEventListener('click', handleRemoveProfile);
+            li.appendChild(removeBtn);
+        }
+        profileListUl.appendChild(li);
+    });
+}
+
+/**
+ * Fills the settings form in from the reported settings.
+ * @param {object} settings - Settings as reported by the background worker.
+ */
+function fillSettingsForm(settings) {
+    timeLimitInput.value = settings.allowedTimeMinutes;
+    overallCapEnabledInput.checked = settings.overallCapEnabled;
+    dailyResetTimeInput.value = settings.dailyResetTime;
+    breakRedirectModeSelect.value = settings.breakRedirectMode;
+    customBreakUrlInput.value = settings.customBreakUrl;
+    breakMessageInput.value = settings.breakMessage;
+    updateCustomBreakUrlVisibility();
+
+    const pomodoroSettings = settings.pomodoroSettings;
+    pomodoroEnabledInput.checked = pomodoroSettings.enabled;
+    pomodoroWorkInput.value = pomodoroSettings.workMinutes;
+    pomodoroShortBreakInput.value = pomodoroSettings.shortBreakMinutes;
+    pomodoroLongBreakInput.value = pomodoroSettings.longBreakMinutes;
+    pomodoroCyclesInput.value = pomodoroSettings.cyclesBeforeLongBreak;
+    pomodoroAutoStartInput.checked = pomodoroSettings.autoStartNextCycle;
+    updatePomodoroSettingsVisibility();
+
+    const emergencyUnlock = settings.emergencyUnlock;
+    emergencyUnlockModeSelect.value = emergencyUnlock.mode;
+    // The background never sends the passphrase back; leaving it empty keeps it
+    emergencyPassphraseSettingInput.value = '';
+    emergencyPassphraseSettingInput.placeholder = emergencyUnlock.mode === 'passphrase'
+        ? 'Passphrase (leave empty to keep it)'
+        : 'Passphrase (at least 10 characters)';
+    emergencyWaitMinutesInput.value = emergencyUnlock.waitMinutes;
+    updateEmergencyUnlockVisibility();
+
+    const notificationSettings = settings.notificationSettings;
+    warningMinutesInput.value = notificationSettings.warningMinutes.join(', ');
+    breakNotificationsInput.checked = notificationSettings.breakNotifications;
+    borrowMinutesInput.value = settings.borrowSettings.minutes;
+    borrowsPerDayInput.value = settings.borrowSettings.perDay;
+    dynamicIconInput.checked = settings.dynamicIcon;
+    countIncognitoTimeInput.checked = settings.countIncognitoTime;
+    filledProfileId = settings.activeProfileId;
+}
+
+/**
+ * Keeps a state reported by the background worker and renders it.
+ * @param {object} state - The reported state.
+ */
+function applyState(state) {
+    currentState = state;
+    renderState();
+}
+
+/**
+ * Renders the lists and the lock from the latest reported state. Lists are
+ * only rebuilt when they change, so inputs being edited aren't replaced
+ * under the user.
+ */
+function renderState() {
+    if (!currentState) {
+        return;
+    }
+    const { settings, breakEndTime, lock } = currentState;
+    const listsKey = JSON.stringify([settings, breakEndTime, lock.isLocked, editingEntryId]);
+    if (listsKey !== renderedListsKey) {
+        renderedListsKey = listsKey;
+        renderProfileList(settings.profiles, settings.activeProfileId);
+        renderBlockList(settings.blockedEntries, settings.entryGroups, Boolean(breakEndTime), lock.isLocked);
+        renderAllowList(settings.allowlistEntries);
+        renderScheduleList(settings.schedules, settings.blockedEntries);
+    }
+    // Another profile's rules are in place, e.g. after switching from the
+    // popup, so the form would otherwise save the old profile's values over them
+    if (filledProfileId !== null && filledProfileId !== settings.activeProfileId) {
+        fillSettingsForm(settings);
+    }
+    lockStatusDiv.textContent = lock.isLocked ? '🔒 Rules locked - only stricter changes allowed' : '';
+    lockStatusDiv.classList.toggle('locked', lock.isLocked);
+    updateLockedControls(lock.isLocked);
+}
+
+/**
+ * Loads the state from the background worker and fills in the settings form.
+ */
+async function loadSettings() {
+    try {
+        await sendToBackground({ type: 'getState' });
+        fillSettingsForm(currentState.settings);
+    } catch (error) {
+        console.error("Error loading settings:", error);
+        statusDiv.textContent = "Error loading settings.";
+    }
+}
+
+/**
+ * Sends the settings from the UI to the background worker, which validates them.
+ */
+async function saveSettings() {
+    const settings = {
+        allowedTimeMinutes: parseInt(timeLimitInput.value, 10),
+        overallCapEnabled: overallCapEnabledInput.checked,
+        dailyResetTime: dailyResetTimeInput.value,
+        breakRedirectMode: breakRedirectModeSelect.value,
+        customBreakUrl: customBreakUrlInput.value.trim(),
+        breakMessage: breakMessageInput.value.trim() || DEFAULT_BREAK_MESSAGE,
+        pomodoroSettings: {
+            enabled: pomodoroEnabledInput.checked,
+            workMinutes: parseInt(pomodoroWorkInput.value, 10),
+            shortBreakMinutes: parseInt(pomodoroShortBreakInput.value, 10),
+            longBreakMinutes: parseInt(pomodoroLongBreakInput.value, 10),
+            cyclesBeforeLongBreak: parseInt(pomodoroCyclesInput.value, 10),
+            autoStartNextCycle: pomodoroAutoStartInput.checked
+        },
+        emergencyUnlock: {
+            mode: emergencyUnlockModeSelect.value,
+            passphrase: emergencyPassphraseSettingInput.value,
+            waitMinutes: parseInt(emergencyWaitMinutesInput.value, 10)
+        },
+        notificationSettings: {
+            // e.g. "5, 1"; largest first, each once
+            warningMinutes: [...new Set(warningMinutesInput.value.split(',')
+                .map(value => value.trim())
+                .filter(Boolean)
+                .map(value => Number(value)))]
+                .sort((a, b) => b - a),
+            breakNotifications: breakNotificationsInput.checked
+        },
+        borrowSettings: {
+            minutes: parseInt(borrowMinutesInput.value, 10),
+            perDay: parseInt(borrowsPerDayInput.value, 10)
+        },
+        dynamicIcon: dynamicIconInput.checked,
+        countIncognitoTime: countIncognitoTimeInput.checked
+    };
+
+    try {
+        await sendToBackground({ type: 'updateSettings', settings });
+        statusDiv.textContent = "Settings saved!";
+    } catch (error) {
+        console.error("Error saving settings:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Shows the custom break URL field only when that redirect mode is chosen.
+ */
+function updateCustomBreakUrlVisibility() {
+    customBreakUrlInput.style.display =
+        breakRedirectModeSelect.value === BREAK_REDIRECT_MODES.CUSTOM ? 'block' : 'none';
+}
+
+/**
+ * Shows the pomodoro lengths only when pomodoro mode is switched on.
+ */
+function updatePomodoroSettingsVisibility() {
+    pomodoroSettingsDiv.style.display = pomodoroEnabledInput.checked ? 'block' : 'none';
+}
+
+/**
+ * Shows the passphrase or the wait field for the chosen emergency unlock.
+ */
+function updateEmergencyUnlockVisibility() {
+    const mode = emergencyUnlockModeSelect.value;
+    emergencyPassphraseSettingInput.style.display = mode === 'passphrase' ? 'block' : 'none';
+    emergencyWaitSettingDiv.style.display = mode === 'wait' ? 'block' : 'none';
+}
+
+/**
+ * Downloads the block lists and settings as a JSON file.
+ */
+async function handleExport() {
+    try {
+        const exported = await sendToBackground({ type: 'exportSettings' });
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `focus-time-blocker-${exported.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Error exporting settings:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Loads the chosen export file into the import box, to import from there.
+ */
+async function handleImportFile() {
+    const file = importFileInput.files[0];
+    if (file) {
+        importTextInput.value = await file.text();
+        importFileInput.value = '';
+    }
+}
+
+/**
+ * Loads a dropped export file into the import box.
+ * @param {DragEvent} event
+ */
+async function handleImportDrop(event) {
+    event.preventDefault();
+    importTextInput.classList.remove('drop-target');
+    const file = event.dataTransfer.files[0];
+    if (file) {
+        importTextInput.value = await file.text();
+    }
+}
+
+/**
+ * Imports the export in the import box and reports what was left out.
+ */
+async function handleImport() {
+    let data;
+    try {
+        data = JSON.parse(importTextInput.value);
+    } catch (error) {
+        alert("This isn't valid JSON. Please paste the whole exported file.");
+        return;
+    }
+    const mode = importModeSelect.value;
+    if (mode === 'replace' && !confirm("Replace your block lists and settings with the imported ones?")) {
+        return;
+    }
+
+    try {
+        const report = await sendToBackground({ type: 'importSettings', data, mode });
+        fillSettingsForm(currentState.settings);
+        importTextInput.value = '';
+        renderImportReport(report);
+    } catch (error) {
+        console.error("Error importing settings:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Shows how many entries were imported and why any were rejected.
+ * @param {{ added: object, rejected: object[] }} report - As returned by the background worker.
+ */
+function renderImportReport(report) {
+    const { entries, categories, exceptions, schedules } = report.added;
+    importReportDiv.textContent = `Imported ${entries} blocked entries, ${categories} categories, `
+        + `${exceptions} exceptions and ${schedules} schedules.`;
+    if (report.rejected.length === 0) {
+        return;
+    }
+    const rejectedList = document.createElement('ul');
+    report.rejected.forEach(({ kind, item, reason }) => {
+        const li = document.createElement('li');
+        li.textContent = `Skipped ${kind} "${item}": ${reason}`;
+        rejectedList.appendChild(li);
+    });
+    importReportDiv.appendChild(rejectedList);
+}
+
+/**
+ * Handles adding a new entry to the block list.
+ */
+async function handleAddEntry() {
+    if (newEntryBulkModeInput.checked) {
+        await handleAddEntries();
+        return;
+    }
+    const entry = {
+        pattern: newEntryInput.value,
+        matchType: newEntryTypeSelect.value,
+        allowedTimeMinutes: parseInt(newEntryBudgetInput.value, 10),
+        countAudible: newEntryCountAudibleInput.checked,
+        note: newEntryNoteInput.value
+    };
+
+    try {
+        await sendToBackground({ type: 'addEntry', entry });
+        newEntryInput.value = '';
+        newEntryNoteInput.value = '';
+        newEntryCountAudibleInput.checked = false;
+        updateMatchPreview();
+        statusDiv.textContent = `${normalizePattern(entry.pattern, entry.matchType)} added.`;
+    } catch (error) {
+        console.error("Error adding entry:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles adding a pasted list of entries, one per line or separated by
+ * commas, and shows what happened to each.
+ */
+async function handleAddEntries() {
+    const matchType = newEntryTypeSelect.value;
+    // Commas are part of regular expressions, e.g. in {1,3}
+    const separator = matchType === MATCH_TYPES.REGEX ? /\n/ : /[\n,]/;
+    const lines = newEntryBulkInput.value.split(separator).map(line => line.trim()).filter(Boolean);
+    const allowedTimeMinutes = parseInt(newEntryBudgetInput.value, 10);
+    const countAudible = newEntryCountAudibleInput.checked;
+    const note = newEntryNoteInput.value;
+    const entries = lines.map(pattern => ({ pattern, matchType, allowedTimeMinutes, countAudible, note }));
+
+    try {
+        const results = await sendToBackground({ type: 'addEntries', entries });
+        renderBulkResults(results);
+        // Keep the lines that weren't added, so they can be fixed
+        newEntryBulkInput.value = lines.filter((line, index) => !results[index].added).join('\n');
+        const addedCount = results.filter(result => result.added).length;
+        statusDiv.textContent = `${addedCount} of ${results.length} entries added.`;
+    } catch (error) {
+        console.error("Error adding entries:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Shows the outcome of each line of a pasted list or added category.
+ * @param {{ pattern: string, added: boolean, error: string | null }[]} results
+ */
+function renderBulkResults(results) {
+    bulkResultsUl.innerHTML = '';
+    for (const result of results) {
+        const li = document.createElement('li');
+        li.textContent = result.added ? `✓ ${result.pattern}` : `✗ ${result.pattern}: ${result.error}`;
+        li.classList.add(result.added ? 'bulk-added' : 'bulk-rejected');
+        bulkResultsUl.appendChild(li);
+    }
+}
+
+/**
+ * Switches the add form between one entry and a pasted list.
+ */
+function updateBulkModeVisibility() {
+    const isBulk = newEntryBulkModeInput.checked;
+    newEntryInput.style.display = isBulk ? 'none' : '';
+    matchPreviewDiv.style.display = isBulk ? 'none' : '';
+    newEntryBulkInput.style.display = isBulk ? 'block' : 'none';
+    bulkResultsUl.innerHTML = '';
+}
+
+/**
+ * Handles adding one of the preset categories, with the budget from the add form.
+ */
+async function handleAddCategory() {
+    const presetId = presetCategorySelect.value;
+    const allowedTimeMinutes = parseInt(newEntryBudgetInput.value, 10);
+    try {
+        const results = await sendToBackground({ type: 'addCategory', presetId, allowedTimeMinutes });
+        const skippedCount = results.filter(result => !result.added).length;
+        const name = presetCategorySelect.selectedOptions[0].textContent;
+        statusDiv.textContent = skippedCount > 0
+            ? `${name} added. ${skippedCount} of its sites were already blocked.`
+            : `${name} added.`;
+    } catch (error) {
+        console.error("Error adding category:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles pausing or resuming a whole category from its header.
+ * @param {Event} event - The change event from the category's checkbox.
+ */
+async function handleGroupEnabledChange(event) {
+    const groupId = event.target.dataset.groupId;
+    const enabled = event.target.checked;
+    const currentGroups = currentState?.settings.entryGroups ?? [];
+    const group = currentGroups.find(other => other.id === groupId);
+    if (!group) {
+        return;
+    }
+
+    try {
+        const updatedGroups = currentGroups.map(other => other.id === groupId ? { ...other, enabled } : other);
+        await sendToBackground({ type: 'updateSettings', settings: { entryGroups: updatedGroups } });
+        statusDiv.textContent = enabled ? `${group.name} is blocked again.` : `${group.name} is paused.`;
+    } catch (error) {
+        console.error("Error pausing category:", error);
+        alert(error.message);
+        renderedListsKey = null;
+        renderState();
+    }
+}
+
+/**
+ * Handles removing a category along with all of its entries.
+ * @param {Event} event - The click event from the category's remove button.
+ */
+async function handleRemoveGroup(event) {
+    const groupId = event.target.dataset.groupId;
+    const group = currentState?.settings.entryGroups.find(other => other.id === groupId);
+    if (!group || !confirm(`Remove ${group.name} and all of its sites? Uncheck it instead to pause it.`)) {
+        return;
+    }
+
+    try {
+        await sendToBackground({ type: 'removeCategory', groupId });
+        statusDiv.textContent = `${group.name} removed.`;
+    } catch (error) {
+        console.error("Error removing category:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles adding a new profile from the form.
+ */
+async function handleAddProfile() {
+    const name = newProfileNameInput.value.trim();
+    try {
+        const profile = await sendToBackground({ type: 'addProfile', name, copyCurrent: newProfileCopyInput.checked });
+        newProfileNameInput.value = '';
+        statusDiv.textContent = `${profile.name} added. Switch to it to set it up.`;
+    } catch (error) {
+        console.error("Error adding profile:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles switching to another profile from its switch button.
+ * @param {Event} event - The click event from the profile's switch button.
+ */
+async function handleSwitchProfile(event) {
+    const profileId = event.target.dataset.profileId;
+    const profile = currentState?.settings.profiles.find(other => other.id === profileId);
+    if (!profile) {
+        return;
+    }
+    try {
+        await sendToBackground({ type: 'switchProfile', profileId });
+        statusDiv.textContent = `Switched to ${profile.name}.`;
+    } catch (error) {
+        console.error("Error switching profiles:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles renaming a profile, asking for its new name.
+ * @param {Event} event - The click event from the profile's rename button.
+ */
+async function handleRenameProfile(event) {
+    const profileId = event.target.dataset.profileId;
+    const profile = currentState?.settings.profiles.find(other => other.id === profileId);
+    const name = profile ? prompt(`Rename ${profile.name} to:`, profile.name) : null;
+    if (name === null) {
+        return;
+    }
+    try {
+        await sendToBackground({ type: 'renameProfile', profileId, name });
+        statusDiv.textContent = `${profile.name} renamed.`;
+    } catch (error) {
+        console.error("Error renaming profile:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles removing a profile along with its rules.
+ * @param {Event} event - The click event from the profile's remove button.
+ */
+async function handleRemoveProfile(event) {
+    const profileId = event.target.dataset.profileId;
+    const profile = currentState?.settings.profiles.find(other => other.id === profileId);
+    if (!profile || !confirm(`Remove ${profile.name} and all of its sites and settings?`)) {
+        return;
+    }
+    try {
+        await sendToBackground({ type: 'removeProfile', profileId });
+        statusDiv.textContent = `${profile.name} removed.`;
+    } catch (error) {
+        console.error("Error removing profile:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles adding a new "Always allowed" exception.
+ */
+async function handleAddAllowEntry() {
+    const matchType = newAllowTypeSelect.value;
+    const newEntry = normalizePattern(newAllowEntryInput.value, matchType);
+    const validationError = validatePattern(newEntry, matchType);
+    if (validationError) {
+        alert(validationError);
+        return;
+    }
+
+    const currentList = currentState?.settings.allowlistEntries ?? [];
+    if (currentList.some(entry => entry.pattern === newEntry && entry.matchType === matchType)) {
+        alert(`${newEntry} is already always allowed.`);
+        return;
+    }
+
+    try {
+        const updatedList = [...currentList, { id: crypto.randomUUID(), pattern: newEntry, matchType }];
+        await sendToBackground({ type: 'updateSettings', settings: { allowlistEntries: updatedList } });
+        newAllowEntryInput.value = '';
+        statusDiv.textContent = `${newEntry} is now always allowed.`;
+    } catch (error) {
+        console.error("Error adding allowlist entry:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles removing an "Always allowed" exception based on button click.
+ * @param {Event} event - The click event from the remove button.
+ */
+async function handleRemoveAllowEntry(event) {
+    const indexToRemove = parseInt(event.target.dataset.index, 10);
+    const currentList = currentState?.settings.allowlistEntries ?? [];
+    const entryToRemove = currentList[indexToRemove];
+    if (!entryToRemove) {
+        return;
+    }
+
+    try {
+        const updatedList = currentList.filter((_, index) => index !== indexToRemove);
+        await sendToBackground({ type: 'updateSettings', settings: { allowlistEntries: updatedList } });
+        statusDiv.textContent = `"${entryToRemove.pattern}" is no longer always allowed.`;
+    } catch (error) {
+        console.error("Error removing allowlist entry:", error);
+        statusDiv.textContent = "Error removing exception.";
+    }
+}
+
+/**
+ * Handles adding a new weekly focus schedule from the form.
+ */
+async function handleAddSchedule() {
+    const name = newScheduleNameInput.value.trim();
+    if (!name) {
+        alert("Please enter a name for the schedule.");
+        return;
+    }
+    const days = [...newScheduleDaysDiv.querySelectorAll('input:checked')].map(input => parseInt(input.value, 10));
+    if (days.length === 0) {
+        alert("Please pick at least one day.");
+        return;
+    }
+    const { ranges, error } = parseTimeRanges(newScheduleRangesInput.value);
+    if (error) {
+        alert(error);
+        return;
+    }
+    const entryIds = [...newScheduleEntriesDiv.querySelectorAll('input:checked')].map(input => input.value);
+    if (entryIds.length === 0) {
+        alert("Please pick at least one blocked entry for this schedule.");
+        return;
+    }
+
+    try {
+        const updatedSchedules = [...(currentState?.settings.schedules ?? []), {
+            id: crypto.randomUUID(),
+            name,
+            days,
+            ranges,
+            entryIds
+        }];
+        await sendToBackground({ type: 'updateSettings', settings: { schedules: updatedSchedules } });
+        newScheduleNameInput.value = '';
+        newScheduleRangesInput.value = '';
+        statusDiv.textContent = `Schedule "${name}" added.`;
+    } catch (error) {
+        console.error("Error adding schedule:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Handles removing a schedule based on button click.
+ * @param {Event} event - The click event from the remove button.
+ */
+async function handleRemoveSchedule(event) {
+    const indexToRemove = parseInt(event.target.dataset.index, 10);
+    const currentSchedules = currentState?.settings.schedules ?? [];
+    const scheduleToRemove = currentSchedules[indexToRemove];
+    if (!scheduleToRemove) {
+        return;
+    }
+
+    try {
+        const updatedSchedules = currentSchedules.filter((_, index) => index !== indexToRemove);
+        await sendToBackground({ type: 'updateSettings', settings: { schedules: updatedSchedules } });
+        statusDiv.textContent = `Schedule "${scheduleToRemove.name}" removed.`;
+    } catch (error) {
+        console.error("Error removing schedule:", error);
+        statusDiv.textContent = "Error removing schedule.";
+    }
+}
+
+/**
+ * Validates the pattern being typed and previews which open tabs it would
+ * match. The options page is a tab of its own, so it doesn't count.
+ */
+async function updateMatchPreview() {
+    const matchType = newEntryTypeSelect.value;
+    const pattern = normalizePattern(newEntryInput.value, matchType);
+    matchPreviewDiv.classList.remove('preview-match', 'preview-nomatch', 'preview-error');
+
+    if (!newEntryInput.value.trim()) {
+        matchPreviewDiv.textContent = '';
+        return;
+    }
+
+    const validationError = validatePattern(pattern, matchType);
+    if (validationError) {
+        matchPreviewDiv.textContent = validationError;
+        matchPreviewDiv.classList.add('preview-error');
+        return;
+    }
+
+    try {
+        const tabs = await chrome.tabs.query({});
+        const allowlistEntries = currentState?.settings.allowlistEntries ?? [];
+        const matchingUrls = tabs
+            .map(tab => tab.url ?? '')
+            .filter(url => urlMatchesEntry(url, { pattern, matchType }));
+        const blockedUrls = matchingUrls.filter(url => !isUrlAllowlisted(url, allowlistEntries));
+        if (blockedUrls.length > 0) {
+            matchPreviewDiv.textContent = `✓ Would block ${blockedUrls.length} open tab${blockedUrls.length === 1 ? '' : 's'}`;
+        } else if (matchingUrls.length > 0) {
+            matchPreviewDiv.textContent = `✗ Matches open tabs, but they are always allowed`;
+        } else {
+            matchPreviewDiv.textContent = `✗ Would not block any open tab`;
+        }
+        matchPreviewDiv.title = matchingUrls.join('\n');
+        matchPreviewDiv.classList.add(blockedUrls.length > 0 ? 'preview-match' : 'preview-nomatch');
+    } catch (error) {
+        console.error("Error previewing match:", error);
+        matchPreviewDiv.textContent = '';
+    }
+}
+
+/**
+ * Handles removing an entry from the block list based on button click.
+ * @param {Event} event - The click event from the remove button.
+ */
+async function handleRemoveEntry(event) {
+    const indexToRemove = parseInt(event.target.dataset.index, 10);
+    const entryToRemove = currentState?.settings.blockedEntries[indexToRemove];
+    if (!entryToRemove) {
+        return;
+    }
+
+    try {
+        await sendToBackground({ type: 'removeEntry', entryId: entryToRemove.id });
+        statusDiv.textContent = `"${entryToRemove.pattern}" removed.`;
+    } catch (error) {
+        console.error("Error removing entry:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Sends the block list with one entry changed to the background worker.
+ * @param {number} indexToUpdate - Index of the entry in the block list.
+ * @param {object} changes - Entry fields to change.
+ * @returns {Promise<object | null>} - The updated entry, or null if it no longer exists.
+ */
+async function updateBlockedEntry(indexToUpdate, changes) {
+    const currentList = currentState?.settings.blockedEntries ?? [];
+    if (!currentList[indexToUpdate]) {
+        return null;
+    }
+    const updatedList = currentList.map((entry, index) =>
+        index === indexToUpdate ? { ...entry, ...changes } : entry
+    );
+    await sendToBackground({ type: 'updateSettings', settings: { blockedEntries: updatedList } });
+    return updatedList[indexToUpdate];
+}
+
+/**
+ * Handles editing an entry's own time budget from its list item.
+ * @param {Event} event - The change event from the budget input.
+ */
+async function handleBudgetChange(event) {
+    const indexToUpdate = parseInt(event.target.dataset.index, 10);
+    const budgetMinutes = parseInt(event.target.value, 10);
+
+    try {
+        const entry = await updateBlockedEntry(indexToUpdate, { allowedTimeMinutes: budgetMinutes });
+        if (entry) {
+            statusDiv.textContent = `Budget for "${entry.pattern}" set to ${budgetMinutes} min.`;
+        }
+    } catch (error) {
+        console.error("Error updating budget:", error);
+        alert(error.message);
+        renderedListsKey = null;
+        renderState();
+    }
+}
+
+/**
+ * Handles switching whether an entry counts time while it plays audio in a
+ * background tab.
+ * @param {Event} event - The change event from the audio checkbox.
+ */
+async function handleCountAudibleChange(event) {
+    const indexToUpdate = parseInt(event.target.dataset.index, 10);
+    const countAudible = event.target.checked;
+
+    try {
+        const entry = await updateBlockedEntry(indexToUpdate, { countAudible });
+        if (entry) {
+            statusDiv.textContent = countAudible
+                ? `"${entry.pattern}" now counts while playing audio.`
+                : `"${entry.pattern}" no longer counts while playing audio.`;
+        }
+    } catch (error) {
+        console.error("Error updating audio setting:", error);
+        alert(error.message);
+        renderedListsKey = null;
+        renderState();
+    }
+}
+
+/**
+ * Handles moving an entry up or down within its section of the block list.
+ * @param {Event} event - The click event from the move button.
+ */
+async function handleMoveEntry(event) {
+    const index = parseInt(event.target.dataset.index, 10);
+    const direction = parseInt(event.target.dataset.direction, 10);
+    const { blockedEntries, entryGroups } = currentState?.settings ?? {};
+    const entry = blockedEntries?.[index];
+    if (!entry) {
+        return;
+    }
+    // The neighbour is the closest entry in the same section, which isn't
+    // always next to it in the block list
+    const sectionId = getEntrySectionId(entry, entryGroups);
+    let otherIndex = index + direction;
+    while (blockedEntries[otherIndex] && getEntrySectionId(blockedEntries[otherIndex], entryGroups) !== sectionId) {
+        otherIndex += direction;
+    }
+    if (!blockedEntries[otherIndex]) {
+        return;
+    }
+
+    try {
+        const updatedList = [...blockedEntries];
+        [updatedList[index], updatedList[otherIndex]] = [updatedList[otherIndex], updatedList[index]];
+        await sendToBackground({ type: 'updateSettings', settings: { blockedEntries: updatedList } });
+    } catch (error) {
+        console.error("Error moving entry:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Opens the in-place form of an entry, closing any other.
+ * @param {Event} event - The click event from the edit button.
+ */
+function handleEditEntry(event) {
+    editingEntryId = event.target.dataset.entryId;
+    renderState();
+    blockListUl.querySelector('li.editing input:not(:disabled)')?.focus();
+}
+
+/**
+ * Closes the in-place form without saving.
+ */
+function handleCancelEntryEdit() {
+    editingEntryId = null;
+    renderState();
+}
+
+/**
+ * Saves the pattern, match type and note from the in-place form. The
+ * background worker checks the result like any other block list change.
+ * @param {Event} event - The click event from the save button.
+ */
+async function handleSaveEntryEdit(event) {
+    const li = event.target.closest('li');
+    const indexToUpdate = parseInt(event.target.dataset.index, 10);
+    const matchType = li.querySelector('.entry-type-input').value;
+    const pattern = normalizePattern(li.querySelector('.entry-pattern-input').value, matchType);
+    const validationError = validatePattern(pattern, matchType);
+    if (validationError) {
+        alert(validationError);
+        return;
+    }
+    const note = li.querySelector('.entry-note-input').value.trim();
+
+    try {
+        const entry = await updateBlockedEntry(indexToUpdate, { pattern, matchType, note: note || undefined });
+        editingEntryId = null;
+        renderState();
+        if (entry) {
+            statusDiv.textContent = `"${entry.pattern}" updated.`;
+        }
+    } catch (error) {
+        console.error("Error editing entry:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * Updates the buttons for the lock. Settings can still be saved while the
+ * rules are locked, as long as they only get stricter; new exceptions and
+ * schedules always loosen them, and so does a reset, so they wait.
+ * @param {boolean} isLocked - Whether the rules are locked
+ */
+function updateLockedControls(isLocked) {
+    if (isLocked) {
+        saveSettingsBtn.title = "Only stricter settings can be saved while rules are locked";
+        addAllowBtn.disabled = true;
+        addAllowBtn.classList.add('disabled');
+        addAllowBtn.title = "Cannot add exceptions while rules are locked";
+        addScheduleBtn.disabled = true;
+        addScheduleBtn.classList.add('disabled');
+        addScheduleBtn.title = "Cannot add schedules while rules are locked";
+        resetDataBtn.disabled = true;
+        resetDataBtn.title = "Cannot reset data while rules are locked";
+    } else {
+        saveSettingsBtn.title = "Save current settings";
+        addAllowBtn.disabled = false;
+        addAllowBtn.classList.remove('disabled');
+        addAllowBtn.title = "Always allow this pattern";
+        addScheduleBtn.disabled = false;
+        addScheduleBtn.classList.remove('disabled');
+        addScheduleBtn.title = "Add this schedule";
+        resetDataBtn.disabled = false;
+        resetDataBtn.title = "Delete everything and start over";
+    }
+}
+
+/**
+ * Deletes all data after confirming, and fills the form in with the defaults.
+ */
+async function handleResetData() {
+    if (!confirm("Reset all data? Every profile, blocked site, exception, schedule and setting, and all statistics, will be deleted.")) {
+        return;
+    }
+    try {
+        await sendToBackground({ type: 'resetData' });
+        fillSettingsForm(currentState.settings);
+        importReportDiv.textContent = '';
+        bulkResultsUl.innerHTML = '';
+        statusDiv.textContent = "All data reset.";
+    } catch (error) {
+        console.error("Error resetting data:", error);
+        alert(error.message);
+    }
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', () => {
+    updateBulkModeVisibility();
+    loadSettings();
+});
+addProfileBtn.addEventListener('click', handleAddProfile);
+addEntryBtn.addEventListener('click', handleAddEntry);
+newEntryBulkModeInput.addEventListener('change', updateBulkModeVisibility);
+addCategoryBtn.addEventListener('click', handleAddCategory);
+addAllowBtn.addEventListener('click', handleAddAllowEntry);
+addScheduleBtn.addEventListener('click', handleAddSchedule);
+breakRedirectModeSelect.addEventListener('change', updateCustomBreakUrlVisibility);
+pomodoroEnabledInput.addEventListener('change', updatePomodoroSettingsVisibility);
+emergencyUnlockModeSelect.addEventListener('change', updateEmergencyUnlockVisibility);
+saveSettingsBtn.addEventListener('click', saveSettings);
+exportBtn.addEventListener('click', handleExport);
+importFileInput.addEventListener('change', handleImportFile);
+importBtn.addEventListener('click', handleImport);
+importTextInput.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    importTextInput.classList.add('drop-target');
+});
+importTextInput.addEventListener('dragleave', () => importTextInput.classList.remove('drop-target'));
+importTextInput.addEventListener('drop', handleImportDrop);
+resetDataBtn.addEventListener('click', handleResetData);
+
+// The background worker reports every change to settings and counters
+chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'stateChanged') {
+        applyState(message.state);
+    }
+});
+
+newEntryInput.addEventListener('input', updateMatchPreview);
+newEntryTypeSelect.addEventListener('change', updateMatchPreview);
+
+newEntryInput.addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        handleAddEntry();
+    }
+});
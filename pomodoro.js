@@ -0,0 +1,221 @@
+// --- Pomodoro Mode ---
+// Loaded by the background service worker via importScripts. Blocked entries
+// are enforced during work sessions and free to use during short/long breaks.
+
+const POMODORO_PHASES = {
+    IDLE: 'idle',
+    WORK: 'work',
+    SHORT_BREAK: 'shortBreak',
+    LONG_BREAK: 'longBreak'
+};
+const POMODORO_ACTIONS = {
+    START: 'start', // Starts a session, or resumes a paused phase
+    PAUSE: 'pause',
+    SKIP: 'skip', // Ends the current phase now
+    STOP: 'stop' // Back to idle, cycle count cleared
+};
+const POMODORO_ALARM_NAME = 'pomodoroPhaseAlarm';
+const DEFAULT_POMODORO_SETTINGS = {
+    enabled: false,
+    workMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4,
+    autoStartNextCycle: true
+};
+const IDLE_POMODORO_STATE = {
+    phase: POMODORO_PHASES.IDLE,
+    phaseEndTime: null, // Timestamp (ms) when the running phase ends
+    remainingMs: null, // Time left in the phase while paused
+    paused: false,
+    completedCycles: 0 // Work sessions finished since the session started
+};
+
+/**
+ * Returns the length of a phase.
+ * @param {string} phase - One of POMODORO_PHASES.
+ * @param {object} settings - Pomodoro settings.
+ * @returns {number} - Duration in milliseconds.
+ */
+function getPomodoroPhaseDurationMs(phase, settings) {
+    const minutes = {
+        [POMODORO_PHASES.WORK]: settings.workMinutes,
+        [POMODORO_PHASES.SHORT_BREAK]: settings.shortBreakMinutes,
+        [POMODORO_PHASES.LONG_BREAK]: settings.longBreakMinutes
+    }[phase] ?? 0;
+    return minutes * 60 * 1000;
+}
+
+/**
+ * Works out which phase follows the current one. Every Nth finished work
+ * session is followed by a long break.
+ * @param {object} state - Current pomodoro state.
+ * @param {object} settings - Pomodoro settings.
+ * @returns {{ phase: string, completedCycles: number }}
+ */
+function getNextPomodoroPhase(state, settings) {
+    if (state.phase !== POMODORO_PHASES.WORK) {
+        return { phase: POMODORO_PHASES.WORK, completedCycles: state.completedCycles };
+    }
+    const completedCycles = state.completedCycles + 1;
+    const isLongBreak = completedCycles % settings.cyclesBeforeLongBreak === 0;
+    return {
+        phase: isLongBreak ? POMODORO_PHASES.LONG_BREAK : POMODORO_PHASES.SHORT_BREAK,
+        completedCycles
+    };
+}
+
+/**
+ * Returns when the running work session ends, or null if blocked entries
+ * aren't being enforced by pomodoro mode right now.
+ * @param {object | undefined} state - Current pomodoro state.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number | null}
+ */
+function getPomodoroFocusEndTime(state, now) {
+    if (state?.phase === POMODORO_PHASES.WORK && !state.paused && state.phaseEndTime > now) {
+        return state.phaseEndTime;
+    }
+    return null;
+}
+
+/**
+ * Reads pomodoro settings and state from storage, filling in defaults.
+ * @returns {Promise<{ settings: object, state: object }>}
+ */
+async function getPomodoro() {
+    const data = await getStoredValues([STORAGE_KEYS.POMODORO_SETTINGS, STORAGE_KEYS.POMODORO_STATE]);
+    return {
+        settings: { ...DEFAULT_POMODORO_SETTINGS, ...(data[STORAGE_KEYS.POMODORO_SETTINGS] ?? {}) },
+        state: { ...IDLE_POMODORO_STATE, ...(data[STORAGE_KEYS.POMODORO_STATE] ?? {}) }
+    };
+}
+
+/**
+ * Saves the pomodoro state and points the phase alarm at its end.
+ * @param {object} state - The new pomodoro state.
+ */
+async function savePomodoroState(state) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.POMODORO_STATE]: state });
+    await chrome.alarms.clear(POMODORO_ALARM_NAME);
+    if (state.phase !== POMODORO_PHASES.IDLE && !state.paused && state.phaseEndTime) {
+        await chrome.alarms.create(POMODORO_ALARM_NAME, { when: state.phaseEndTime });
+    }
+}
+
+/**
+ * Notifies the user that a new phase is starting or waiting to be started.
+ * @param {object} state - The new pomodoro state.
+ */
+function notifyPomodoroPhase(state) {
+    const phaseMessages = {
+        [POMODORO_PHASES.WORK]: 'Work session - blocked sites are off limits.',
+        [POMODORO_PHASES.SHORT_BREAK]: 'Short break - blocked sites are available.',
+        [POMODORO_PHASES.LONG_BREAK]: 'Long break - well done, take a proper rest.'
+    };
+    const message = phaseMessages[state.phase];
+    if (!message) {
+        return;
+    }
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/ICON_16.png',
+        title: 'Focus Time Blocker',
+        message: state.paused ? `${message} Open the popup to start it.` : message
+    });
+}
+
+/**
+ * Moves to the next phase. With auto-start off, the next phase waits paused
+ * at its full length until the user starts it.
+ * @param {object} state - Current pomodoro state.
+ * @param {object} settings - Pomodoro settings.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {object} - The new state.
+ */
+function advancePomodoroState(state, settings, now) {
+    const { phase, completedCycles } = getNextPomodoroPhase(state, settings);
+    const durationMs = getPomodoroPhaseDurationMs(phase, settings);
+    if (settings.autoStartNextCycle) {
+        return { phase, completedCycles, phaseEndTime: now + durationMs, remainingMs: null, paused: false };
+    }
+    return { phase, completedCycles, phaseEndTime: null, remainingMs: durationMs, paused: true };
+}
+
+/**
+ * Called by the phase alarm (and on startup) to move past a finished phase.
+ */
+async function handlePomodoroPhaseEnd() {
+    try {
+        const { settings, state } = await getPomodoro();
+        const now = Date.now();
+        if (state.phase === POMODORO_PHASES.IDLE || state.paused) {
+            return;
+        }
+        if (state.phaseEndTime > now) {
+            // Fired early or a restart cleared the alarm: just point it at the end again
+            await savePomodoroState(state);
+            return;
+        }
+        const nextState = advancePomodoroState(state, settings, now);
+        await savePomodoroState(nextState);
+        notifyPomodoroPhase(nextState);
+        console.log(`Pomodoro phase finished. Now: ${nextState.phase}${nextState.paused ? ' (waiting)' : ''}.`);
+    } catch (error) {
+        console.error("Error advancing pomodoro phase:", error);
+    }
+}
+
+/**
+ * Applies a start/pause/skip/stop action from the popup. While the user is
+ * committed to a lock, a session can't be cut short, but a break can be
+ * skipped. The timer lock a session sets itself doesn't count, or its
+ * controls would never work.
+ * @param {string} action - One of POMODORO_ACTIONS.
+ * @param {boolean} [isLocked] - Whether the rules are locked by a commitment.
+ * @returns {Promise<object>} - The new state.
+ */
+async function handlePomodoroAction(action, isLocked = false) {
+    const { settings, state } = await getPomodoro();
+    const now = Date.now();
+    let nextState = state;
+
+    const cutsShort = action === POMODORO_ACTIONS.PAUSE || action === POMODORO_ACTIONS.STOP
+        || (action === POMODORO_ACTIONS.SKIP && state.phase === POMODORO_PHASES.WORK);
+    if (isLocked && cutsShort && state.phase !== POMODORO_PHASES.IDLE) {
+        throw new Error("Cannot pause, skip or stop a pomodoro session while rules are locked");
+    }
+
+    switch (action) {
+        case POMODORO_ACTIONS.START:
+            if (state.phase === POMODORO_PHASES.IDLE) {
+                nextState = {
+                    ...IDLE_POMODORO_STATE,
+                    phase: POMODORO_PHASES.WORK,
+                    phaseEndTime: now + getPomodoroPhaseDurationMs(POMODORO_PHASES.WORK, settings)
+                };
+            } else if (state.paused) {
+                nextState = { ...state, phaseEndTime: now + state.remainingMs, remainingMs: null, paused: false };
+            }
+            break;
+        case POMODORO_ACTIONS.PAUSE:
+            if (state.phase !== POMODORO_PHASES.IDLE && !state.paused) {
+                nextState = { ...state, remainingMs: Math.max(0, state.phaseEndTime - now), phaseEndTime: null, paused: true };
+            }
+            break;
+        case POMODORO_ACTIONS.SKIP:
+            if (state.phase !== POMODORO_PHASES.IDLE) {
+                nextState = advancePomodoroState(state, settings, now);
+                notifyPomodoroPhase(nextState);
+            }
+            break;
+        case POMODORO_ACTIONS.STOP:
+            nextState = { ...IDLE_POMODORO_STATE };
+            break;
+        default:
+            throw new Error(`Unknown pomodoro action "${action}".`);
+    }
+
+    await savePomodoroState(nextState);
+    return nextState;
+}
@@ -1,500 +1,550 @@
 // --- DOM Elements ---
-const timeLimitInput = document.getElementById('timeLimit');
-const newEntryInput = document.getElementById('newEntry');
-const addEntryBtn = document.getElementById('addEntryBtn');
-const blockListUl = document.getElementById('blockList');
-const UpdateSettingsBtn = document.getElementById('saveSettingsBtn');
+const scheduleStatusDiv = document.getElementById('scheduleStatus');
 const statusDiv = document.getElementById('status');
+const messageDiv = document.getElementById('message');
+const openOptionsLink = document.getElementById('openOptionsLink');
 const blockNowBtn = document.getElementById('blockNowBtn');
+const pomodoroControlsDiv = document.getElementById('pomodoroControls');
+const pomodoroPhaseSpan = document.getElementById('pomodoroPhase');
+const pomodoroCycleSpan = document.getElementById('pomodoroCycle');
+const pomodoroStartBtn = document.getElementById('pomodoroStartBtn');
+const pomodoroPauseBtn = document.getElementById('pomodoroPauseBtn');
+const pomodoroSkipBtn = document.getElementById('pomodoroSkipBtn');
+const pomodoroStopBtn = document.getElementById('pomodoroStopBtn');
+const lockStatusDiv = document.getElementById('lockStatus');
+const lockMinutesInput = document.getElementById('lockMinutes');
+const startLockBtn = document.getElementById('startLockBtn');
+const emergencyUnlockDiv = document.getElementById('emergencyUnlock');
+const emergencyPassphraseInput = document.getElementById('emergencyPassphrase');
+const emergencyUnlockBtn = document.getElementById('emergencyUnlockBtn');
 const timerValueSpan = document.getElementById('timer-value');
 const timerContainer = document.getElementById('timer-container');
+const borrowControlsDiv = document.getElementById('borrowControls');
+const borrowStatusSpan = document.getElementById('borrowStatus');
+const borrowBtn = document.getElementById('borrowBtn');
+const incognitoWarningDiv = document.getElementById('incognitoWarning');
+const incognitoSettingsLink = document.getElementById('incognitoSettingsLink');
+const profileControlsDiv = document.getElementById('profileControls');
+const profileSelect = document.getElementById('profileSelect');
+const breakdownDiv = document.getElementById('breakdown');
+const breakdownTotalDiv = document.getElementById('breakdownTotal');
+const breakdownListUl = document.getElementById('breakdownList');
+const blockableTabsLabelDiv = document.getElementById('blockableTabsLabel');
+const blockableTabsListUl = document.getElementById('blockableTabsList');
+
+const MAX_LISTED_TABS = 5; // Tabs named in the breakdown; the rest are counted
+
+const POMODORO_PHASE_LABELS = {
+    idle: 'Ready to focus',
+    work: 'Work',
+    shortBreak: 'Short break',
+    longBreak: 'Long break'
+};
+
+// The latest state reported by the background worker, and when it arrived
+let currentState = null;
+let stateReceivedAt = 0;
+// What the profile switcher was last rendered from, see renderProfiles
+let renderedProfilesKey = null;
 
-const BREAK_URL = 'https://www.google.com/';
+// --- Functions ---
 
-// Variables for local timer tracking
-let localTimeSpent = 0;
-let localTimerInterval = null;
-let isOnBlockedSite = false;
+/**
+ * Formats a duration as mm:ss.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const mins = Math.floor(ms / 60000);
+    const secs = Math.floor((ms % 60000) / 1000);
+    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
 
-// --- Functions ---
+/**
+ * Formats time spent today, e.g. "1 h 5 min" or "<1 min".
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+function formatTimeSpent(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    if (totalMinutes < 1) {
+        return '<1 min';
+    }
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
 
 /**
- * Renders the block list in the popup UI.
- * @param {string[]} list - Array of blocked URLs/keywords.
- * @param {boolean} isInBreak - Whether we're currently in a break period.
- * @param {boolean} isTimerActive - Whether a timer is currently active.
+ * Shows how much time each blocked entry took today, marking the entries
+ * the active tab matches, and which open tabs a break would block.
+ * @param {object} breakdown - Breakdown as reported by the background worker.
  */
-function renderBlockList(list, isInBreak = false, isTimerActive = false) {
-    blockListUl.innerHTML = ''; // Clear existing list
-    if (!list || list.length === 0) {
-        blockListUl.innerHTML = '<li>No sites/keywords blocked yet.</li>';
+function renderBreakdown(breakdown) {
+    const { entries, blockableTabs } = breakdown;
+    if (entries.length === 0 && blockableTabs.length === 0) {
+        breakdownDiv.style.display = 'none';
         return;
     }
-    list.forEach((entry, index) => {
+    breakdownDiv.style.display = 'block';
+    breakdownTotalDiv.textContent = `Today on blocked sites: ${formatTimeSpent(breakdown.totalMs)}`;
+
+    breakdownListUl.innerHTML = '';
+    for (const entry of entries) {
         const li = document.createElement('li');
-        const textSpan = document.createElement('span');
-        textSpan.textContent = entry;
-
-        li.appendChild(textSpan);
-
-        if (!isInBreak) {
-            const removeBtn = document.createElement('button');
-            removeBtn.textContent = 'Remove';
-            removeBtn.dataset.index = index;
-            removeBtn.addEventListener('click', handleRemoveEntry);
-
-            // Disable remove button when timer is active
-            if (isTimerActive) {
-                removeBtn.disabled = true;
-                removeBtn.classList.add('disabled');
-                removeBtn.title = "Cannot remove sites while timer is active";
-            }
+        li.classList.toggle('active-tab', entry.isActiveTab);
+        const patternSpan = document.createElement('span');
+        patternSpan.textContent = entry.isActiveTab ? `${entry.pattern} (this tab)` : entry.pattern;
+        const timeSpan = document.createElement('span');
+        timeSpan.textContent = formatTimeSpent(entry.timeTodayMs);
+        li.appendChild(patternSpan);
+        li.appendChild(timeSpan);
+        breakdownListUl.appendChild(li);
+    }
 
-            li.appendChild(removeBtn);
-        }
+    blockableTabsLabelDiv.textContent = blockableTabs.length > 0
+        ? `${blockableTabs.length} open tab${blockableTabs.length === 1 ? '' : 's'} would be blocked during a break:`
+        : 'No open tabs would be blocked during a break.';
+    blockableTabsListUl.innerHTML = '';
+    for (const tab of blockableTabs.slice(0, MAX_LISTED_TABS)) {
+        const li = document.createElement('li');
+        li.textContent = tab.title;
+        li.title = tab.title;
+        blockableTabsListUl.appendChild(li);
+    }
+    if (blockableTabs.length > MAX_LISTED_TABS) {
+        const li = document.createElement('li');
+        li.textContent = `and ${blockableTabs.length - MAX_LISTED_TABS} more`;
+        blockableTabsListUl.appendChild(li);
+    }
+}
 
-        li.classList.add('fade-in');
-        setTimeout(() => li.classList.remove('fade-in'), 500);
+/**
+ * Shows whether a schedule is active now, or when the next one starts.
+ * @param {object[]} schedules - Array of schedules.
+ */
+function renderScheduleStatus(schedules) {
+    if (!schedules || schedules.length === 0) {
+        scheduleStatusDiv.textContent = '';
+        return;
+    }
+    const now = Date.now();
+    const activeNames = schedules
+        .filter(schedule => isScheduleActive(schedule, new Date(now)))
+        .map(schedule => schedule.name);
+    if (activeNames.length > 0) {
+        scheduleStatusDiv.textContent = `Focus hours active: ${activeNames.join(', ')}`;
+        return;
+    }
 
-        blockListUl.appendChild(li);
-    });
+    const nextStart = getNextScheduleStart(schedules, now);
+    if (nextStart === null) {
+        scheduleStatusDiv.textContent = 'Outside focus hours';
+        return;
+    }
+    const nextDate = new Date(nextStart);
+    const dayLabel = nextDate.toDateString() === new Date(now).toDateString() ? 'today' : DAY_NAMES[nextDate.getDay()];
+    const timeLabel = nextDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    scheduleStatusDiv.textContent = `Outside focus hours - next starts ${dayLabel} ${timeLabel}`;
 }
 
 /**
- * Loads settings from chrome.storage and updates the UI.
+ * Warns when the extension isn't allowed in private windows: Chrome doesn't
+ * let it see them then, so they are neither counted nor blocked.
  */
-async function loadSettings() {
+async function checkIncognitoAccess() {
     try {
-        const data = await chrome.storage.sync.get(['blockedEntries', 'allowedTimeMinutes', 'timeSpent', 'breakEndTime']);
-        const allowedTime = data.allowedTimeMinutes ?? 30;
-        const blockedEntries = data.blockedEntries ?? [];
-        const timeSpent = data.timeSpent ?? 0;
-        const breakEndTime = data.breakEndTime ?? null;
-
-        const now = Date.now();
-        const isInBreak = breakEndTime && now < breakEndTime;
-
-        if (!isInBreak && breakEndTime) {
-            localTimeSpent = 0;
-        }
-
-        localTimeSpent = timeSpent;
-
-        timeLimitInput.value = allowedTime;
-
-        // Get timer status to determine if remove buttons should be disabled
-        const isTimerActive = (isInBreak || (isOnBlockedSite && localTimeSpent > 0));
-        renderBlockList(blockedEntries, isInBreak, isTimerActive);
-        updateStatus(allowedTime, timeSpent, breakEndTime);
-
+        const isAllowed = await chrome.extension.isAllowedIncognitoAccess();
+        incognitoWarningDiv.style.display = isAllowed ? 'none' : 'block';
     } catch (error) {
-        console.error("Error loading settings:", error);
-        statusDiv.textContent = "Error loading settings.";
+        console.error("Error checking access to private windows:", error);
     }
 }
 
 /**
- * Saves the current settings from the UI to chrome.storage.
+ * Keeps a state reported by the background worker and renders it.
+ * @param {object} state - The reported state.
  */
-async function saveSettings() {
-    const allowedTime = parseInt(timeLimitInput.value, 10);
-    if (isNaN(allowedTime) || allowedTime < 1) {
-        alert("Please enter a valid time limit (minimum 1 minute).");
+function applyState(state) {
+    currentState = state;
+    stateReceivedAt = Date.now();
+    renderState();
+}
+
+/**
+ * Renders the profile switcher, schedule status, pomodoro controls, lock,
+ * timer and today's breakdown from the latest reported state. Everything
+ * else is set up on the options page.
+ */
+function renderState() {
+    if (!currentState) {
         return;
     }
+    const { settings, lock } = currentState;
+    renderProfiles(settings.profiles, settings.activeProfileId);
+    renderScheduleStatus(settings.schedules);
+    renderPomodoro(settings.pomodoroSettings, currentState.pomodoroState, currentState.lock);
+    renderLock(lock, settings.emergencyUnlock);
+    renderBorrow(currentState.borrow);
+    renderBreakdown(currentState.breakdown);
+    updateStatus();
+}
 
-    const data = await chrome.storage.sync.get(['blockedEntries']);
-    const currentBlockedEntries = data.blockedEntries ?? [];
+/**
+ * Shows the outcome of an action under the status, which is rewritten every second.
+ * @param {string} text - The message.
+ * @param {boolean} [isError] - Whether the action failed.
+ */
+function showMessage(text, isError = false) {
+    messageDiv.textContent = text;
+    messageDiv.classList.toggle('error', isError);
+}
 
+/**
+ * Loads the state from the background worker.
+ */
+async function loadState() {
     try {
-        await chrome.storage.sync.set({
-            allowedTimeMinutes: allowedTime,
-            blockedEntries: currentBlockedEntries
-        });
-        statusDiv.textContent = "Settings saved!";
-        setTimeout(() => updateStatus(allowedTime, data.timeSpent ?? 0, data.breakEndTime ?? null), 1500);
+        await sendToBackground({ type: 'getState' });
     } catch (error) {
-        console.error("Error saving settings:", error);
-        statusDiv.textContent = "Error saving settings.";
+        console.error("Error loading state:", error);
+        statusDiv.textContent = "Error loading status.";
     }
 }
 
 /**
- * Handles adding a new entry to the block list.
+ * Shows the profile switcher once there is more than one profile. Its
+ * options are only rebuilt when the profiles change, so an open dropdown
+ * isn't closed by every state report.
+ * @param {object[]} profiles - Array of { id, name } profiles.
+ * @param {string} activeProfileId - Id of the active profile.
  */
-async function handleAddEntry() {
-    const newEntry = newEntryInput.value.trim().toLowerCase();
-    if (!newEntry) {
-        alert("Please enter a URL or keyword to block.");
+function renderProfiles(profiles, activeProfileId) {
+    if (profiles.length < 2) {
+        profileControlsDiv.style.display = 'none';
         return;
     }
-
-    try {
-        const data = await chrome.storage.sync.get(['blockedEntries', 'breakEndTime']);
-        const currentList = data.blockedEntries ?? [];
-        const breakEndTime = data.breakEndTime ?? null;
-        const now = Date.now();
-        const isInBreak = breakEndTime && now < breakEndTime;
-
-        if (!currentList.includes(newEntry)) {
-            const updatedList = [...currentList, newEntry];
-            await chrome.storage.sync.set({
-                blockedEntries: updatedList,
-                allowedTimeMinutes: parseInt(timeLimitInput.value, 10)
-            });
-
-            // Get timer status to properly render remove buttons
-            const isTimerActive = (isInBreak || (isOnBlockedSite && localTimeSpent > 0));
-            renderBlockList(updatedList, isInBreak, isTimerActive);
-
-            newEntryInput.value = '';
-            statusDiv.textContent = `${newEntry} added. ⚠️ Click "Save Settings" to apply changes!`;
-        } else {
-            alert(`${newEntry} is already in the block list.`);
+    profileControlsDiv.style.display = 'flex';
+    const profilesKey = JSON.stringify(profiles);
+    if (profilesKey !== renderedProfilesKey) {
+        renderedProfilesKey = profilesKey;
+        profileSelect.innerHTML = '';
+        for (const profile of profiles) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
         }
-    } catch (error) {
-        console.error("Error adding entry:", error);
-        statusDiv.textContent = "Error adding entry.";
     }
+    profileSelect.value = activeProfileId;
 }
 
 /**
- * Handles removing an entry from the block list based on button click.
- * @param {Event} event - The click event from the remove button.
+ * Switches to the profile picked in the switcher. The background refuses
+ * less strict profiles during a break or while the rules are locked.
  */
-async function handleRemoveEntry(event) {
-    const indexToRemove = parseInt(event.target.dataset.index, 10);
-
+async function handleSwitchProfile() {
+    const profileId = profileSelect.value;
     try {
-        const data = await chrome.storage.sync.get(['blockedEntries', 'breakEndTime']);
-        const currentList = data.blockedEntries ?? [];
-        const breakEndTime = data.breakEndTime ?? null;
-        const now = Date.now();
-        const isInBreak = breakEndTime && now < breakEndTime;
-
-        if (indexToRemove >= 0 && indexToRemove < currentList.length) {
-            const entryToRemove = currentList[indexToRemove];
-            const updatedList = currentList.filter((_, index) => index !== indexToRemove);
-            await chrome.storage.sync.set({ blockedEntries: updatedList });
-
-            // Also check for timer activity here
-            const isTimerActive = (isInBreak || (isOnBlockedSite && localTimeSpent > 0));
-            renderBlockList(updatedList, isInBreak, isTimerActive);
-
-            statusDiv.textContent = `"${entryToRemove}" removed.Remember to Save.`;
-        }
+        await sendToBackground({ type: 'switchProfile', profileId });
+        const profile = currentState.settings.profiles.find(other => other.id === profileId);
+        showMessage(`Switched to ${profile?.name ?? 'the profile'}.`);
     } catch (error) {
-        console.error("Error removing entry:", error);
-        statusDiv.textContent = "Error removing entry.";
+        console.error("Error switching profiles:", error);
+        profileSelect.value = currentState.settings.activeProfileId;
+        alert(error.message);
     }
 }
 
 /**
- * Updates the status message based on current state.
- * @param {number} allowedTime - Allowed time in minutes.
- * @param {number} timeSpent - Time spent in milliseconds.
- * @param {number | null} breakEndTime - Timestamp when break ends, or null.
+ * Shows whether the rules are locked, and the emergency unlock while they are.
+ * @param {object} lock - Lock state as reported by the background worker.
+ * @param {object} emergencyUnlock - Emergency unlock settings.
  */
-async function updateStatus(allowedTime, timeSpent, breakEndTime) {
+function renderLock(lock, emergencyUnlock) {
     const now = Date.now();
-
-    if (localTimeSpent === 0 && timeSpent > 0) {
-        localTimeSpent = timeSpent;
+    const unlockWindow = lock.unlockWindow;
+    const isUnlockPending = Boolean(unlockWindow && now < unlockWindow.start);
+
+    if (unlockWindow && !isUnlockPending) {
+        lockStatusDiv.textContent = `🔓 Emergency unlock - rules can be changed for ${formatDuration(Math.max(0, unlockWindow.end - now))}`;
+    } else if (lock.commitmentEndTime) {
+        const endLabel = new Date(lock.commitmentEndTime).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        lockStatusDiv.textContent = `🔒 Rules locked until ${endLabel} - only stricter changes allowed`;
+    } else if (lock.isLocked) {
+        lockStatusDiv.textContent = '🔒 Rules locked while a timer is running - only stricter changes allowed';
+    } else {
+        lockStatusDiv.textContent = 'Rules unlocked';
     }
-
-    if (breakEndTime && now >= breakEndTime) {
-        localTimeSpent = 0;
-        await chrome.storage.sync.set({
-            timeSpent: 0,
-            breakEndTime: null
-        });
+    if (isUnlockPending) {
+        lockStatusDiv.textContent += ` (emergency unlock in ${formatDuration(unlockWindow.start - now)})`;
     }
+    lockStatusDiv.classList.toggle('locked', lock.isLocked);
+
+    const canUnlock = lock.isLocked && emergencyUnlock.mode !== 'off';
+    emergencyUnlockDiv.style.display = canUnlock ? 'block' : 'none';
+    emergencyPassphraseInput.style.display = emergencyUnlock.mode === 'passphrase' ? 'block' : 'none';
+    emergencyUnlockBtn.textContent = emergencyUnlock.mode === 'wait'
+        ? `Unlock in ${emergencyUnlock.waitMinutes} min`
+        : 'Emergency unlock';
+    emergencyUnlockBtn.disabled = isUnlockPending;
+}
 
+/**
+ * Locks the rules for the chosen number of minutes, after confirming.
+ */
+async function handleStartLock() {
+    const minutes = parseInt(lockMinutesInput.value, 10);
+    if (!confirm(`Lock the rules for ${minutes} minutes? Until then, blocked sites can't be removed and limits can't be raised.`)) {
+        return;
+    }
     try {
-        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        const activeUrl = activeTab?.url ?? '';
-
-        const data = await chrome.storage.sync.get(['blockedEntries']);
-        const blockedEntries = data.blockedEntries ?? [];
-
-        const isBlocked = blockedEntries.some(entry => activeUrl.toLowerCase().includes(entry.toLowerCase()));
-
-        if (isBlocked !== isOnBlockedSite) {
-            isOnBlockedSite = isBlocked;
-            if (isBlocked) {
-                startLocalTimer();
-            } else {
-                stopLocalTimer();
-            }
-        }
-
-        // Check if any timer is active to disable the settings button
-        let isTimerActive = false;
-
-        if (breakEndTime && now < breakEndTime) {
-            const breakRemainingMs = breakEndTime - now;
-            const breakMins = Math.floor(breakRemainingMs / 60000);
-            const breakSecs = Math.floor((breakRemainingMs % 60000) / 1000);
-
-            displayTimer(`${String(breakMins).padStart(2, '0')}:${String(breakSecs).padStart(2, '0')}`, true);
-            statusDiv.textContent = `On break - timer will resume soon`;
-            timerContainer.style.display = 'block';
-            isTimerActive = true;
-        } else if (activeUrl === BREAK_URL) {
-            displayTimer("00:00", false);
-            statusDiv.textContent = `Take a breath.`;
-            timerContainer.style.display = 'block';
-        } else if (isBlocked) {
-            const allowedMs = allowedTime * 60 * 1000;
-            const remainingMs = Math.max(0, allowedMs - localTimeSpent);
-
-            const mins = Math.floor(remainingMs / 60000);
-            const secs = Math.floor((remainingMs % 60000) / 1000);
-
-            displayTimer(`${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`, false);
-
-            if (remainingMs <= 1000) {
-                statusDiv.textContent = "Time's up! Redirecting...";
-            } else {
-                statusDiv.textContent = `Blocked site - time remaining`;
-                isTimerActive = true;
-
-                // Re-render the block list to disable remove buttons
-                renderBlockList(blockedEntries, false, true);
-            }
-
-            timerContainer.style.display = 'block';
-
-            await syncTimeWithStorage();
-        } else {
-            timerContainer.style.display = 'none';
-            statusDiv.textContent = 'No blocked sites active';
-        }
-
-        // Update the save button state based on timer activity
-        updateUpdateButtonState(isTimerActive);
-
+        await sendToBackground({ type: 'startLock', minutes });
+        showMessage("Rules locked.");
     } catch (error) {
-        console.error("Error updating status:", error);
-        statusDiv.textContent = "Error updating status.";
-        displayTimer("--:--", false);
-        timerContainer.style.display = 'block';
+        console.error("Error locking rules:", error);
+        alert(error.message);
     }
 }
 
 /**
- * Updates the save button state - enabling or disabling it based on timer status
- * @param {boolean} isTimerActive - Whether a timer is currently active
+ * Asks for an emergency unlock, with the typed passphrase if one is needed.
  */
-function updateUpdateButtonState(isTimerActive) {
-    if (isTimerActive) {
-        UpdateSettingsBtn.disabled = true;
-        UpdateSettingsBtn.classList.add('disabled');
-        UpdateSettingsBtn.title = "Cannot update settings while timer is active";
-    } else {
-        UpdateSettingsBtn.disabled = false;
-        UpdateSettingsBtn.classList.remove('disabled');
-        UpdateSettingsBtn.title = "Save current settings";
+async function handleEmergencyUnlock() {
+    try {
+        await sendToBackground({ type: 'emergencyUnlock', passphrase: emergencyPassphraseInput.value });
+        emergencyPassphraseInput.value = '';
+    } catch (error) {
+        console.error("Error requesting emergency unlock:", error);
+        alert(error.message);
     }
 }
 
 /**
- * Helper function to display timer and manage classes
- * @param {string} timeText - Formatted time to display
- * @param {boolean} isBreak - Whether this is break time
+ * Shows the pomodoro controls in place of "Block Now" while pomodoro mode is
+ * on, with the current phase, its countdown and a cycle indicator.
+ * @param {object} settings - Pomodoro settings.
+ * @param {object} state - Pomodoro state as kept by the background worker.
+ * @param {object} lock - The reported lock state.
  */
-function displayTimer(timeText, isBreak) {
-    timerValueSpan.textContent = timeText;
-    if (isBreak) {
-        timerValueSpan.classList.add('break-time');
-    } else {
-        timerValueSpan.classList.remove('break-time');
+function renderPomodoro(settings, state, lock) {
+    if (!settings?.enabled) {
+        pomodoroControlsDiv.style.display = 'none';
+        blockNowBtn.style.display = '';
+        return;
+    }
+    pomodoroControlsDiv.style.display = 'block';
+    blockNowBtn.style.display = 'none';
+
+    const phase = state?.phase ?? 'idle';
+    const isIdle = phase === 'idle';
+    const isPaused = Boolean(state?.paused);
+    let label = POMODORO_PHASE_LABELS[phase] ?? phase;
+    if (!isIdle) {
+        const remainingMs = isPaused ? state.remainingMs : Math.max(0, state.phaseEndTime - Date.now());
+        label += ` ${formatDuration(remainingMs)}${isPaused ? ' (paused)' : ''}`;
     }
+    pomodoroPhaseSpan.textContent = label;
+
+    // One dot per work session in the current set; filled once finished
+    const cyclesPerSet = settings.cyclesBeforeLongBreak ?? 4;
+    const completedInSet = (state?.completedCycles ?? 0) % cyclesPerSet;
+    const filledDots = phase === 'longBreak' ? cyclesPerSet : completedInSet;
+    pomodoroCycleSpan.textContent = '●'.repeat(filledDots) + '○'.repeat(cyclesPerSet - filledDots);
+    pomodoroCycleSpan.title = `${state?.completedCycles ?? 0} work sessions completed`;
+
+    pomodoroStartBtn.textContent = isIdle ? 'Start' : 'Resume';
+    // A commitment lock keeps the session from being cut short, but a break can be skipped
+    const isCommitted = Boolean(lock?.isCommitmentLocked);
+    pomodoroStartBtn.disabled = !isIdle && !isPaused;
+    pomodoroPauseBtn.disabled = isIdle || isPaused || isCommitted;
+    pomodoroSkipBtn.disabled = isIdle || (isCommitted && phase === 'work');
+    pomodoroStopBtn.disabled = isIdle || isCommitted;
 }
 
 /**
- * Starts the local timer to track time spent on blocked sites
+ * Sends a start/pause/skip/stop action to the background pomodoro timer.
+ * @param {string} action - The pomodoro action.
  */
-function startLocalTimer() {
-    if (localTimerInterval) {
-        clearInterval(localTimerInterval);
+async function sendPomodoroAction(action) {
+    try {
+        await sendToBackground({ type: 'pomodoro', action });
+    } catch (error) {
+        console.error("Error sending pomodoro action:", error);
+        alert(error.message);
     }
-
-    localTimerInterval = setInterval(() => {
-        localTimeSpent += 1000;
-        updateTimerUI();
-    }, 1000);
 }
 
 /**
- * Stops the local timer
+ * Shows how much time is borrowed for the active tab and how many borrows
+ * are left today, with the button to borrow more.
+ * @param {object} borrow - Borrow state as reported by the background worker.
  */
-function stopLocalTimer() {
-    if (localTimerInterval) {
-        clearInterval(localTimerInterval);
-        localTimerInterval = null;
-        syncTimeWithStorage();
+function renderBorrow(borrow) {
+    if (borrow.budgetIds.length === 0) {
+        borrowControlsDiv.style.display = 'none';
+        return;
     }
+    borrowControlsDiv.style.display = 'flex';
+    const borrowedMinutes = Math.ceil(borrow.borrowedMs / 60000);
+    const borrowedText = borrowedMinutes > 0 ? `+${borrowedMinutes} min borrowed, ` : '';
+    borrowStatusSpan.textContent = `${borrowedText}${borrow.remaining} borrow${borrow.remaining === 1 ? '' : 's'} left today`;
+    borrowBtn.textContent = `Borrow ${borrow.minutes} min`;
+    borrowBtn.disabled = borrow.remaining === 0;
 }
 
 /**
- * Updates just the timer UI without fetching from storage
+ * Borrows time for the active tab. It is paid back from the next budget.
  */
-function updateTimerUI() {
+async function handleBorrow() {
     try {
-        if (!isOnBlockedSite) return;
-
-        const allowedTime = parseInt(timeLimitInput.value, 10) || 30;
-        const allowedMs = allowedTime * 60 * 1000;
-        const remainingMs = Math.max(0, allowedMs - localTimeSpent);
-
-        const mins = Math.floor(remainingMs / 60000);
-        const secs = Math.floor((remainingMs % 60000) / 1000);
-
-        displayTimer(`${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`, false);
-
-        if (remainingMs <= 1000) {
-            statusDiv.textContent = "Time's up! Redirecting...";
-            // Button can be enabled once time is up
-            updateUpdateButtonState(false);
-        } else {
-            // Disable button while timer is running
-            updateUpdateButtonState(true);
-        }
+        await sendToBackground({ type: 'borrowTime' });
+        showMessage("Time borrowed - it comes off your next budget.");
     } catch (error) {
-        console.error("Error updating timer UI:", error);
+        console.error("Error borrowing time:", error);
+        showMessage(error.message, true);
     }
 }
 
 /**
- * Synchronizes the local time with storage
+ * Updates the timer and status message from the latest reported state. The
+ * countdown keeps ticking between reports while the active tab is counted.
  */
-async function syncTimeWithStorage() {
-    try {
-        const data = await chrome.storage.sync.get(['timeSpent', 'breakEndTime']);
-        const storageTimeSpent = data.timeSpent ?? 0;
-        const breakEndTime = data.breakEndTime ?? null;
-        const now = Date.now();
-
-        if (breakEndTime && now > breakEndTime) {
-            localTimeSpent = 0;
-            return;
-        }
+function updateStatus() {
+    const { activeTab } = currentState;
+    const now = Date.now();
 
-        if (localTimeSpent > storageTimeSpent) {
-            await chrome.storage.sync.set({ timeSpent: localTimeSpent });
-        } else if (storageTimeSpent > localTimeSpent) {
-            localTimeSpent = storageTimeSpent;
+    switch (activeTab.status) {
+        case 'break':
+            displayTimer(formatDuration(Math.max(0, activeTab.endTime - now)), true);
+            statusDiv.textContent = `On break - timer will resume soon`;
+            timerContainer.style.display = 'block';
+            break;
+        case 'focus':
+            displayTimer(formatDuration(Math.max(0, activeTab.endTime - now)), true);
+            statusDiv.textContent = `Focus session - blocked sites are off limits`;
+            timerContainer.style.display = 'block';
+            break;
+        case 'entryBreak':
+            displayTimer(formatDuration(Math.max(0, activeTab.endTime - now)), true);
+            statusDiv.textContent = `This site is on break - it will be available soon`;
+            timerContainer.style.display = 'block';
+            break;
+        case 'breakPage':
+            displayTimer("00:00", false);
+            statusDiv.textContent = `Take a breath.`;
+            timerContainer.style.display = 'block';
+            break;
+        case 'counting': {
+            const elapsedMs = activeTab.isCounting ? now - stateReceivedAt : 0;
+            const remainingMs = Math.max(0, activeTab.remainingMs - elapsedMs);
+            displayTimer(formatDuration(remainingMs), false);
+            if (remainingMs <= 1000) {
+                statusDiv.textContent = "Time's up! Redirecting...";
+            } else {
+                statusDiv.textContent = `Blocked site - time remaining`;
+            }
+            timerContainer.style.display = 'block';
+            break;
         }
-    } catch (error) {
-        console.error("Error syncing time with storage:", error);
+        case 'allowlisted':
+            timerContainer.style.display = 'none';
+            statusDiv.textContent = 'Always allowed - time is not counted';
+            break;
+        case 'outsideSchedule':
+            timerContainer.style.display = 'none';
+            statusDiv.textContent = 'Outside focus hours - time is not counted';
+            break;
+        case 'paused':
+            timerContainer.style.display = 'none';
+            statusDiv.textContent = 'Category paused - time is not counted';
+            break;
+        case 'incognito':
+            timerContainer.style.display = 'none';
+            statusDiv.textContent = 'Private window - time is not counted';
+            break;
+        default:
+            timerContainer.style.display = 'none';
+            statusDiv.textContent = 'No blocked sites active';
+    }
+}
+
+/**
+ * Helper function to display timer and manage classes
+ * @param {string} timeText - Formatted time to display
+ * @param {boolean} isBreak - Whether this is break time
+ */
+function displayTimer(timeText, isBreak) {
+    timerValueSpan.textContent = timeText;
+    if (isBreak) {
+        timerValueSpan.classList.add('break-time');
+    } else {
+        timerValueSpan.classList.remove('break-time');
     }
 }
 
 /**
- * Immediately sets remaining time to 0 and starts a break period
+ * Asks the background worker to start a break immediately
  */
 async function handleBlockNow() {
     try {
-        const data = await chrome.storage.sync.get(['allowedTimeMinutes', 'blockedEntries']);
-        const allowedTimeMinutes = data.allowedTimeMinutes ?? 30;
-        const allowedTimeMs = allowedTimeMinutes * 60 * 1000;
-        const blockedEntries = data.blockedEntries ?? [];
-
-        const now = Date.now();
-        const newBreakEndTime = now + allowedTimeMs;
-
-        await chrome.storage.sync.set({
-            timeSpent: allowedTimeMs,
-            breakEndTime: newBreakEndTime,
-            lastCheckTimestamp: now
-        });
-
-        statusDiv.textContent = "Break started! Sites will be blocked.";
-        renderBlockList(blockedEntries, true, true);
-
-        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (activeTab && activeTab.url) {
-            const isBlocked = blockedEntries.some(entry =>
-                activeTab.url.toLowerCase().includes(entry.toLowerCase())
-            );
-
-            if (isBlocked) {
-                await chrome.tabs.update(activeTab.id, { url: BREAK_URL });
-            }
-        }
-
-        timerContainer.style.display = 'block';
-
-        // Disable settings button when break starts
-        updateUpdateButtonState(true);
-
-        setTimeout(() => {
-            updateStatus(allowedTimeMinutes, allowedTimeMs, newBreakEndTime);
-        }, 1500);
-
+        await sendToBackground({ type: 'startBreak' });
+        showMessage("Break started! Sites will be blocked.");
     } catch (error) {
         console.error("Error triggering immediate block:", error);
-        statusDiv.textContent = "Error starting break.";
+        showMessage("Error starting break.", true);
     }
 }
 
 // --- Event Listeners ---
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', () => {
     timerContainer.style.display = 'none';
-
-    localTimeSpent = 0;
-
-    const data = await chrome.storage.sync.get(['breakEndTime', 'timeSpent']);
-    const breakEndTime = data.breakEndTime ?? null;
-    const timeSpent = data.timeSpent ?? 0;
-    const now = Date.now();
-
-    if (breakEndTime && now > breakEndTime) {
-        await chrome.storage.sync.set({
-            timeSpent: 0,
-            breakEndTime: null
-        });
-    } else {
-        localTimeSpent = timeSpent;
-    }
-
-    loadSettings();
-
-    // Initialize button state (enabled by default)
-    updateUpdateButtonState(false);
+    loadState();
+    checkIncognitoAccess();
 });
-addEntryBtn.addEventListener('click', handleAddEntry);
-UpdateSettingsBtn.addEventListener('click', saveSettings);
-blockNowBtn.addEventListener('click', handleBlockNow);
-
-window.addEventListener('beforeunload', () => {
-    syncTimeWithStorage();
-    stopLocalTimer();
-});
-
-chrome.tabs.onActivated.addListener(() => {
-    loadSettings();
+incognitoSettingsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    // The "Allow in Incognito" switch is on the extension's details page
+    chrome.tabs.create({ url: `chrome://extensions/?id=${chrome.runtime.id}` });
 });
-
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-    if (changeInfo.url) {
-        loadSettings();
-    }
+openOptionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
 });
-
-newEntryInput.addEventListener('keypress', (event) => {
-    if (event.key === 'Enter') {
-        event.preventDefault();
-        handleAddEntry();
+blockNowBtn.addEventListener('click', handleBlockNow);
+borrowBtn.addEventListener('click', handleBorrow);
+profileSelect.addEventListener('change', handleSwitchProfile);
+pomodoroStartBtn.addEventListener('click', () => sendPomodoroAction('start'));
+pomodoroPauseBtn.addEventListener('click', () => sendPomodoroAction('pause'));
+pomodoroSkipBtn.addEventListener('click', () => sendPomodoroAction('skip'));
+pomodoroStopBtn.addEventListener('click', () => sendPomodoroAction('stop'));
+startLockBtn.addEventListener('click', handleStartLock);
+emergencyUnlockBtn.addEventListener('click', handleEmergencyUnlock);
+
+// The background worker reports every change to settings and counters
+chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'stateChanged') {
+        applyState(message.state);
     }
 });
 
+// Tick the countdowns, and ask for a fresh state once a break, focus session or lock is over
 setInterval(async () => {
-    try {
-        const data = await chrome.storage.sync.get(['allowedTimeMinutes', 'timeSpent', 'breakEndTime']);
-        updateStatus(data.allowedTimeMinutes ?? 30, data.timeSpent ?? 0, data.breakEndTime ?? null);
-    } catch (error) {
-        console.error("Error fetching status update:", error);
+    if (!currentState) {
+        return;
+    }
+    const { activeTab, lock, generatedAt } = currentState;
+    const now = Date.now();
+    const changeTimes = [activeTab.endTime, lock.commitmentEndTime, lock.unlockWindow?.start, lock.unlockWindow?.end];
+    if (changeTimes.some(time => time && generatedAt < time && time <= now)) {
+        try {
+            await sendToBackground({ type: 'getState' });
+        } catch (error) {
+            console.error("Error fetching status update:", error);
+        }
+    } else {
+        renderPomodoro(currentState.settings.pomodoroSettings, currentState.pomodoroState, currentState.lock);
+        renderLock(currentState.lock, currentState.settings.emergencyUnlock);
+        updateStatus();
     }
-}, 1000);
\ No newline at end of file
+}, 1000);
@@ -0,0 +1,103 @@
+// --- Profiles ---
+// Loaded by the background service worker via importScripts. A profile is a
+// named rule set, e.g. Work, Study or Weekend, with its own blocked sites,
+// categories, overall cap and break page. The active profile's rules live in
+// the usual settings keys, so everything else reads them as before; the
+// other profiles are kept under their own keys until they are switched to.
+// Everything else, such as exceptions, schedules and the lock, is shared.
+
+const PROFILE_STORAGE_KEY_PREFIX = 'profile:';
+const DEFAULT_PROFILE_NAME = 'Default';
+const MAX_PROFILES = 10;
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+// Settings each profile has its own copy of
+const PROFILE_SETTINGS_KEYS = [
+    STORAGE_KEYS.BLOCKED_ENTRIES,
+    STORAGE_KEYS.ENTRY_GROUPS,
+    STORAGE_KEYS.ALLOWED_TIME,
+    STORAGE_KEYS.OVERALL_CAP_ENABLED,
+    STORAGE_KEYS.BREAK_REDIRECT_MODE,
+    STORAGE_KEYS.CUSTOM_BREAK_URL,
+    STORAGE_KEYS.BREAK_MESSAGE
+];
+
+/**
+ * Returns the storage key a profile's rules are kept under while it isn't active.
+ * @param {string} profileId - Id of the profile.
+ * @returns {string}
+ */
+function getProfileStorageKey(profileId) {
+    return `${PROFILE_STORAGE_KEY_PREFIX}${profileId}`;
+}
+
+/**
+ * Returns the rules of a new, empty profile.
+ * @returns {object} - Settings keyed by storage key.
+ */
+function getDefaultProfileSettings() {
+    return {
+        [STORAGE_KEYS.BLOCKED_ENTRIES]: [],
+        [STORAGE_KEYS.ENTRY_GROUPS]: [],
+        [STORAGE_KEYS.ALLOWED_TIME]: DEFAULT_ALLOWED_MINUTES,
+        [STORAGE_KEYS.OVERALL_CAP_ENABLED]: false,
+        [STORAGE_KEYS.BREAK_REDIRECT_MODE]: BREAK_REDIRECT_MODES.PAGE,
+        [STORAGE_KEYS.CUSTOM_BREAK_URL]: '',
+        [STORAGE_KEYS.BREAK_MESSAGE]: DEFAULT_BREAK_MESSAGE
+    };
+}
+
+/**
+ * Picks a profile's own rules out of the settings.
+ * @param {object} settings - Settings keyed by storage key.
+ * @returns {object} - Only the PROFILE_SETTINGS_KEYS.
+ */
+function pickProfileSettings(settings) {
+    const profileSettings = {};
+    for (const key of PROFILE_SETTINGS_KEYS) {
+        profileSettings[key] = settings[key];
+    }
+    return profileSettings;
+}
+
+/**
+ * Validates a profile name.
+ * @param {string} name - The trimmed name.
+ * @param {object[]} profiles - Array of { id, name } profiles.
+ * @param {string} [profileId] - Id of the profile being renamed, which may keep its name.
+ * @returns {string | null} - An error message, or null if valid.
+ */
+function validateProfileName(name, profiles, profileId = null) {
+    if (!name) {
+        return "Please enter a name for the profile.";
+    }
+    if (name.length > MAX_PROFILE_NAME_LENGTH) {
+        return `Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`;
+    }
+    const lowerName = name.toLowerCase();
+    if (profiles.some(profile => profile.id !== profileId && profile.name.toLowerCase() === lowerName)) {
+        return `There is already a profile called ${name}.`;
+    }
+    return null;
+}
+
+/**
+ * Checks whether switching to a profile is allowed. While the rules are
+ * locked or a break or focus session is running, the profile switched to
+ * must be at least as strict as the current rules, by the same rules as
+ * editing them; otherwise switching would be a way out of the break.
+ * @param {object} profile - The { id, name } profile to switch to.
+ * @param {object} profileSettings - Its rules, keyed by storage key.
+ * @param {object} current - The current settings, keyed by storage key.
+ * @param {boolean} isRestricted - Whether the rules are locked or a break or focus session is running.
+ * @returns {string | null} - An error message, or null if allowed.
+ */
+function getProfileSwitchError(profile, profileSettings, current, isRestricted) {
+    if (!isRestricted) {
+        return null;
+    }
+    const lockedError = getLockedSettingsError(profileSettings, current);
+    return lockedError
+        ? `Cannot switch to ${profile.name} until the break or lock is over: ${lockedError}.`
+        : null;
+}
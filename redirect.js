@@ -0,0 +1,154 @@
+// --- Break Redirect ---
+// Shared by the background service worker (via importScripts) and the popup.
+
+const BREAK_PAGE_PATH = 'break.html';
+const BREAK_REDIRECT_MODES = {
+    PAGE: 'page', // The bundled break page
+    CUSTOM: 'custom' // A user-chosen URL
+};
+const DEFAULT_BREAK_MESSAGE = "Step away from the screen. Stretch, drink some water, and come back refreshed.";
+// Private tabs can't load extension pages, so they get this self-contained
+// copy of the break page instead
+const PRIVATE_BREAK_PAGE_PREFIX = 'data:text/html;charset=utf-8,' + encodeURIComponent('<!DOCTYPE html><title>Take a break</title>');
+// Like break.js, but reading the page the user came from and when the break
+// ends from the fragment, as a data: URL has no query to keep them in
+const PRIVATE_BREAK_PAGE_SCRIPT = `
+const params = new URLSearchParams(location.hash.slice(1));
+const fromUrl = params.get('from');
+const breakEndTime = parseInt(params.get('until'), 10) || null;
+const fromLink = document.getElementById('break-from-link');
+let countdownInterval = null;
+function updateCountdown() {
+    const remainingMs = breakEndTime ? Math.max(0, breakEndTime - Date.now()) : 0;
+    const mins = Math.floor(remainingMs / 60000);
+    const secs = Math.floor((remainingMs % 60000) / 1000);
+    document.getElementById('countdown-value').textContent = String(mins).padStart(2, '0') + ':' + String(secs).padStart(2, '0');
+    if (remainingMs === 0) {
+        clearInterval(countdownInterval);
+        document.getElementById('break-title').textContent = "Break's over";
+        document.getElementById('countdown-label').textContent = 'welcome back';
+        if (fromUrl) {
+            fromLink.href = fromUrl;
+        }
+    }
+}
+if (fromUrl) {
+    fromLink.textContent = fromUrl;
+} else {
+    document.getElementById('break-from').hidden = true;
+}
+updateCountdown();
+countdownInterval = setInterval(updateCountdown, 1000);
+`;
+
+/**
+ * Validates a custom break URL. Only http(s) URLs can be redirected to.
+ * @param {string} url - The URL as typed.
+ * @returns {string | null} - An error message, or null if the URL is valid.
+ */
+function validateCustomBreakUrl(url) {
+    try {
+        const parsedUrl = new URL(url);
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+            return "The break URL must start with http:// or https://";
+        }
+        return null;
+    } catch (error) {
+        return "Please enter a valid break URL, e.g. https://example.com";
+    }
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Builds the break page for private tabs: the break message and a countdown
+ * to its end, with a link back to the page the user came from once it's over.
+ * @param {object} settings - Storage snapshot with breakMessage.
+ * @param {string | null} fromUrl - The URL the user was redirected from.
+ * @param {number | null} breakEndTime - Timestamp (ms) when the break ends.
+ * @returns {string} - A data: URL.
+ */
+function buildPrivateBreakPageUrl(settings, fromUrl, breakEndTime) {
+    const body = '<h1 id="break-title">Time for a break</h1>'
+        + '<p><span id="countdown-value">--:--</span> <span id="countdown-label">until you can continue</span></p>'
+        + `<p>${escapeHtml(settings.breakMessage || DEFAULT_BREAK_MESSAGE)}</p>`
+        + '<p id="break-from">You were redirected from <a id="break-from-link"></a></p>'
+        + `<script>${PRIVATE_BREAK_PAGE_SCRIPT}</script>`;
+    const params = new URLSearchParams();
+    if (fromUrl) {
+        params.set('from', fromUrl);
+    }
+    if (breakEndTime) {
+        params.set('until', String(breakEndTime));
+    }
+    return `${PRIVATE_BREAK_PAGE_PREFIX}${encodeURIComponent(body)}#${params.toString()}`;
+}
+
+/**
+ * Builds the URL a blocked tab is sent to during a break.
+ * The bundled page is used unless a valid custom URL is configured, or the
+ * tab is private and can't show it.
+ * @param {object} settings - Storage snapshot with breakRedirectMode, customBreakUrl and breakMessage.
+ * @param {string} fromUrl - The URL the user was redirected from.
+ * @param {number | null} breakEndTime - Timestamp (ms) when the break ends.
+ * @param {boolean} [isIncognito] - Whether the tab is in a private window.
+ * @returns {string}
+ */
+function buildBreakRedirectUrl(settings, fromUrl, breakEndTime, isIncognito = false) {
+    const customUrl = settings.customBreakUrl;
+    if (settings.breakRedirectMode === BREAK_REDIRECT_MODES.CUSTOM && customUrl && !validateCustomBreakUrl(customUrl)) {
+        return customUrl;
+    }
+    if (isIncognito) {
+        return buildPrivateBreakPageUrl(settings, fromUrl, breakEndTime);
+    }
+    const params = new URLSearchParams();
+    if (fromUrl) {
+        params.set('from', fromUrl);
+    }
+    if (breakEndTime) {
+        params.set('until', String(breakEndTime));
+    }
+    return `${chrome.runtime.getURL(BREAK_PAGE_PATH)}?${params.toString()}`;
+}
+
+/**
+ * Checks whether a URL is where breaks redirect to, to avoid redirect loops.
+ * @param {string} url - The URL to check.
+ * @param {object} settings - Storage snapshot with breakRedirectMode and customBreakUrl.
+ * @returns {boolean}
+ */
+function isBreakRedirectUrl(url, settings) {
+    if (!url) {
+        return false;
+    }
+    if (url.startsWith(chrome.runtime.getURL(BREAK_PAGE_PATH)) || url.startsWith(PRIVATE_BREAK_PAGE_PREFIX)) {
+        return true;
+    }
+    return settings.breakRedirectMode === BREAK_REDIRECT_MODES.CUSTOM
+        && Boolean(settings.customBreakUrl)
+        && url.startsWith(settings.customBreakUrl);
+}
+
+/**
+ * Returns the page a tab showing a bundled or private break page was sent away from.
+ * @param {string | undefined} url - The tab's URL.
+ * @returns {string | null} - Null for any other page, including a custom break URL.
+ */
+function getBreakPageFromUrl(url) {
+    if (url?.startsWith(PRIVATE_BREAK_PAGE_PREFIX)) {
+        const hashIndex = url.indexOf('#');
+        return hashIndex === -1 ? null : new URLSearchParams(url.slice(hashIndex + 1)).get('from');
+    }
+    if (!url?.startsWith(chrome.runtime.getURL(BREAK_PAGE_PATH))) {
+        return null;
+    }
+    return new URL(url).searchParams.get('from');
+}
@@ -0,0 +1,189 @@
+// --- Weekly Schedules ---
+// Shared by the background service worker (via importScripts) and the popup.
+// All calculations use local Date fields, so the user's timezone and DST
+// changes are handled by the browser.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Converts an "HH:MM" string to minutes since midnight.
+ * @param {string} time - Time of day, e.g. "09:30".
+ * @returns {number | null} - Minutes since midnight, or null if invalid.
+ */
+function parseTimeOfDay(time) {
+    const match = TIME_OF_DAY_PATTERN.exec(time.trim());
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Parses a list of time ranges such as "09:00-12:30, 14:00-18:00".
+ * A range whose end is before its start runs past midnight.
+ * @param {string} text - Comma-separated ranges.
+ * @returns {{ ranges: {start: string, end: string}[], error: string | null }}
+ */
+function parseTimeRanges(text) {
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+        return { ranges: [], error: "Please enter at least one time range, e.g. 09:00-12:30." };
+    }
+
+    const ranges = [];
+    for (const part of parts) {
+        const [start, end, ...rest] = part.split(/\s*[-–]\s*/);
+        const startMinutes = parseTimeOfDay(start ?? '');
+        const endMinutes = parseTimeOfDay(end ?? '');
+        if (rest.length > 0 || startMinutes === null || endMinutes === null) {
+            return { ranges: [], error: `"${part}" is not a valid range. Use HH:MM-HH:MM.` };
+        }
+        if (startMinutes === endMinutes) {
+            return { ranges: [], error: `"${part}" starts and ends at the same time.` };
+        }
+        ranges.push({ start: start.padStart(5, '0'), end: end.padStart(5, '0') });
+    }
+    return { ranges, error: null };
+}
+
+/**
+ * Checks whether a schedule covers the given moment.
+ * @param {object} schedule - Schedule with days (0 = Sunday) and ranges.
+ * @param {Date} date - The moment to check, in local time.
+ * @returns {boolean}
+ */
+function isScheduleActive(schedule, date) {
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return schedule.ranges.some(range => {
+        const start = parseTimeOfDay(range.start);
+        const end = parseTimeOfDay(range.end);
+        if (start < end) {
+            return schedule.days.includes(day) && minutes >= start && minutes < end;
+        }
+        // Overnight range: the part after midnight belongs to the previous day's schedule
+        return (schedule.days.includes(day) && minutes >= start)
+            || (schedule.days.includes(previousDay) && minutes < end);
+    });
+}
+
+/**
+ * Finds the next time any of the schedules' ranges starts or ends after the given moment.
+ * @param {object[]} schedules - Array of schedules.
+ * @param {number} now - Current timestamp (ms).
+ * @param {string} boundary - 'start' or 'end'.
+ * @returns {number | null} - Timestamp of the next one, or null if there is none.
+ */
+function getNextScheduleBoundary(schedules, now, boundary) {
+    const today = new Date(now);
+    let next = null;
+
+    // Look one full week ahead, plus today for boundaries later in the day and
+    // a day more for overnight ranges ending after midnight
+    for (let offset = 0; offset <= 8; offset++) {
+        for (const schedule of schedules) {
+            for (const range of schedule.ranges) {
+                const boundaryMinutes = parseTimeOfDay(range[boundary]);
+                // Building the date from local fields lets Date apply the DST offset for that day
+                const candidate = new Date(
+                    today.getFullYear(),
+                    today.getMonth(),
+                    today.getDate() + offset,
+                    Math.floor(boundaryMinutes / 60),
+                    boundaryMinutes % 60
+                );
+                // An overnight range ends the day after the one it is scheduled on
+                const isOvernightEnd = boundary === 'end' && parseTimeOfDay(range.start) > boundaryMinutes;
+                const scheduledDay = (candidate.getDay() + (isOvernightEnd ? 6 : 0)) % 7;
+                if (!schedule.days.includes(scheduledDay) || candidate.getTime() <= now) {
+                    continue;
+                }
+                if (next === null || candidate.getTime() < next) {
+                    next = candidate.getTime();
+                }
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * Finds the next time any of the schedules starts after the given moment.
+ * @param {object[]} schedules - Array of schedules.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number | null} - Timestamp of the next start, or null if there is none.
+ */
+function getNextScheduleStart(schedules, now) {
+    return getNextScheduleBoundary(schedules, now, 'start');
+}
+
+/**
+ * Finds the next time any of the schedules starts or ends after the given
+ * moment, when the entries linked to it are enforced or no longer are.
+ * @param {object[]} schedules - Array of schedules.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number | null} - Timestamp of the next change, or null if there is none.
+ */
+function getNextScheduleChange(schedules, now) {
+    const changes = [getNextScheduleStart(schedules, now), getNextScheduleBoundary(schedules, now, 'end')]
+        .filter(change => change !== null);
+    return changes.length > 0 ? Math.min(...changes) : null;
+}
+
+/**
+ * Returns the blocked entries that are enforced right now. Entries not linked
+ * to any schedule are always enforced; linked entries only while one of their
+ * schedules is active.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @param {object[]} schedules - Array of schedules.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {object[]}
+ */
+function getScheduledEntries(blockedEntries, schedules, now) {
+    if (!blockedEntries || !schedules || schedules.length === 0) {
+        return blockedEntries ?? [];
+    }
+    const date = new Date(now);
+    return blockedEntries.filter(entry => {
+        const linkedSchedules = schedules.filter(schedule => schedule.entryIds.includes(entry.id));
+        return linkedSchedules.length === 0 || linkedSchedules.some(schedule => isScheduleActive(schedule, date));
+    });
+}
+
+/**
+ * Formats a list of days compactly, e.g. [1, 2, 3, 4, 5] as "Mon–Fri".
+ * @param {number[]} days - Days of the week (0 = Sunday).
+ * @returns {string}
+ */
+function formatDays(days) {
+    // Monday first, as most schedules are work weeks
+    const ordered = [1, 2, 3, 4, 5, 6, 0].filter(day => days.includes(day));
+    const groups = [];
+    for (const day of ordered) {
+        const lastGroup = groups[groups.length - 1];
+        const previous = lastGroup?.[lastGroup.length - 1];
+        if (lastGroup && (previous + 1) % 7 === day) {
+            lastGroup.push(day);
+        } else {
+            groups.push([day]);
+        }
+    }
+    return groups
+        .map(group => group.length > 2
+            ? `${DAY_NAMES[group[0]]}–${DAY_NAMES[group[group.length - 1]]}`
+            : group.map(day => DAY_NAMES[day]).join(', '))
+        .join(', ');
+}
+
+/**
+ * Formats a schedule for display, e.g. "Mon–Fri 09:00–12:30, 14:00–18:00".
+ * @param {object} schedule - The schedule.
+ * @returns {string}
+ */
+function formatSchedule(schedule) {
+    const ranges = schedule.ranges.map(range => `${range.start}–${range.end}`).join(', ');
+    return `${formatDays(schedule.days)} ${ranges}`;
+}
@@ -0,0 +1,288 @@
+// --- DOM Elements ---
+const todayTotalSpan = document.getElementById('todayTotal');
+const weekTotalSpan = document.getElementById('weekTotal');
+const weekBreaksSpan = document.getElementById('weekBreaks');
+const weekBlockNowSpan = document.getElementById('weekBlockNow');
+const currentStreakSpan = document.getElementById('currentStreak');
+const longestStreakSpan = document.getElementById('longestStreak');
+const dailyChartDiv = document.getElementById('dailyChart');
+const weeklyChartDiv = document.getElementById('weeklyChart');
+const topSitesOl = document.getElementById('topSites');
+const borrowSummaryP = document.getElementById('borrowSummary');
+const borrowLogUl = document.getElementById('borrowLog');
+const retentionDaysInput = document.getElementById('retentionDays');
+const saveRetentionBtn = document.getElementById('saveRetentionBtn');
+const retentionStatusSpan = document.getElementById('retentionStatus');
+
+const BORROW_LOG_DAYS = 14;
+
+// --- Functions ---
+
+/**
+ * Formats a duration as hours and minutes, e.g. "1h 05m" or "12m".
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string}
+ */
+function formatMinutes(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+/**
+ * Returns the day keys of the last N days, oldest first, ending today.
+ * @param {number} count - Number of days.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {string[]}
+ */
+function getRecentDayKeys(count, now) {
+    const keys = [];
+    for (let offset = count - 1; offset >= 0; offset--) {
+        const date = new Date(now);
+        date.setDate(date.getDate() - offset);
+        keys.push(toDayKey(date.getTime()));
+    }
+    return keys;
+}
+
+/**
+ * Renders a simple bar chart.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {{ label: string, value: number, title: string }[]} bars - Bars, in order.
+ */
+function renderBarChart(container, bars) {
+    container.innerHTML = '';
+    const maxValue = Math.max(1, ...bars.map(bar => bar.value));
+    bars.forEach(bar => {
+        const column = document.createElement('div');
+        column.classList.add('chart-column');
+        column.title = bar.title;
+
+        const fill = document.createElement('div');
+        fill.classList.add('chart-bar');
+        fill.style.height = `${(bar.value / maxValue) * 100}%`;
+
+        const label = document.createElement('span');
+        label.classList.add('chart-label');
+        label.textContent = bar.label;
+
+        column.appendChild(fill);
+        column.appendChild(label);
+        container.appendChild(column);
+    });
+}
+
+/**
+ * Sums the records of the given days.
+ * @param {object} days - Day records keyed by day key.
+ * @param {string[]} dayKeys - The days to include.
+ * @returns {object} - A combined record.
+ */
+function sumDays(days, dayKeys) {
+    const total = createHistoryRecord();
+    dayKeys.forEach(dayKey => {
+        if (days[dayKey]) {
+            mergeHistoryRecord(total, days[dayKey]);
+        }
+    });
+    return total;
+}
+
+/**
+ * Computes the current and longest streaks of days without a budget break.
+ * Days that were rolled up into weeks count as under budget only if their
+ * whole week had no breaks.
+ * @param {{ days: object, weeks: object }} history - The usage history.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {{ current: number, longest: number }}
+ */
+function computeStreaks(history, now) {
+    const firstKeys = [...Object.keys(history.days), ...Object.keys(history.weeks)].sort();
+    if (firstKeys.length === 0) {
+        return { current: 0, longest: 0 };
+    }
+
+    const todayKey = toDayKey(now);
+    const date = parseDayKey(firstKeys[0]);
+    let run = 0;
+    let longest = 0;
+    while (toDayKey(date.getTime()) <= todayKey) {
+        const dayKey = toDayKey(date.getTime());
+        const dayRecord = history.days[dayKey];
+        const weekRecord = history.weeks[getWeekKey(dayKey)];
+        const breaks = dayRecord
+            ? dayRecord[HISTORY_EVENTS.BREAK]
+            : (weekRecord?.[HISTORY_EVENTS.BREAK] ?? 0);
+        run = breaks > 0 ? 0 : run + 1;
+        longest = Math.max(longest, run);
+        date.setDate(date.getDate() + 1);
+    }
+    return { current: run, longest };
+}
+
+/**
+ * Lists every borrow of the last two weeks, newest first. Older days only
+ * keep the count.
+ * @param {object} days - Day records keyed by day key.
+ * @param {number} now - Current timestamp (ms).
+ */
+function renderBorrowLog(days, now) {
+    const lastWeek = sumDays(days, getRecentDayKeys(7, now));
+    const borrows = lastWeek[HISTORY_EVENTS.BORROW];
+    borrowSummaryP.textContent = `${borrows} borrow${borrows === 1 ? '' : 's'} in the last 7 days.`;
+
+    const uses = getRecentDayKeys(BORROW_LOG_DAYS, now)
+        .flatMap(dayKey => days[dayKey]?.borrowLog ?? [])
+        .sort((a, b) => b.time - a.time);
+    borrowLogUl.innerHTML = '';
+    if (uses.length === 0) {
+        borrowLogUl.innerHTML = '<li>No time borrowed recently.</li>';
+    }
+    uses.forEach(use => {
+        const li = document.createElement('li');
+        const whenSpan = document.createElement('span');
+        whenSpan.textContent = new Date(use.time).toLocaleString([], {
+            weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        const whatSpan = document.createElement('span');
+        whatSpan.textContent = `+${use.minutes} min for ${use.labels.join(', ')}`;
+        li.appendChild(whenSpan);
+        li.appendChild(whatSpan);
+        borrowLogUl.appendChild(li);
+    });
+}
+
+/**
+ * Loads the history and renders the whole dashboard.
+ */
+async function renderStats() {
+    try {
+        const history = await getUsageHistory();
+        const now = Date.now();
+
+        // Summary
+        const todayRecord = history.days[toDayKey(now)] ?? createHistoryRecord();
+        const lastWeek = sumDays(history.days, getRecentDayKeys(7, now));
+        todayTotalSpan.textContent = formatMinutes(todayRecord.totalMs);
+        weekTotalSpan.textContent = formatMinutes(lastWeek.totalMs);
+        weekBreaksSpan.textContent = lastWeek[HISTORY_EVENTS.BREAK];
+        weekBlockNowSpan.textContent = lastWeek[HISTORY_EVENTS.BLOCK_NOW];
+
+        const streaks = computeStreaks(history, now);
+        currentStreakSpan.textContent = streaks.current;
+        longestStreakSpan.textContent = streaks.longest;
+
+        // Daily chart
+        renderBarChart(dailyChartDiv, getRecentDayKeys(14, now).map(dayKey => {
+            const record = history.days[dayKey] ?? createHistoryRecord();
+            const date = parseDayKey(dayKey);
+            return {
+                label: `${date.getDate()}/${date.getMonth() + 1}`,
+                value: record.totalMs,
+                title: `${dayKey}: ${formatMinutes(record.totalMs)}, ${record[HISTORY_EVENTS.BREAK]} breaks`
+            };
+        }));
+
+        // Weekly chart: rolled-up weeks plus weeks still kept day by day
+        const weeks = {};
+        for (const [weekKey, record] of Object.entries(history.weeks)) {
+            weeks[weekKey] = createHistoryRecord();
+            mergeHistoryRecord(weeks[weekKey], record);
+        }
+        for (const [dayKey, record] of Object.entries(history.days)) {
+            const weekKey = getWeekKey(dayKey);
+            weeks[weekKey] = weeks[weekKey] ?? createHistoryRecord();
+            mergeHistoryRecord(weeks[weekKey], record);
+        }
+        const weekKeys = [];
+        const weekStart = parseDayKey(getWeekKey(toDayKey(now)));
+        for (let i = 7; i >= 0; i--) {
+            const date = new Date(weekStart);
+            date.setDate(date.getDate() - i * 7);
+            weekKeys.push(toDayKey(date.getTime()));
+        }
+        renderBarChart(weeklyChartDiv, weekKeys.map(weekKey => {
+            const record = weeks[weekKey] ?? createHistoryRecord();
+            const date = parseDayKey(weekKey);
+            return {
+                label: `${date.getDate()}/${date.getMonth() + 1}`,
+                value: record.totalMs,
+                title: `Week of ${weekKey}: ${formatMinutes(record.totalMs)}, ${record[HISTORY_EVENTS.BREAK]} breaks`
+            };
+        }));
+
+        // Top sites over the day-by-day window
+        const allDays = sumDays(history.days, Object.keys(history.days));
+        const topEntries = Object.values(allDays.entries).sort((a, b) => b.ms - a.ms).slice(0, 10);
+        topSitesOl.innerHTML = '';
+        if (topEntries.length === 0) {
+            topSitesOl.innerHTML = '<li>No time recorded yet.</li>';
+        }
+        topEntries.forEach(entry => {
+            const li = document.createElement('li');
+            const patternSpan = document.createElement('span');
+            patternSpan.textContent = entry.pattern;
+            const timeSpan = document.createElement('span');
+            timeSpan.textContent = formatMinutes(entry.ms);
+            li.appendChild(patternSpan);
+            li.appendChild(timeSpan);
+            topSitesOl.appendChild(li);
+        });
+
+        renderBorrowLog(history.days, now);
+    } catch (error) {
+        console.error("Error rendering statistics:", error);
+    }
+}
+
+/**
+ * Shows the retention setting from a state reported by the background worker.
+ * @param {object} state - The reported state.
+ */
+function applyState(state) {
+    retentionDaysInput.value = state.settings[STORAGE_KEYS.HISTORY_RETENTION_DAYS];
+}
+
+/**
+ * Loads the retention setting.
+ */
+async function loadRetention() {
+    try {
+        await sendToBackground({ type: 'getState' });
+    } catch (error) {
+        console.error("Error loading retention:", error);
+    }
+}
+
+/**
+ * Saves the retention setting. The background worker checks it and rolls
+ * older days up right away.
+ */
+async function saveRetention() {
+    const retentionDays = parseInt(retentionDaysInput.value, 10);
+    try {
+        await sendToBackground({
+            type: 'updateSettings',
+            settings: { [STORAGE_KEYS.HISTORY_RETENTION_DAYS]: retentionDays }
+        });
+        retentionStatusSpan.textContent = "Saved!";
+        setTimeout(() => { retentionStatusSpan.textContent = ''; }, 1500);
+    } catch (error) {
+        console.error("Error saving retention:", error);
+        retentionStatusSpan.textContent = error.message;
+    }
+}
+
+// --- Event Listeners ---
+document.addEventListener('DOMContentLoaded', () => {
+    loadRetention();
+    renderStats();
+});
+saveRetentionBtn.addEventListener('click', saveRetention);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[USAGE_HISTORY_KEY]) {
+        renderStats();
+    }
+});
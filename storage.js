@@ -0,0 +1,123 @@
+// --- Storage ---
+// Shared by the background service worker (via importScripts), the popup and
+// the break page. Settings live in chrome.storage.sync so they follow the user
+// across devices. Runtime state changes on every tracking check and would
+// exceed sync's write quota, so it lives in chrome.storage.local instead.
+
+// Every stored setting and counter, by the key it is stored under
+const STORAGE_KEYS = {
+    ALLOWED_TIME: 'allowedTimeMinutes',
+    BLOCKED_ENTRIES: 'blockedEntries',
+    TIME_SPENT: 'timeSpent', // Time spent on blocked sites today/session (in ms)
+    BREAK_END_TIME: 'breakEndTime', // Timestamp (ms) when the current break ends
+    IS_BLOCK_NOW_BREAK: 'isBlockNowBreak', // Whether the current break was started by hand rather than by the cap
+    LAST_CHECK_TIME: 'lastCheckTimestamp', // Timestamp of the last time check
+    ENTRY_USAGE: 'entryUsage', // Per-entry { timeSpent, breakEndTime } keyed by entry id
+    OVERALL_CAP_ENABLED: 'overallCapEnabled', // Whether ALLOWED_TIME applies as a shared cap
+    ALLOWLIST: 'allowlistEntries', // URL patterns that are never blocked
+    SCHEDULES: 'schedules', // Weekly focus hours, each linked to a set of entry ids
+    DAILY_RESET_TIME: 'dailyResetTime', // Local "HH:MM" at which budgets start over
+    LAST_DAILY_RESET: 'lastDailyReset', // Timestamp (ms) of the last daily reset
+    BREAK_REDIRECT_MODE: 'breakRedirectMode', // 'page' (bundled break page) or 'custom'
+    CUSTOM_BREAK_URL: 'customBreakUrl', // Redirect target when the mode is 'custom'
+    BREAK_MESSAGE: 'breakMessage', // Motivational message shown on the break page
+    POMODORO_SETTINGS: 'pomodoroSettings', // { enabled, workMinutes, shortBreakMinutes, ... }
+    POMODORO_STATE: 'pomodoroState', // Current phase, its end time and the cycle count
+    HISTORY_RETENTION_DAYS: 'historyRetentionDays', // Days of history kept before weekly roll-up
+    TRACKED_ENTRY_IDS: 'trackedEntryIds', // Entries being counted since LAST_CHECK_TIME
+    EMERGENCY_UNLOCK: 'emergencyUnlock', // { mode, passphrase, waitMinutes }
+    COMMITMENT_LOCK: 'commitmentLock', // { start, end } of a lock started from the popup
+    UNLOCK_WINDOW: 'emergencyUnlockWindow', // { start, end } of an emergency unlock
+    ENTRY_GROUPS: 'entryGroups', // { id, name, enabled, presetId } groups of entries, e.g. preset categories
+    NOTIFICATION_SETTINGS: 'notificationSettings', // { warningMinutes, breakNotifications }
+    FIRED_WARNINGS: 'firedWarnings', // Warning thresholds already notified, keyed by budget id
+    BORROW_SETTINGS: 'borrowSettings', // { minutes, perDay } for borrowing time
+    BORROWS_USED: 'borrowsUsed', // Borrows used since the daily reset
+    BORROWED_TIME: 'borrowedTime', // Borrowed time (ms) to pay back, keyed by budget id
+    TIME_TODAY: 'timeToday', // Time (ms) counted since the daily reset, keyed by budget id
+    DYNAMIC_ICON: 'dynamicIcon', // Whether the toolbar icon also shows the state
+    COUNT_INCOGNITO_TIME: 'countIncognitoTime', // Whether time in private windows counts toward the budgets
+    PROFILES: 'profiles', // { id, name } of each profile, in display order
+    ACTIVE_PROFILE_ID: 'activeProfileId' // Profile whose rules are in the settings above
+};
+
+// chrome.storage.sync refuses any single item larger than this (QUOTA_BYTES_PER_ITEM)
+const SYNC_ITEM_MAX_BYTES = 8192;
+// How the settings that can grow past it are named in errors
+const SYNC_ITEM_NAMES = {
+    blockedEntries: 'The block list',
+    allowlistEntries: 'The always-allowed list',
+    schedules: 'The schedule list',
+    entryGroups: 'The category list'
+};
+
+const RUNTIME_STATE_KEYS = [
+    'timeSpent',
+    'breakEndTime',
+    'isBlockNowBreak',
+    'lastCheckTimestamp',
+    'entryUsage',
+    'lastDailyReset',
+    'pomodoroState',
+    'trackedEntryIds',
+    'commitmentLock',
+    'emergencyUnlockWindow',
+    'firedWarnings',
+    'borrowsUsed',
+    'borrowedTime',
+    'timeToday'
+];
+
+/**
+ * Reads settings and runtime state in one go, from whichever area each key lives in.
+ * @param {string[]} keys - Storage keys to read.
+ * @returns {Promise<object>} - The stored values keyed by storage key.
+ */
+async function getStoredValues(keys) {
+    const runtimeKeys = keys.filter(key => RUNTIME_STATE_KEYS.includes(key));
+    const settingKeys = keys.filter(key => !RUNTIME_STATE_KEYS.includes(key));
+    const [settings, runtimeState] = await Promise.all([
+        settingKeys.length > 0 ? chrome.storage.sync.get(settingKeys) : {},
+        runtimeKeys.length > 0 ? chrome.storage.local.get(runtimeKeys) : {}
+    ]);
+    return { ...settings, ...runtimeState };
+}
+
+/**
+ * Writes settings to chrome.storage.sync. Sync rejects items over its size
+ * limit with a bare quota error, so each one is measured first and a clear
+ * error is thrown instead, before anything is written.
+ * @param {object} values - Settings keyed by storage key.
+ */
+async function setSyncSettings(values) {
+    for (const [key, value] of Object.entries(values)) {
+        // Sync counts the key and the value as JSON
+        const bytes = new TextEncoder().encode(key + JSON.stringify(value)).length;
+        if (bytes > SYNC_ITEM_MAX_BYTES) {
+            const name = SYNC_ITEM_NAMES[key] ?? 'This setting';
+            throw new Error(`${name} is too large to sync (${(bytes / 1024).toFixed(1)} KB of ${SYNC_ITEM_MAX_BYTES / 1024} KB). `
+                + "Remove some entries or shorten their notes, then try again.");
+        }
+    }
+    await chrome.storage.sync.set(values);
+}
+
+/**
+ * Writes settings and runtime state, with at most one write per storage area.
+ * @param {object} values - Values keyed by storage key.
+ */
+async function setStoredValues(values) {
+    const runtimeValues = {};
+    const settingValues = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (RUNTIME_STATE_KEYS.includes(key)) {
+            runtimeValues[key] = value;
+        } else {
+            settingValues[key] = value;
+        }
+    }
+    await Promise.all([
+        Object.keys(settingValues).length > 0 ? setSyncSettings(settingValues) : null,
+        Object.keys(runtimeValues).length > 0 ? chrome.storage.local.set(runtimeValues) : null
+    ]);
+}
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTENSION_ORIGIN } = require('./chrome-fake');
+const { MINUTE_MS, YOUTUBE_ENTRY, setUp, setUpBackground, plain } = require('./fixtures');
+
+test('borrowing ends an entry break and lends the time on top of an exhausted budget', () => {
+    const { context, clock } = setUp();
+    const counters = context.lendTime({
+        timeSpent: 0,
+        breakEndTime: null,
+        entryUsage: { youtube: { timeSpent: 30 * MINUTE_MS + 2000, breakEndTime: clock.now + 30 * MINUTE_MS } },
+        borrowedTime: {}
+    }, ['youtube'], [YOUTUBE_ENTRY], 60 * MINUTE_MS, 5 * MINUTE_MS);
+
+    assert.deepEqual(plain(counters.entryUsage), { youtube: { timeSpent: 25 * MINUTE_MS, breakEndTime: null } });
+    assert.deepEqual(plain(counters.borrowedTime), { youtube: 5 * MINUTE_MS });
+});
+
+test('borrowing for the shared cap ends the shared break and adds up the debt', () => {
+    const { context, clock } = setUp();
+    const counters = context.lendTime({
+        timeSpent: 60 * MINUTE_MS,
+        breakEndTime: clock.now + 60 * MINUTE_MS,
+        entryUsage: {},
+        borrowedTime: { overall: 5 * MINUTE_MS }
+    }, ['overall', 'removed-entry'], [YOUTUBE_ENTRY], 60 * MINUTE_MS, 5 * MINUTE_MS);
+
+    assert.equal(counters.timeSpent, 55 * MINUTE_MS);
+    assert.equal(counters.breakEndTime, null);
+    assert.deepEqual(plain(counters.borrowedTime), { overall: 10 * MINUTE_MS });
+});
+
+test('only the time a borrow actually grants is added to the debt', () => {
+    const { context } = setUp();
+    const counters = context.lendTime({
+        timeSpent: 2 * MINUTE_MS,
+        breakEndTime: null,
+        entryUsage: { youtube: { timeSpent: 3 * MINUTE_MS, breakEndTime: null } },
+        borrowedTime: { youtube: MINUTE_MS }
+    }, ['youtube', 'overall'], [YOUTUBE_ENTRY], 60 * MINUTE_MS, 5 * MINUTE_MS);
+
+    assert.equal(counters.timeSpent, 0);
+    assert.deepEqual(plain(counters.entryUsage), { youtube: { timeSpent: 0, breakEndTime: null } });
+    assert.deepEqual(plain(counters.borrowedTime), { youtube: 4 * MINUTE_MS, overall: 2 * MINUTE_MS });
+});
+
+test('borrowed time is counted as spent once the break after it ends', async () => {
+    const { context, clock, local } = setUp();
+    Object.assign(local, {
+        entryUsage: { youtube: { timeSpent: 30 * MINUTE_MS, breakEndTime: clock.now - 1 } },
+        borrowedTime: { youtube: 5 * MINUTE_MS }
+    });
+
+    await context.checkActiveTabAndManageTime();
+
+    assert.deepEqual(local.entryUsage.youtube, { timeSpent: 5 * MINUTE_MS, breakEndTime: null });
+    assert.deepEqual(local.borrowedTime, {});
+});
+
+test('the daily reset pays back borrowed time, except for budgets still on break', async () => {
+    const { context, clock, local } = setUp();
+    const breakEndTime = clock.now + 10 * MINUTE_MS;
+    Object.assign(local, {
+        lastDailyReset: clock.now - 2 * 24 * 60 * MINUTE_MS,
+        borrowsUsed: 3,
+        timeSpent: 40 * MINUTE_MS,
+        entryUsage: {
+            youtube: { timeSpent: 20 * MINUTE_MS, breakEndTime: null },
+            reddit: { timeSpent: 30 * MINUTE_MS, breakEndTime }
+        },
+        borrowedTime: { youtube: 5 * MINUTE_MS, reddit: 10 * MINUTE_MS, overall: 15 * MINUTE_MS }
+    });
+
+    await context.resetDailyBudgetsIfDue();
+
+    assert.equal(local.timeSpent, 15 * MINUTE_MS);
+    assert.deepEqual(local.entryUsage, {
+        youtube: { timeSpent: 5 * MINUTE_MS, breakEndTime: null },
+        reddit: { timeSpent: 0, breakEndTime }
+    });
+    assert.deepEqual(local.borrowedTime, { reddit: 10 * MINUTE_MS });
+    assert.equal(local.borrowsUsed, 0);
+});
+
+test('warnings offer to borrow only while borrows are left', async () => {
+    const { context, clock, local, notifications } = setUp({
+        sync: {
+            blockedEntries: [{ ...YOUTUBE_ENTRY, allowedTimeMinutes: 6 }],
+            borrowSettings: { minutes: 10, perDay: 2 }
+        }
+    });
+    Object.assign(local, {
+        trackedEntryIds: ['youtube'],
+        entryUsage: { youtube: { timeSpent: 30 * 1000, breakEndTime: null } },
+        borrowsUsed: 1
+    });
+
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.deepEqual(notifications.at(-1).buttons.map(button => button.title), ['Start break now', 'Borrow 10 min']);
+
+    local.borrowsUsed = 2;
+    local.entryUsage.youtube.timeSpent = 4.5 * MINUTE_MS;
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(notifications.at(-1).message, 'youtube.com: less than 1 minute left.');
+    assert.deepEqual(notifications.at(-1).buttons.map(button => button.title), ['Start break now']);
+});
+
+test('borrowing from the popup ends the break of the tab and takes the break page back', async () => {
+    const { context, clock, local, tabs } = setUpBackground({
+        url: `${EXTENSION_ORIGIN}break.html?from=${encodeURIComponent('https://www.youtube.com/watch?v=1')}`
+    });
+    local.entryUsage = { youtube: { timeSpent: 30 * MINUTE_MS, breakEndTime: clock.now + 30 * MINUTE_MS } };
+
+    await context.handleApiMessage({ type: 'borrowTime' });
+
+    assert.deepEqual(local.entryUsage.youtube, { timeSpent: 25 * MINUTE_MS, breakEndTime: null });
+    assert.deepEqual(local.borrowedTime, { youtube: 5 * MINUTE_MS });
+    assert.equal(local.borrowsUsed, 1);
+    assert.equal(tabs[0].url, 'https://www.youtube.com/watch?v=1');
+});
+
+test("a Block Now break can't be borrowed out of, even with the shared cap on", async () => {
+    const { context, clock, local } = setUpBackground({ sync: { overallCapEnabled: true } });
+
+    const { state } = await context.handleApiMessage({ type: 'startBreak' });
+    assert.deepEqual(plain(state.borrow.budgetIds), []);
+    await assert.rejects(context.borrowTime(['overall']), /during a Block Now break/);
+    assert.equal(local.borrowsUsed, undefined);
+
+    // A break the cap started can be
+    Object.assign(local, { breakEndTime: clock.now + 30 * MINUTE_MS, isBlockNowBreak: false });
+    await context.borrowTime(['overall']);
+    assert.equal(local.breakEndTime, null);
+    assert.equal(local.borrowsUsed, 1);
+});
+
+test('the Borrow button of a warning is refused during a focus session or once no borrows are left', async () => {
+    const { chrome, context, clock, local, notifications } = setUpBackground();
+    local.pomodoroState = { phase: 'work', phaseEndTime: clock.now + 25 * MINUTE_MS, paused: false, completedCycles: 0 };
+    local.entryUsage = { youtube: { timeSpent: 29 * MINUTE_MS, breakEndTime: null } };
+
+    await chrome.notifications.onButtonClicked.dispatch('warning:youtube', 1);
+    assert.equal(local.entryUsage.youtube.timeSpent, 29 * MINUTE_MS);
+    assert.equal(notifications.at(-1).message, "Time can't be borrowed during a focus session.");
+
+    local.pomodoroState.phase = 'shortBreak';
+    local.borrowsUsed = 3;
+    await chrome.notifications.onButtonClicked.dispatch('warning:youtube', 1);
+    assert.equal(local.entryUsage.youtube.timeSpent, 29 * MINUTE_MS);
+    assert.equal(notifications.at(-1).message, "No borrows left today.");
+
+    local.borrowsUsed = 2;
+    await chrome.notifications.onButtonClicked.dispatch('warning:youtube', 1);
+    assert.equal(local.entryUsage.youtube.timeSpent, 24 * MINUTE_MS);
+    assert.equal(local.borrowsUsed, 3);
+});
+
+test('Block Now clears the warnings it makes stale', async () => {
+    const { context, notifications } = setUpBackground({ sync: { overallCapEnabled: true } });
+    context.showBudgetWarning({ id: 'youtube', label: 'youtube.com' }, 5, 5);
+    context.showBudgetWarning({ id: 'overall', label: 'All blocked sites' }, 5, 5);
+
+    await context.handleApiMessage({ type: 'startBreak' });
+
+    assert.deepEqual(notifications.filter(notification => notification.id.startsWith('warning:')), []);
+});
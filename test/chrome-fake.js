@@ -0,0 +1,280 @@
+// --- Chrome API Fake ---
+// An in-memory stand-in for the chrome.* APIs the extension uses, with a
+// clock the tests move by hand. Run the suite from the repository root with:
+//
+//     node --test test/*.test.js
+//
+// Leave the pattern to the shell: Node 20 doesn't expand it itself, and
+// passing the directory instead also runs the helpers, or fails on Node 22.
+//
+// Only what the loaded scripts call is faked; anything else is missing on
+// purpose, so a test fails loudly when the code starts using a new API.
+
+const EXTENSION_ORIGIN = 'chrome-extension://focus-time-blocker-test/';
+
+/**
+ * Creates a clock that only moves when a test says so.
+ * @param {number} start - Starting timestamp (ms).
+ * @returns {{ now: number, advance: function(number): number, set: function(number): number }}
+ */
+function createClock(start) {
+    return {
+        now: start,
+        advance(ms) {
+            this.now += ms;
+            return this.now;
+        },
+        set(timestamp) {
+            this.now = timestamp;
+            return this.now;
+        }
+    };
+}
+
+/**
+ * Builds a Date class that reads the time from the given clock. Dates built
+ * from explicit arguments behave as usual.
+ * @param {object} clock - A clock from createClock.
+ * @returns {typeof Date}
+ */
+function createClockDate(clock) {
+    return class ClockDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return clock.now;
+        }
+    };
+}
+
+/**
+ * Creates an event like chrome.*.onSomething, which tests can also fire.
+ * @returns {{ addListener: function, removeListener: function, dispatch: function(...*): Promise<void> }}
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener(listener) {
+            listeners.push(listener);
+        },
+        removeListener(listener) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        },
+        async dispatch(...args) {
+            await Promise.all(listeners.map(listener => listener(...args)));
+        }
+    };
+}
+
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+/**
+ * Creates a storage area like chrome.storage.sync. Values are copied in and
+ * out, as the real API serializes them.
+ * @param {string} areaName - 'sync' or 'local', as reported to onChanged.
+ * @param {object} onChanged - The shared chrome.storage.onChanged event.
+ */
+function createStorageArea(areaName, onChanged) {
+    const data = {};
+    const notify = changes => {
+        if (Object.keys(changes).length > 0) {
+            onChanged.dispatch(changes, areaName);
+        }
+    };
+    return {
+        data,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return structuredClone(data);
+            }
+            const result = {};
+            for (const key of [].concat(keys)) {
+                if (key in data) {
+                    result[key] = structuredClone(data[key]);
+                }
+            }
+            return result;
+        },
+        async set(values) {
+            // Like sync, the whole write is refused if one item is too large
+            if (areaName === 'sync' && Object.entries(values).some(([key, value]) =>
+                new TextEncoder().encode(key + JSON.stringify(value)).length > SYNC_QUOTA_BYTES_PER_ITEM)) {
+                throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+            }
+            const changes = {};
+            for (const [key, value] of Object.entries(values)) {
+                changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+                data[key] = structuredClone(value);
+            }
+            notify(changes);
+        },
+        async remove(keys) {
+            const changes = {};
+            for (const key of [].concat(keys)) {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            }
+            notify(changes);
+        },
+        async clear() {
+            await this.remove(Object.keys(data));
+        }
+    };
+}
+
+/**
+ * Checks whether a tab has every property of a chrome.tabs.query filter.
+ * @param {object} tab - The tab.
+ * @param {object} queryInfo - The filter, e.g. { active: true, windowId: 1 }.
+ * @param {number | null} focusedWindowId - The window lastFocusedWindow refers to.
+ * @returns {boolean}
+ */
+function matchesTabQuery(tab, queryInfo, focusedWindowId) {
+    return Object.entries(queryInfo).every(([key, value]) => key === 'lastFocusedWindow'
+        ? (tab.windowId === focusedWindowId) === value
+        : tab[key] === value);
+}
+
+/**
+ * Creates the fake chrome API.
+ * @param {object} [options]
+ * @param {number} [options.now] - Starting time of the clock (ms).
+ * @param {object[]} [options.tabs] - Open tabs, e.g. { id, url, active, windowId, audible }.
+ * @returns {{ chrome: object, clock: object, tabs: object[], notifications: object[], alarms: Map,
+ *     networkRules: object[] }} - notifications holds the ones shown and not cleared since.
+ */
+function createChromeFake(options = {}) {
+    const clock = createClock(options.now ?? new Date(2024, 0, 15, 12, 0).getTime());
+    const tabs = (options.tabs ?? []).map(tab => ({ windowId: 1, active: false, audible: false, ...tab }));
+    const notifications = [];
+    const alarms = new Map();
+    const networkRules = [];
+    const storageChanged = createEvent();
+
+    const chrome = {
+        runtime: {
+            id: 'focus-time-blocker-test',
+            getURL: path => EXTENSION_ORIGIN + path.replace(/^\//, ''),
+            sendMessage: async () => {
+                throw new Error('Could not establish connection. Receiving end does not exist.');
+            },
+            openOptionsPage: async () => {},
+            onMessage: createEvent(),
+            onInstalled: createEvent(),
+            onStartup: createEvent()
+        },
+        extension: {
+            allowedIncognitoAccess: true,
+            async isAllowedIncognitoAccess() {
+                return this.allowedIncognitoAccess;
+            }
+        },
+        storage: {
+            sync: createStorageArea('sync', storageChanged),
+            local: createStorageArea('local', storageChanged),
+            onChanged: storageChanged
+        },
+        tabs: {
+            async query(queryInfo = {}) {
+                return tabs
+                    .filter(tab => matchesTabQuery(tab, queryInfo, chrome.windows.focusedWindowId))
+                    .map(tab => ({ ...tab }));
+            },
+            async update(tabId, properties) {
+                const tab = tabs.find(candidate => candidate.id === tabId);
+                if (!tab) {
+                    throw new Error(`No tab with id: ${tabId}.`);
+                }
+                Object.assign(tab, properties);
+                return { ...tab };
+            },
+            onActivated: createEvent(),
+            onUpdated: createEvent(),
+            onRemoved: createEvent()
+        },
+        windows: {
+            focusedWindowId: 1,
+            async getLastFocused() {
+                if (this.focusedWindowId === null) {
+                    throw new Error('No last-focused window');
+                }
+                return { id: this.focusedWindowId, focused: true };
+            },
+            onFocusChanged: createEvent()
+        },
+        idle: {
+            state: 'active',
+            setDetectionInterval() {},
+            async queryState() {
+                return this.state;
+            },
+            onStateChanged: createEvent()
+        },
+        alarms: {
+            async create(name, alarmInfo) {
+                const scheduledTime = alarmInfo.when ?? clock.now + (alarmInfo.delayInMinutes ?? alarmInfo.periodInMinutes) * 60 * 1000;
+                alarms.set(name, { name, scheduledTime, periodInMinutes: alarmInfo.periodInMinutes });
+            },
+            async get(name) {
+                return alarms.get(name);
+            },
+            async clear(name) {
+                return alarms.delete(name);
+            },
+            onAlarm: createEvent()
+        },
+        notifications: {
+            create(notificationId, notificationOptions) {
+                notifications.push({ id: notificationId, ...structuredClone(notificationOptions) });
+            },
+            clear(notificationId) {
+                const shown = notifications.filter(notification => notification.id !== notificationId);
+                notifications.splice(0, notifications.length, ...shown);
+            },
+            onButtonClicked: createEvent()
+        },
+        declarativeNetRequest: {
+            async isRegexSupported() {
+                return { isSupported: true };
+            },
+            async getDynamicRules() {
+                return structuredClone(networkRules);
+            },
+            async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+                const kept = networkRules.filter(rule => !removeRuleIds.includes(rule.id));
+                networkRules.splice(0, networkRules.length, ...kept, ...structuredClone(addRules));
+            }
+        },
+        // The toolbar button, menus and shortcuts only need to accept calls
+        action: {
+            async setBadgeText() {},
+            async setBadgeBackgroundColor() {},
+            async setIcon() {}
+        },
+        contextMenus: {
+            create() {},
+            async update() {},
+            async removeAll() {},
+            onClicked: createEvent()
+        },
+        commands: {
+            onCommand: createEvent()
+        }
+    };
+
+    return { chrome, clock, tabs, notifications, alarms, networkRules };
+}
+
+module.exports = { EXTENSION_ORIGIN, createChromeFake, createClockDate };
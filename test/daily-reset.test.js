@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeFake } = require('./chrome-fake');
+const { TRACKING_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Loads the tracking scripts with the clock at the given local time.
+ * @param {Date} now - Current local time.
+ * @param {object} [local] - Runtime state, keyed by storage key.
+ */
+function setUp(now, local = {}) {
+    const fake = createChromeFake({ now: now.getTime() });
+    Object.assign(fake.chrome.storage.local.data, local);
+    const { context } = loadScripts(TRACKING_SCRIPTS, fake);
+    return { ...fake, context, local: fake.chrome.storage.local.data };
+}
+
+test('the last reset boundary is today once the reset time has passed', () => {
+    const { context, clock } = setUp(new Date(2024, 0, 15, 12, 0));
+
+    assert.equal(context.getLastResetBoundary('04:00', clock.now), new Date(2024, 0, 15, 4, 0).getTime());
+    assert.equal(context.getNextResetBoundary('04:00', clock.now), new Date(2024, 0, 16, 4, 0).getTime());
+});
+
+test('the last reset boundary is yesterday before the reset time', () => {
+    const { context, clock } = setUp(new Date(2024, 0, 15, 3, 59));
+
+    assert.equal(context.getLastResetBoundary('04:00', clock.now), new Date(2024, 0, 14, 4, 0).getTime());
+    assert.equal(context.getNextResetBoundary('04:00', clock.now), new Date(2024, 0, 15, 4, 0).getTime());
+});
+
+test('a passed boundary resets the counters but lets running breaks finish', async () => {
+    const now = new Date(2024, 0, 15, 4, 1);
+    const breakEndTime = now.getTime() + 10 * MINUTE_MS;
+    const { context, clock, local, alarms } = setUp(now, {
+        timeSpent: 20 * MINUTE_MS,
+        lastDailyReset: new Date(2024, 0, 14, 4, 0).getTime(),
+        entryUsage: {
+            youtube: { timeSpent: 30 * MINUTE_MS, breakEndTime },
+            reddit: { timeSpent: 5 * MINUTE_MS, breakEndTime: null }
+        },
+        borrowsUsed: 2,
+        timeToday: { youtube: 30 * MINUTE_MS, overall: 30 * MINUTE_MS }
+    });
+
+    await context.resetDailyBudgetsIfDue();
+
+    assert.equal(local.timeSpent, 0);
+    assert.deepEqual(local.entryUsage, {
+        youtube: { timeSpent: 0, breakEndTime },
+        reddit: { timeSpent: 0, breakEndTime: null }
+    });
+    assert.equal(local.borrowsUsed, 0);
+    assert.deepEqual(local.timeToday, {});
+    assert.equal(local.lastDailyReset, clock.now);
+    assert.equal(local.lastCheckTimestamp, clock.now);
+    assert.equal(alarms.get('dailyResetAlarm').scheduledTime, new Date(2024, 0, 16, 4, 0).getTime());
+});
+
+test('counters are kept until the next boundary', async () => {
+    const lastDailyReset = new Date(2024, 0, 15, 4, 0).getTime();
+    const { context, local, alarms } = setUp(new Date(2024, 0, 15, 23, 0), {
+        timeSpent: 20 * MINUTE_MS,
+        lastDailyReset
+    });
+
+    await context.resetDailyBudgetsIfDue();
+
+    assert.equal(local.timeSpent, 20 * MINUTE_MS);
+    assert.equal(local.lastDailyReset, lastDailyReset);
+    assert.equal(alarms.get('dailyResetAlarm').scheduledTime, new Date(2024, 0, 16, 4, 0).getTime());
+});
+
+test('a reset missed while the browser was closed is caught up', async () => {
+    const { context, local } = setUp(new Date(2024, 0, 18, 9, 0), {
+        timeSpent: 20 * MINUTE_MS,
+        lastDailyReset: new Date(2024, 0, 15, 4, 0).getTime()
+    });
+
+    await context.resetDailyBudgetsIfDue();
+
+    assert.equal(local.timeSpent, 0);
+});
+
+test('a check running when the reset is due cannot write the old counters back', async () => {
+    const { context, clock, local } = setUp(new Date(2024, 0, 15, 4, 1), {
+        timeSpent: 20 * MINUTE_MS,
+        lastDailyReset: new Date(2024, 0, 14, 4, 0).getTime(),
+        entryUsage: { youtube: { timeSpent: 20 * MINUTE_MS, breakEndTime: null } }
+    });
+    local.lastCheckTimestamp = clock.now;
+
+    await Promise.all([context.queueTrackingCheck(), context.resetDailyBudgetsIfDue()]);
+
+    assert.equal(local.timeSpent, 0);
+    assert.deepEqual(local.entryUsage, { youtube: { timeSpent: 0, breakEndTime: null } });
+    assert.equal(local.lastDailyReset, clock.now);
+});
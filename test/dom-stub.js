@@ -0,0 +1,70 @@
+// --- DOM Stub ---
+// Just enough of the DOM for the popup's rendering code: elements are created
+// on first lookup and keep whatever the code writes to them. Setting
+// innerHTML only clears an element's children.
+
+/**
+ * Creates a stub element.
+ * @param {string} id - The element's id.
+ * @param {string} [tagName] - The element's tag, for created elements.
+ * @returns {object}
+ */
+function createElementStub(id, tagName = null) {
+    const classes = new Set();
+    return {
+        id,
+        tagName,
+        children: [],
+        dataset: {},
+        get innerHTML() {
+            return '';
+        },
+        set innerHTML(html) {
+            this.children.length = 0;
+        },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        textContent: '',
+        value: '',
+        title: '',
+        disabled: false,
+        style: {},
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle(name, force = !classes.has(name)) {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            },
+            contains: name => classes.has(name)
+        },
+        addEventListener() {}
+    };
+}
+
+/**
+ * Creates a document stub.
+ * @returns {{ document: object, elements: Map<string, object> }}
+ */
+function createDocumentStub() {
+    const elements = new Map();
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, createElementStub(id));
+            }
+            return elements.get(id);
+        },
+        createElement: tagName => createElementStub(null, tagName.toUpperCase()),
+        addEventListener() {}
+    };
+    return { document, elements };
+}
+
+module.exports = { createDocumentStub };
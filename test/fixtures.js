@@ -0,0 +1,84 @@
+// --- Test Fixtures ---
+// Entries and set-ups shared by the test files: the fake chrome API with one
+// active tab and some stored values, and extension scripts loaded on top.
+
+const vm = require('node:vm');
+const { createChromeFake, createClockDate } = require('./chrome-fake');
+const { createDocumentStub } = require('./dom-stub');
+const { TRACKING_SCRIPTS, loadScripts } = require('./load-scripts');
+
+const MINUTE_MS = 60 * 1000;
+const YOUTUBE_ENTRY = {
+    id: 'youtube',
+    pattern: 'youtube.com',
+    matchType: 'domain',
+    allowedTimeMinutes: 30,
+    countAudible: false
+};
+const REDDIT_ENTRY = { ...YOUTUBE_ENTRY, id: 'reddit', pattern: 'reddit.com' };
+
+/**
+ * Loads extension scripts with one active tab and the given stored values.
+ * @param {object} [options]
+ * @param {string[]} [options.scripts] - Scripts to load, in order. Defaults to the tracking scripts.
+ * @param {string} [options.url] - URL of the active tab.
+ * @param {object} [options.sync] - Settings, keyed by storage key. The block list defaults to YOUTUBE_ENTRY.
+ * @param {object} [options.local] - Runtime state, keyed by storage key.
+ * @param {object} [options.globals] - Extra globals for the scripts.
+ */
+function setUp({ scripts = TRACKING_SCRIPTS, url = 'https://www.youtube.com/watch?v=1', sync = {}, local = {}, globals } = {}) {
+    const fake = createChromeFake({ tabs: [{ id: 1, url, active: true }] });
+    Object.assign(fake.chrome.storage.sync.data, { blockedEntries: [YOUTUBE_ENTRY], ...sync });
+    Object.assign(fake.chrome.storage.local.data, { lastCheckTimestamp: fake.clock.now, ...local });
+    const { context, evaluate } = loadScripts(scripts, fake, globals);
+    return { ...fake, context, evaluate, sync: fake.chrome.storage.sync.data, local: fake.chrome.storage.local.data };
+}
+
+/**
+ * Loads the whole background service worker, like setUp. State broadcasts
+ * only update the toolbar and any open popup, so they never run.
+ * @param {object} [options] - As for setUp, without scripts.
+ */
+function setUpBackground(options = {}) {
+    return setUp({
+        ...options,
+        scripts: ['background.js'],
+        globals: { setTimeout: () => 0, clearTimeout() {} }
+    });
+}
+
+/**
+ * Opens the break page a private tab was sent to, running its script against
+ * a DOM stub.
+ * @param {string} url - The tab's data: URL.
+ * @param {object} clock - The fake's clock.
+ * @returns {{ html: string, elements: Map<string, object>, tick: function() }} - The
+ *     page's HTML, its elements by id, and a way to run its countdown's next tick.
+ */
+function openPrivateBreakPage(url, clock) {
+    const hashIndex = url.indexOf('#');
+    const html = decodeURIComponent(url.slice(url.indexOf(',') + 1, hashIndex === -1 ? undefined : hashIndex));
+    const { document, elements } = createDocumentStub();
+    const intervals = [];
+    const context = vm.createContext({
+        document,
+        location: { hash: hashIndex === -1 ? '' : url.slice(hashIndex) },
+        Date: createClockDate(clock),
+        URLSearchParams,
+        setInterval: callback => intervals.push(callback),
+        clearInterval() {}
+    });
+    vm.runInContext(html.match(/<script>([\s\S]*)<\/script>/)[1], context);
+    return { html, elements, tick: () => intervals.forEach(callback => callback()) };
+}
+
+/**
+ * Copies a value out of the script context, so it compares equal to plain test values.
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { MINUTE_MS, YOUTUBE_ENTRY, REDDIT_ENTRY, setUp, setUpBackground, openPrivateBreakPage, plain };
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MINUTE_MS, setUpBackground, plain } = require('./fixtures');
+
+test('a shorter history retention is checked, saved and rolled up right away, even while locked', async () => {
+    // The clock starts on Monday 2024-01-15, during a break, which locks the rules
+    const { context, clock, sync, local } = setUpBackground();
+    const dayRecord = totalMs => ({ totalMs, entries: {}, breaks: 0, blockNowUses: 0, borrows: 0 });
+    Object.assign(local, {
+        breakEndTime: clock.now + 30 * MINUTE_MS,
+        usageHistory: { days: { '2024-01-02': dayRecord(MINUTE_MS), '2024-01-10': dayRecord(2 * MINUTE_MS) }, weeks: {} }
+    });
+
+    await assert.rejects(
+        context.handleApiMessage({ type: 'updateSettings', settings: { historyRetentionDays: 3 } }),
+        /at least 7 days/
+    );
+    assert.equal(sync.historyRetentionDays, undefined);
+
+    const { state } = await context.handleApiMessage({ type: 'updateSettings', settings: { historyRetentionDays: 7 } });
+    assert.equal(state.lock.isLocked, true);
+    assert.equal(state.settings.historyRetentionDays, 7);
+    assert.deepEqual(Object.keys(local.usageHistory.days), ['2024-01-10']);
+    assert.deepEqual(plain(local.usageHistory.weeks), { '2024-01-01': { ...dayRecord(MINUTE_MS), dayCount: 1 } });
+});
+
+test("a break started from a budget's warning counts as a break, not a Block Now", async () => {
+    const { chrome, clock, local } = setUpBackground();
+
+    await chrome.notifications.onButtonClicked.dispatch('warning:youtube', 0);
+
+    assert.equal(local.entryUsage.youtube.breakEndTime, clock.now + 30 * MINUTE_MS);
+    const [record] = Object.values(local.usageHistory.days);
+    assert.equal(record.breaks, 1);
+    assert.equal(record.blockNowUses, 0);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTENSION_ORIGIN } = require('./chrome-fake');
+const { MINUTE_MS, YOUTUBE_ENTRY, setUpBackground } = require('./fixtures');
+
+const OPTIONS_URL = `${EXTENSION_ORIGIN}options.html`;
+
+test('a break on another tab locks the rules, also from the options page', async () => {
+    const { context, clock, local, sync } = setUpBackground({ url: OPTIONS_URL });
+
+    let { state } = await context.handleApiMessage({ type: 'getState' });
+    assert.equal(state.lock.isLocked, false);
+
+    local.entryUsage = { youtube: { timeSpent: 30 * MINUTE_MS, breakEndTime: clock.now + 30 * MINUTE_MS } };
+    ({ state } = await context.handleApiMessage({ type: 'getState' }));
+    assert.equal(state.activeTab.status, 'none');
+    assert.equal(state.lock.isLocked, true);
+
+    await assert.rejects(
+        context.handleApiMessage({ type: 'updateSettings', settings: { blockedEntries: [{ ...YOUTUBE_ENTRY, allowedTimeMinutes: 60 }] } }),
+        /Cannot raise budgets while rules are locked/
+    );
+    await assert.rejects(context.handleApiMessage({ type: 'removeEntry', entryId: 'youtube' }), /Cannot remove sites/);
+    await assert.rejects(context.handleApiMessage({ type: 'resetData' }), /Cannot reset data/);
+    assert.deepEqual(sync.blockedEntries, [YOUTUBE_ENTRY]);
+
+    // Stricter changes are still fine
+    await context.handleApiMessage({ type: 'updateSettings', settings: { blockedEntries: [{ ...YOUTUBE_ENTRY, allowedTimeMinutes: 10 }] } });
+    assert.equal(sync.blockedEntries[0].allowedTimeMinutes, 10);
+});
+
+test('the shared break and focus sessions lock the rules wherever they run', async () => {
+    const { context, clock, local } = setUpBackground({ url: 'https://example.com/' });
+
+    local.breakEndTime = clock.now + MINUTE_MS;
+    let { state } = await context.handleApiMessage({ type: 'getState' });
+    assert.equal(state.lock.isLocked, true);
+
+    local.breakEndTime = null;
+    local.pomodoroState = { phase: 'work', phaseEndTime: clock.now + 25 * MINUTE_MS, remainingMs: null, paused: false, completedCycles: 0 };
+    ({ state } = await context.handleApiMessage({ type: 'getState' }));
+    assert.equal(state.lock.isLocked, true);
+});
+
+test('a work session can be paused, skipped or stopped unless the user committed to a lock', async () => {
+    const { context, clock, local } = setUpBackground({ url: OPTIONS_URL });
+    // The session locks the rules, but not its own controls
+    let { state } = await context.handleApiMessage({ type: 'pomodoro', action: 'start' });
+    assert.equal(state.lock.isLocked, true);
+    await context.handleApiMessage({ type: 'pomodoro', action: 'pause' });
+    assert.equal(local.pomodoroState.paused, true);
+    await context.handleApiMessage({ type: 'pomodoro', action: 'start' });
+    await context.handleApiMessage({ type: 'pomodoro', action: 'skip' });
+    assert.equal(local.pomodoroState.phase, 'shortBreak');
+    await context.handleApiMessage({ type: 'pomodoro', action: 'stop' });
+    assert.equal(local.pomodoroState.phase, 'idle');
+
+    await context.handleApiMessage({ type: 'pomodoro', action: 'start' });
+    local.commitmentLock = { start: clock.now, end: clock.now + 60 * MINUTE_MS };
+    const workState = structuredClone(local.pomodoroState);
+    for (const action of ['pause', 'skip', 'stop']) {
+        await assert.rejects(
+            context.handleApiMessage({ type: 'pomodoro', action }),
+            /Cannot pause, skip or stop a pomodoro session while rules are locked/
+        );
+    }
+    assert.deepEqual(local.pomodoroState, workState);
+
+    // Once the session is over, a break can still be skipped back to work
+    clock.advance(25 * MINUTE_MS);
+    await context.handlePomodoroPhaseEnd();
+    assert.equal(local.pomodoroState.phase, 'shortBreak');
+    await assert.rejects(context.handleApiMessage({ type: 'pomodoro', action: 'stop' }), /while rules are locked/);
+    ({ state } = await context.handleApiMessage({ type: 'pomodoro', action: 'skip' }));
+    assert.equal(local.pomodoroState.phase, 'work');
+    assert.equal(state.lock.isCommitmentLocked, true);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTENSION_ORIGIN } = require('./chrome-fake');
+const { MINUTE_MS, YOUTUBE_ENTRY, REDDIT_ENTRY, setUpBackground, openPrivateBreakPage } = require('./fixtures');
+
+test('network rules follow a schedule that starts and ends during a break', async () => {
+    // The clock starts on a Monday at 12:00
+    const { context, evaluate, clock, local, alarms, networkRules } = setUpBackground({
+        sync: {
+            blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY],
+            schedules: [{ id: 'lunch', days: [1], ranges: [{ start: '12:30', end: '13:30' }], entryIds: ['youtube'] }]
+        }
+    });
+    const start = clock.now;
+    local.breakEndTime = start + 120 * MINUTE_MS;
+    const blockedDomains = () => networkRules
+        .filter(rule => rule.action.type === 'redirect')
+        .flatMap(rule => rule.condition.requestDomains);
+    const nextUpdate = () => alarms.get(evaluate('NETWORK_RULES_ALARM_NAME'))?.scheduledTime;
+
+    await context.updateNetworkRules();
+    assert.deepEqual(blockedDomains(), ['reddit.com']);
+    assert.equal(nextUpdate(), start + 30 * MINUTE_MS);
+
+    clock.set(start + 30 * MINUTE_MS);
+    await context.updateNetworkRules();
+    assert.deepEqual(blockedDomains(), ['youtube.com', 'reddit.com']);
+    assert.equal(nextUpdate(), start + 90 * MINUTE_MS);
+
+    clock.set(start + 90 * MINUTE_MS);
+    await context.updateNetworkRules();
+    assert.deepEqual(blockedDomains(), ['reddit.com']);
+    assert.equal(nextUpdate(), start + 120 * MINUTE_MS);
+});
+
+test('a private tab the network rules sent to the break page is sent on to one it can load', async () => {
+    const { chrome, context, clock, local, tabs, networkRules } = setUpBackground();
+    const breakEndTime = clock.now + 30 * MINUTE_MS;
+    local.breakEndTime = breakEndTime;
+    await context.updateNetworkRules();
+    // The rules can't tell private tabs apart, and don't know the requested URL
+    assert.equal(networkRules[0].action.redirect.extensionPath, `/break.html?until=${breakEndTime}`);
+
+    const ruleUrl = `${EXTENSION_ORIGIN}break.html?until=${breakEndTime}`;
+    Object.assign(tabs[0], { url: ruleUrl, incognito: true });
+    await chrome.tabs.onUpdated.dispatch(tabs[0].id, { url: ruleUrl }, { ...tabs[0] });
+
+    assert.ok(tabs[0].url.startsWith('data:text/html'));
+    const { html, elements } = openPrivateBreakPage(tabs[0].url, clock);
+    assert.match(html, /Step away from the screen/);
+    assert.equal(elements.get('countdown-value').textContent, '30:00');
+    // Without the requested URL, there is no page to link back to
+    assert.equal(elements.get('break-from').hidden, true);
+
+    // Once there, it stays
+    const privateUrl = tabs[0].url;
+    await chrome.tabs.onUpdated.dispatch(tabs[0].id, { status: 'complete' }, { ...tabs[0] });
+    assert.equal(tabs[0].url, privateUrl);
+});
@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeFake } = require('./chrome-fake');
+const { createDocumentStub } = require('./dom-stub');
+const { loadScripts } = require('./load-scripts');
+
+const NOW = new Date(2024, 0, 15, 12, 0).getTime();
+
+/**
+ * Loads the popup against a DOM stub and hands it a reported state.
+ * @param {object} activeTab - The state's activeTab, e.g. { status: 'counting', remainingMs }.
+ * @param {object} [overrides] - Overrides for the state's borrow info, settings, breakdown, pomodoro state and lock.
+ */
+function setUp(activeTab, { borrow = {}, settings = {}, breakdown = {}, pomodoroState = { phase: 'idle' }, lock = {} } = {}) {
+    const fake = createChromeFake({ now: NOW });
+    const { document, elements } = createDocumentStub();
+    const { context } = loadScripts(['schedule.js', 'api.js', 'popup.js'], fake, {
+        document,
+        // The popup ticks its countdowns itself; the tests call updateStatus instead
+        setInterval: () => 0
+    });
+    const state = {
+        generatedAt: fake.clock.now,
+        settings: {
+            schedules: [],
+            pomodoroSettings: { enabled: false },
+            emergencyUnlock: { mode: 'off' },
+            profiles: [{ id: 'default', name: 'Default' }],
+            activeProfileId: 'default',
+            ...settings
+        },
+        pomodoroState,
+        lock: { isLocked: false, isCommitmentLocked: false, commitmentEndTime: null, unlockWindow: null, ...lock },
+        borrow: { minutes: 5, remaining: 3, budgetIds: [], borrowedMs: 0, ...borrow },
+        breakdown: { totalMs: 0, entries: [], blockableTabs: [], ...breakdown },
+        activeTab
+    };
+    context.applyState(state);
+    return {
+        ...fake,
+        context,
+        state,
+        timer: elements.get('timer-value'),
+        timerContainer: elements.get('timer-container'),
+        status: elements.get('status'),
+        message: elements.get('message'),
+        borrowControls: elements.get('borrowControls'),
+        borrowStatus: elements.get('borrowStatus'),
+        borrowButton: elements.get('borrowBtn'),
+        profileControls: elements.get('profileControls'),
+        profileSelect: elements.get('profileSelect'),
+        breakdown: elements.get('breakdown'),
+        breakdownTotal: elements.get('breakdownTotal'),
+        breakdownList: elements.get('breakdownList'),
+        blockableTabsLabel: elements.get('blockableTabsLabel'),
+        blockableTabsList: elements.get('blockableTabsList'),
+        incognitoWarning: elements.get('incognitoWarning'),
+        pomodoroButtons: ['Start', 'Pause', 'Skip', 'Stop'].map(name => elements.get(`pomodoro${name}Btn`))
+    };
+}
+
+test('a counted tab shows its remaining time ticking down', () => {
+    const { context, clock, timer, timerContainer, status } = setUp({
+        status: 'counting',
+        remainingMs: 5 * 60 * 1000,
+        isCounting: true
+    });
+    assert.equal(timer.textContent, '05:00');
+    assert.equal(timerContainer.style.display, 'block');
+    assert.equal(status.textContent, 'Blocked site - time remaining');
+
+    clock.advance(90 * 1000);
+    context.updateStatus();
+    assert.equal(timer.textContent, '03:30');
+    assert.equal(timer.classList.contains('break-time'), false);
+});
+
+test("a tab that isn't counted right now keeps its remaining time", () => {
+    const { context, clock, timer } = setUp({
+        status: 'counting',
+        remainingMs: 5 * 60 * 1000,
+        isCounting: false
+    });
+
+    clock.advance(90 * 1000);
+    context.updateStatus();
+    assert.equal(timer.textContent, '05:00');
+});
+
+test('the countdown stops at zero when the time is up', () => {
+    const { context, clock, timer, status } = setUp({
+        status: 'counting',
+        remainingMs: 10 * 1000,
+        isCounting: true
+    });
+
+    clock.advance(20 * 1000);
+    context.updateStatus();
+    assert.equal(timer.textContent, '00:00');
+    assert.equal(status.textContent, "Time's up! Redirecting...");
+});
+
+test('a break shows the time until it ends', () => {
+    const { context, clock, timer, status } = setUp({
+        status: 'break',
+        endTime: NOW + 2 * 60 * 1000
+    });
+    assert.equal(timer.textContent, '02:00');
+    assert.equal(timer.classList.contains('break-time'), true);
+    assert.equal(status.textContent, 'On break - timer will resume soon');
+
+    clock.advance(3 * 60 * 1000);
+    context.updateStatus();
+    assert.equal(timer.textContent, '00:00');
+});
+
+test('an entry on break names the site rather than the shared break', () => {
+    const { status } = setUp({ status: 'entryBreak', endTime: NOW + 60 * 1000 });
+    assert.equal(status.textContent, 'This site is on break - it will be available soon');
+});
+
+test('tabs whose time is not counted hide the timer', () => {
+    const cases = [
+        ['allowlisted', 'Always allowed - time is not counted'],
+        ['outsideSchedule', 'Outside focus hours - time is not counted'],
+        ['paused', 'Category paused - time is not counted'],
+        ['incognito', 'Private window - time is not counted'],
+        ['none', 'No blocked sites active']
+    ];
+    for (const [tabStatus, message] of cases) {
+        const { timerContainer, status } = setUp({ status: tabStatus });
+        assert.equal(timerContainer.style.display, 'none', tabStatus);
+        assert.equal(status.textContent, message, tabStatus);
+    }
+});
+
+test('borrowing is only offered for a blocked tab', () => {
+    const { borrowControls } = setUp({ status: 'none' });
+    assert.equal(borrowControls.style.display, 'none');
+});
+
+test('the borrowed time and the borrows left show next to the timer', () => {
+    const { borrowControls, borrowStatus, borrowButton } = setUp(
+        { status: 'entryBreak', endTime: NOW + 60 * 1000 },
+        { borrow: { budgetIds: ['youtube'], remaining: 1, borrowedMs: 10 * 60 * 1000 } }
+    );
+    assert.equal(borrowControls.style.display, 'flex');
+    assert.equal(borrowStatus.textContent, '+10 min borrowed, 1 borrow left today');
+    assert.equal(borrowButton.textContent, 'Borrow 5 min');
+    assert.equal(borrowButton.disabled, false);
+});
+
+test('the borrow button is disabled once no borrows are left', () => {
+    const { borrowStatus, borrowButton } = setUp(
+        { status: 'counting', remainingMs: 60 * 1000, isCounting: true },
+        { borrow: { budgetIds: ['youtube'], remaining: 0 } }
+    );
+    assert.equal(borrowStatus.textContent, '0 borrows left today');
+    assert.equal(borrowButton.disabled, true);
+});
+
+test('the profile switcher is hidden while there is only one profile', () => {
+    const { profileControls } = setUp({ status: 'none' });
+    assert.equal(profileControls.style.display, 'none');
+});
+
+test('the profile switcher lists the profiles and selects the active one', () => {
+    const profiles = [{ id: 'work', name: 'Work' }, { id: 'weekend', name: 'Weekend' }];
+    const { context, profileControls, profileSelect } = setUp({ status: 'none' }, {
+        settings: { profiles, activeProfileId: 'weekend' }
+    });
+    assert.equal(profileControls.style.display, 'flex');
+    assert.deepEqual(profileSelect.children.map(option => [option.value, option.textContent]), [
+        ['work', 'Work'],
+        ['weekend', 'Weekend']
+    ]);
+    assert.equal(profileSelect.value, 'weekend');
+
+    // A refused switch leaves the select on another profile until the next render
+    profileSelect.value = 'work';
+    context.renderState();
+    assert.equal(profileSelect.value, 'weekend');
+    assert.equal(profileSelect.children.length, 2);
+});
+
+test('the breakdown is hidden until a blocked site is used or open', () => {
+    const { breakdown } = setUp({ status: 'none' });
+    assert.equal(breakdown.style.display, 'none');
+});
+
+test("the breakdown lists today's time per entry and marks the active tab's entries", () => {
+    const { breakdown, breakdownTotal, breakdownList } = setUp({ status: 'counting', remainingMs: 60 * 1000 }, {
+        breakdown: {
+            totalMs: 75 * 60 * 1000,
+            entries: [
+                { id: 'youtube', pattern: 'youtube.com', timeTodayMs: 65 * 60 * 1000, isActiveTab: true },
+                { id: 'reddit', pattern: 'reddit.com', timeTodayMs: 30 * 1000, isActiveTab: false }
+            ]
+        }
+    });
+    assert.equal(breakdown.style.display, 'block');
+    assert.equal(breakdownTotal.textContent, 'Today on blocked sites: 1 h 15 min');
+    assert.deepEqual(breakdownList.children.map(li => li.children.map(span => span.textContent)), [
+        ['youtube.com (this tab)', '1 h 5 min'],
+        ['reddit.com', '<1 min']
+    ]);
+    assert.equal(breakdownList.children[0].classList.contains('active-tab'), true);
+    assert.equal(breakdownList.children[1].classList.contains('active-tab'), false);
+});
+
+test('the tabs a break would block are named, up to a few', () => {
+    const blockableTabs = Array.from({ length: 7 }, (_, index) => ({ id: index, title: `Video ${index}`, entryIds: ['youtube'] }));
+    const { blockableTabsLabel, blockableTabsList } = setUp({ status: 'none' }, { breakdown: { blockableTabs } });
+    assert.equal(blockableTabsLabel.textContent, '7 open tabs would be blocked during a break:');
+    assert.deepEqual(blockableTabsList.children.map(li => li.textContent), [
+        'Video 0', 'Video 1', 'Video 2', 'Video 3', 'Video 4', 'and 2 more'
+    ]);
+});
+
+test('the popup warns when the extension is not allowed in private windows', async () => {
+    const { chrome, context, incognitoWarning } = setUp({ status: 'none' });
+
+    await context.checkIncognitoAccess();
+    assert.equal(incognitoWarning.style.display, 'none');
+
+    chrome.extension.allowedIncognitoAccess = false;
+    await context.checkIncognitoAccess();
+    assert.equal(incognitoWarning.style.display, 'block');
+});
+
+test('pomodoro buttons the lock would refuse are disabled', () => {
+    const pomodoroSettings = { enabled: true, cyclesBeforeLongBreak: 4 };
+    const disabled = ({ pomodoroButtons }) => pomodoroButtons.map(button => button.disabled);
+    const work = { phase: 'work', phaseEndTime: NOW + 60 * 1000, paused: false, completedCycles: 0 };
+    const committed = { isLocked: true, isCommitmentLocked: true, commitmentEndTime: NOW + 60 * 60 * 1000 };
+
+    // The lock a running session sets itself leaves its controls alone
+    assert.deepEqual(disabled(setUp({ status: 'none' }, {
+        settings: { pomodoroSettings },
+        pomodoroState: work,
+        lock: { isLocked: true }
+    })), [true, false, false, false]);
+    assert.deepEqual(disabled(setUp({ status: 'none' }, { settings: { pomodoroSettings }, pomodoroState: work, lock: committed })),
+        [true, true, true, true]);
+    // A break can still be skipped
+    assert.deepEqual(disabled(setUp({ status: 'none' }, {
+        settings: { pomodoroSettings },
+        pomodoroState: { ...work, phase: 'shortBreak' },
+        lock: committed
+    })), [true, true, false, true]);
+});
+
+test('the outcome of an action stays shown while the status refreshes', async () => {
+    const { chrome, context, clock, state, status, message } = setUp({ status: 'entryBreak', endTime: NOW + 60 * 1000 });
+
+    chrome.runtime.sendMessage = async () => ({ ok: false, error: 'No borrows left today.' });
+    await context.handleBorrow();
+    clock.advance(1000);
+    context.updateStatus();
+    assert.equal(message.textContent, 'No borrows left today.');
+    assert.equal(message.classList.contains('error'), true);
+    assert.equal(status.textContent, 'This site is on break - it will be available soon');
+
+    chrome.runtime.sendMessage = async () => ({ ok: true, state });
+    await context.handleBlockNow();
+    context.updateStatus();
+    assert.equal(message.textContent, 'Break started! Sites will be blocked.');
+    assert.equal(message.classList.contains('error'), false);
+});
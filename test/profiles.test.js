@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TRACKING_SCRIPTS } = require('./load-scripts');
+const { YOUTUBE_ENTRY, REDDIT_ENTRY, setUp, setUpBackground } = require('./fixtures');
+
+const PROFILE_SCRIPTS = [...TRACKING_SCRIPTS, 'lock.js', 'profiles.js'];
+const WORK_PROFILE = { id: 'work', name: 'Work' };
+const WEEKEND_PROFILE = { id: 'weekend', name: 'Weekend' };
+const STUDY_PROFILE = { id: 'study', name: 'Study' };
+
+/**
+ * Builds the rules of a profile, on top of the defaults.
+ * @param {object} context - The script context.
+ * @param {object} overrides - Rules keyed by storage key.
+ * @returns {object}
+ */
+function profileSettings(context, overrides) {
+    return context.pickProfileSettings({ ...context.getDefaultProfileSettings(), ...overrides });
+}
+
+test('profile names must be given, short enough and unique', () => {
+    const { context } = setUp({ scripts: PROFILE_SCRIPTS });
+    const profiles = [WORK_PROFILE, WEEKEND_PROFILE];
+
+    assert.equal(context.validateProfileName('', profiles), "Please enter a name for the profile.");
+    assert.equal(context.validateProfileName('x'.repeat(41), profiles), "Profile names can be at most 40 characters.");
+    assert.equal(context.validateProfileName('work', profiles), "There is already a profile called work.");
+    assert.equal(context.validateProfileName('Study', profiles), null);
+    assert.equal(context.validateProfileName('WORK', profiles, 'work'), null);
+});
+
+test('a profile only keeps its own rules', () => {
+    const { context } = setUp({ scripts: PROFILE_SCRIPTS });
+    const picked = context.pickProfileSettings({
+        blockedEntries: [YOUTUBE_ENTRY],
+        allowedTimeMinutes: 45,
+        allowlistEntries: [],
+        schedules: []
+    });
+
+    assert.deepEqual(Object.keys(picked), [
+        'blockedEntries',
+        'entryGroups',
+        'allowedTimeMinutes',
+        'overallCapEnabled',
+        'breakRedirectMode',
+        'customBreakUrl',
+        'breakMessage'
+    ]);
+    assert.equal(picked.allowedTimeMinutes, 45);
+});
+
+test('any profile can be switched to while nothing is running', () => {
+    const { context } = setUp({ scripts: PROFILE_SCRIPTS });
+    const current = profileSettings(context, { blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY] });
+
+    assert.equal(context.getProfileSwitchError(WEEKEND_PROFILE, profileSettings(context, {}), current, false), null);
+});
+
+test('during a break or lock only a stricter profile can be switched to', () => {
+    const { context } = setUp({ scripts: PROFILE_SCRIPTS });
+    const current = profileSettings(context, { blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY], allowedTimeMinutes: 60 });
+
+    assert.equal(
+        context.getProfileSwitchError(WEEKEND_PROFILE, profileSettings(context, { blockedEntries: [YOUTUBE_ENTRY] }), current, true),
+        "Cannot switch to Weekend until the break or lock is over: Cannot remove sites while rules are locked."
+    );
+    assert.equal(
+        context.getProfileSwitchError(WEEKEND_PROFILE, profileSettings(context, {
+            blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY],
+            allowedTimeMinutes: 90
+        }), current, true),
+        "Cannot switch to Weekend until the break or lock is over: Cannot raise the overall cap while rules are locked."
+    );
+    // A copy with lower budgets and another site is stricter
+    const stricter = profileSettings(context, {
+        blockedEntries: [{ ...YOUTUBE_ENTRY, allowedTimeMinutes: 10 }, REDDIT_ENTRY, { ...YOUTUBE_ENTRY, id: 'x', pattern: 'x.com' }],
+        allowedTimeMinutes: 30,
+        breakMessage: 'Back to work.'
+    });
+    assert.equal(context.getProfileSwitchError(WORK_PROFILE, stricter, current, true), null);
+});
+
+test('switching profiles keeps the rules switched away from, and is refused when it would end a break', async () => {
+    const { context, clock, local, sync } = setUpBackground({
+        url: 'https://example.com/',
+        sync: {
+            blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY],
+            profiles: [WORK_PROFILE, WEEKEND_PROFILE],
+            activeProfileId: 'work',
+            'profile:weekend': { blockedEntries: [YOUTUBE_ENTRY] }
+        }
+    });
+    local.entryUsage = { reddit: { timeSpent: 30 * 60 * 1000, breakEndTime: clock.now + 30 * 60 * 1000 } };
+
+    await assert.rejects(
+        context.handleApiMessage({ type: 'switchProfile', profileId: 'weekend' }),
+        /Cannot switch to Weekend until the break or lock is over: Cannot remove sites/
+    );
+    assert.equal(sync.activeProfileId, 'work');
+
+    // Even an emergency unlock doesn't end the break this way
+    local.emergencyUnlockWindow = { start: clock.now, end: clock.now + 5 * 60 * 1000 };
+    await assert.rejects(context.handleApiMessage({ type: 'switchProfile', profileId: 'weekend' }), /Cannot switch to Weekend/);
+
+    local.entryUsage.reddit.breakEndTime = clock.now;
+    await context.handleApiMessage({ type: 'switchProfile', profileId: 'weekend' });
+    assert.equal(sync.activeProfileId, 'weekend');
+    assert.deepEqual(sync.blockedEntries, [YOUTUBE_ENTRY]);
+    assert.deepEqual(sync['profile:work'].blockedEntries, [YOUTUBE_ENTRY, REDDIT_ENTRY]);
+    assert.equal('profile:weekend' in sync, false);
+});
+
+test("switching to a profile that blocks the active tab keeps the new profile's rules", async () => {
+    const { context, sync } = setUpBackground({
+        sync: {
+            blockedEntries: [REDDIT_ENTRY],
+            profiles: [WORK_PROFILE, STUDY_PROFILE],
+            activeProfileId: 'work',
+            'profile:study': { blockedEntries: [YOUTUBE_ENTRY] }
+        }
+    });
+
+    await context.handleApiMessage({ type: 'switchProfile', profileId: 'study' });
+    // Lets the lock's listener run. By then the YouTube tab counts, which locks the rules.
+    await new Promise(resolve => setImmediate(resolve));
+    const { state } = await context.handleApiMessage({ type: 'getState' });
+    assert.equal(state.lock.isLocked, true);
+
+    assert.equal(sync.activeProfileId, 'study');
+    assert.deepEqual(sync.blockedEntries, [YOUTUBE_ENTRY]);
+    assert.deepEqual(sync['profile:work'].blockedEntries, [REDDIT_ENTRY]);
+    assert.equal('profile:study' in sync, false);
+});
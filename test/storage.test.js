@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setUpBackground, plain } = require('./fixtures');
+
+test('a block list too large to sync is refused with a clear error, and the saved list is kept', async () => {
+    const { context, evaluate, sync } = setUpBackground({ sync: { blockedEntries: [] } });
+    for (const presetId of Object.keys(evaluate('PRESET_CATEGORIES'))) {
+        await context.handleApiMessage({ type: 'addCategory', presetId, allowedTimeMinutes: 30 });
+    }
+    const savedEntries = plain(sync.blockedEntries);
+    assert.equal(savedEntries.length > 30, true);
+
+    const pasted = Array.from({ length: 40 }, (_, index) => ({
+        pattern: `distraction-${index}.example.com`,
+        matchType: 'domain',
+        allowedTimeMinutes: 30,
+        countAudible: false
+    }));
+    await assert.rejects(
+        context.handleApiMessage({ type: 'addEntries', entries: pasted }),
+        /^Error: The block list is too large to sync \(\d+\.\d KB of 8 KB\)/
+    );
+    assert.deepEqual(plain(sync.blockedEntries), savedEntries);
+
+    // A paste that still fits is saved
+    await context.handleApiMessage({ type: 'addEntries', entries: pasted.slice(0, 5) });
+    assert.equal(sync.blockedEntries.length, savedEntries.length + 5);
+});
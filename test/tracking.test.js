@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTENSION_ORIGIN } = require('./chrome-fake');
+const { YOUTUBE_ENTRY, REDDIT_ENTRY, setUp, openPrivateBreakPage } = require('./fixtures');
+
+test('isUrlBlocked matches entries but never allowlisted URLs', () => {
+    const { context } = setUp();
+    const allowlist = [{ pattern: 'youtube.com/playlist', matchType: 'path' }];
+
+    assert.equal(context.isUrlBlocked('https://m.youtube.com/', [YOUTUBE_ENTRY]), true);
+    assert.equal(context.isUrlBlocked('https://example.com/youtube.com', [YOUTUBE_ENTRY]), false);
+    assert.equal(context.isUrlBlocked('https://youtube.com/playlist?list=1', [YOUTUBE_ENTRY], allowlist), false);
+});
+
+test('time on the active tab counts towards its entry and the shared counter', async () => {
+    const { context, clock, local } = setUp();
+
+    await context.checkActiveTabAndManageTime();
+    assert.deepEqual(local.trackedEntryIds, ['youtube']);
+
+    clock.advance(20 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.entryUsage.youtube.timeSpent, 20 * 1000);
+    assert.equal(local.timeSpent, 20 * 1000);
+    assert.equal(local.lastCheckTimestamp, clock.now);
+});
+
+test("today's time is kept per entry, once in the total, and survives a break", async () => {
+    const { context, clock, local } = setUp({
+        sync: { blockedEntries: [YOUTUBE_ENTRY, REDDIT_ENTRY, { ...YOUTUBE_ENTRY, id: 'videos', pattern: 'watch', matchType: 'keyword' }] },
+        local: { timeToday: { youtube: 30 * 60 * 1000, reddit: 5 * 60 * 1000, overall: 35 * 60 * 1000 } }
+    });
+    local.entryUsage = { youtube: { timeSpent: 30 * 60 * 1000, breakEndTime: clock.now - 1 } };
+
+    await context.checkActiveTabAndManageTime();
+    clock.advance(20 * 1000);
+    await context.checkActiveTabAndManageTime();
+
+    assert.equal(local.entryUsage.youtube.timeSpent, 20 * 1000);
+    assert.deepEqual(local.timeToday, {
+        youtube: 30 * 60 * 1000 + 20 * 1000,
+        reddit: 5 * 60 * 1000,
+        videos: 20 * 1000,
+        overall: 35 * 60 * 1000 + 20 * 1000
+    });
+});
+
+test('private windows count unless that is switched off, and are blocked during breaks either way', async () => {
+    const { chrome, context, clock, local, tabs } = setUp();
+    tabs[0].incognito = true;
+
+    await context.checkActiveTabAndManageTime();
+    assert.deepEqual(local.trackedEntryIds, ['youtube']);
+
+    chrome.storage.sync.data.countIncognitoTime = false;
+    clock.advance(20 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.entryUsage.youtube.timeSpent, 20 * 1000);
+    assert.deepEqual(local.trackedEntryIds, []);
+
+    clock.advance(20 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.entryUsage.youtube.timeSpent, 20 * 1000);
+
+    // Private tabs can't load extension pages
+    local.entryUsage.youtube.breakEndTime = clock.now + 60 * 1000;
+    await context.checkActiveTabAndManageTime();
+    assert.ok(tabs[0].url.startsWith('data:text/html'));
+    assert.equal(context.getBreakPageFromUrl(tabs[0].url), 'https://www.youtube.com/watch?v=1');
+
+    // The page counts down to the end of the break, then links back
+    const { html, elements, tick } = openPrivateBreakPage(tabs[0].url, clock);
+    assert.match(html, /Step away from the screen/);
+    assert.equal(elements.get('countdown-value').textContent, '01:00');
+    assert.equal(elements.get('break-from-link').textContent, 'https://www.youtube.com/watch?v=1');
+    assert.equal(elements.get('break-from-link').href, undefined);
+    clock.advance(60 * 1000);
+    tick();
+    assert.equal(elements.get('countdown-value').textContent, '00:00');
+    assert.equal(elements.get('break-title').textContent, "Break's over");
+    assert.equal(elements.get('break-from-link').href, 'https://www.youtube.com/watch?v=1');
+});
+
+test('nothing counts while the user is idle', async () => {
+    const { chrome, context, clock, local } = setUp();
+    chrome.idle.state = 'idle';
+
+    await context.checkActiveTabAndManageTime();
+    clock.advance(20 * 1000);
+    await context.checkActiveTabAndManageTime();
+
+    assert.deepEqual(local.trackedEntryIds, []);
+    assert.equal(local.timeSpent, 0);
+});
+
+test("an exhausted budget starts the entry's break and redirects its tab", async () => {
+    const { context, clock, local, tabs, notifications } = setUp({
+        sync: { blockedEntries: [{ ...YOUTUBE_ENTRY, allowedTimeMinutes: 1 }] }
+    });
+
+    await context.checkActiveTabAndManageTime();
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.entryUsage.youtube.breakEndTime, null);
+    assert.equal(tabs[0].url, 'https://www.youtube.com/watch?v=1');
+
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.entryUsage.youtube.timeSpent, 60 * 1000);
+    assert.equal(local.entryUsage.youtube.breakEndTime, clock.now + 60 * 1000);
+    assert.ok(tabs[0].url.startsWith(`${EXTENSION_ORIGIN}break.html?`));
+    assert.deepEqual(local.trackedEntryIds, []);
+    assert.ok(notifications.some(notification => notification.id === 'breakStart:youtube'));
+});
+
+test('the shared cap starts a break that stops all counting', async () => {
+    const { context, clock, local, tabs } = setUp({
+        sync: { overallCapEnabled: true, allowedTimeMinutes: 1 }
+    });
+
+    await context.checkActiveTabAndManageTime();
+    clock.advance(60 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.breakEndTime, clock.now + 60 * 1000);
+    assert.ok(tabs[0].url.startsWith(`${EXTENSION_ORIGIN}break.html?`));
+
+    tabs[0].url = 'https://www.youtube.com/';
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.timeSpent, 60 * 1000);
+    assert.equal(local.entryUsage.youtube.timeSpent, 60 * 1000);
+});
+
+test("an entry's counter starts over once its break has expired", async () => {
+    const { context, clock, local, notifications } = setUp({ url: 'https://example.com/' });
+    local.entryUsage = { youtube: { timeSpent: 30 * 60 * 1000, breakEndTime: clock.now - 1 } };
+
+    await context.checkActiveTabAndManageTime();
+
+    assert.deepEqual(local.entryUsage.youtube, { timeSpent: 0, breakEndTime: null });
+    assert.ok(notifications.some(notification => notification.id === 'breakEnd:youtube'));
+});
+
+test('the shared counter starts over once the shared break has expired', async () => {
+    const { context, clock, local } = setUp({
+        sync: { overallCapEnabled: true },
+        local: { timeSpent: 30 * 60 * 1000 }
+    });
+    local.breakEndTime = clock.now + 1000;
+
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.timeSpent, 30 * 60 * 1000);
+    assert.deepEqual(local.trackedEntryIds, []);
+
+    clock.advance(1000);
+    await context.checkActiveTabAndManageTime();
+    assert.equal(local.timeSpent, 0);
+    assert.equal(local.breakEndTime, null);
+    assert.deepEqual(local.trackedEntryIds, ['youtube']);
+});
+
+test('an alarm delayed beyond the 30s period credits at most the elapsed cap', async () => {
+    const { context, evaluate, clock, local } = setUp();
+    const maxElapsedMs = evaluate('MAX_TRACKED_ELAPSED_MS');
+    assert.equal(maxElapsedMs, 2 * evaluate('CHECK_ALARM_PERIOD_MINUTES') * 60 * 1000);
+
+    await context.checkActiveTabAndManageTime();
+    // The worker was suspended, so the next alarm fires ten minutes late
+    clock.advance(10 * 60 * 1000);
+    await context.checkActiveTabAndManageTime();
+
+    assert.equal(local.entryUsage.youtube.timeSpent, maxElapsedMs);
+    assert.equal(local.timeSpent, maxElapsedMs);
+});
+
+test('accrueUntil stops crediting time when the user went idle', async () => {
+    const { context, clock, local } = setUp();
+
+    await context.checkActiveTabAndManageTime();
+    const idleSince = clock.advance(10 * 1000);
+    clock.advance(30 * 1000);
+    await context.checkActiveTabAndManageTime({ accrueUntil: idleSince });
+
+    assert.equal(local.timeSpent, 10 * 1000);
+});
+
+test('queued checks run one after another without crediting an interval twice', async () => {
+    const { context, clock, local } = setUp();
+
+    await context.checkActiveTabAndManageTime();
+    clock.advance(20 * 1000);
+    await Promise.all([context.queueTrackingCheck(), context.queueTrackingCheck()]);
+
+    assert.equal(local.timeSpent, 20 * 1000);
+});
+
+test('a failed storage write does not stop later queued checks', async () => {
+    const { chrome, context, clock, local } = setUp();
+    const { set } = chrome.storage.local;
+    chrome.storage.local.set = async () => {
+        throw new Error('QUOTA_BYTES quota exceeded');
+    };
+
+    await context.queueTrackingCheck();
+    chrome.storage.local.set = set;
+    clock.advance(20 * 1000);
+    await context.queueTrackingCheck();
+
+    assert.equal(local.lastCheckTimestamp, clock.now);
+    assert.deepEqual(local.trackedEntryIds, ['youtube']);
+});
@@ -0,0 +1,505 @@
+// --- Tracking ---
+// Loaded by the background service worker via importScripts. Counts time on
+// blocked sites, starts and ends breaks, and resets the budgets every day.
+// Nothing here runs at load time, so the test suite can load this file with
+// a fake chrome API (see test/chrome-fake.js).
+
+const CHECK_ALARM_NAME = 'siteBlockerCheckAlarm';
+const CHECK_ALARM_PERIOD_MINUTES = 0.5; // The shortest period Chrome allows
+const MAX_TRACKED_ELAPSED_MS = 2 * CHECK_ALARM_PERIOD_MINUTES * 60 * 1000;
+const IDLE_DETECTION_SECONDS = 60; // Applied by background.js at startup
+const DAILY_RESET_ALARM_NAME = 'dailyResetAlarm';
+const DEFAULT_DAILY_RESET_TIME = '04:00';
+const DEFAULT_ALLOWED_MINUTES = 30;
+
+// Serializes tracking checks and other changes to the counters, see runOnTrackingQueue
+let trackingQueue = Promise.resolve();
+
+// --- Daily Reset ---
+
+/**
+ * Returns the most recent daily reset boundary at or before the given moment.
+ * The boundary is built from local date fields so it follows timezone and DST changes.
+ * @param {string} resetTime - Local "HH:MM" reset time.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number} - Timestamp of the boundary.
+ */
+function getLastResetBoundary(resetTime, now) {
+    const resetMinutes = parseTimeOfDay(resetTime) ?? parseTimeOfDay(DEFAULT_DAILY_RESET_TIME);
+    const today = new Date(now);
+    const boundary = new Date(
+        today.getFullYear(),
+        today.getMonth(),
+        today.getDate(),
+        Math.floor(resetMinutes / 60),
+        resetMinutes % 60
+    );
+    if (boundary.getTime() > now) {
+        boundary.setDate(boundary.getDate() - 1);
+    }
+    return boundary.getTime();
+}
+
+/**
+ * Returns the next daily reset boundary after the given moment.
+ * @param {string} resetTime - Local "HH:MM" reset time.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number} - Timestamp of the boundary.
+ */
+function getNextResetBoundary(resetTime, now) {
+    const boundary = new Date(getLastResetBoundary(resetTime, now));
+    boundary.setDate(boundary.getDate() + 1);
+    return boundary.getTime();
+}
+
+/**
+ * Schedules the one-shot alarm for the next daily reset. It is re-created after
+ * every reset rather than repeating every 24h, which would drift across DST changes.
+ */
+async function scheduleDailyResetAlarm() {
+    try {
+        const data = await chrome.storage.sync.get([STORAGE_KEYS.DAILY_RESET_TIME]);
+        const resetTime = data[STORAGE_KEYS.DAILY_RESET_TIME] ?? DEFAULT_DAILY_RESET_TIME;
+        const when = getNextResetBoundary(resetTime, Date.now());
+        await chrome.alarms.create(DAILY_RESET_ALARM_NAME, { when });
+        console.log(`Daily reset alarm set for ${new Date(when).toLocaleString()}.`);
+    } catch (error) {
+        console.error("Error scheduling daily reset alarm:", error);
+    }
+}
+
+/**
+ * Resets the shared and per-entry time counters if a reset boundary has passed
+ * since the last reset (including while the browser was closed), then schedules
+ * the next reset. Running breaks are left to finish on their own, and pay back
+ * their borrowed time when they end; the other budgets pay it back now.
+ * The reset runs on the tracking queue, or a check that read the counters
+ * before it could write them back after it.
+ */
+async function resetDailyBudgetsIfDue() {
+    await runOnTrackingQueue(async () => {
+        const now = Date.now();
+        try {
+            const data = await getStoredValues([
+                STORAGE_KEYS.DAILY_RESET_TIME,
+                STORAGE_KEYS.LAST_DAILY_RESET,
+                STORAGE_KEYS.ENTRY_USAGE,
+                STORAGE_KEYS.BREAK_END_TIME,
+                STORAGE_KEYS.BORROWED_TIME
+            ]);
+            const resetTime = data[STORAGE_KEYS.DAILY_RESET_TIME] ?? DEFAULT_DAILY_RESET_TIME;
+            const lastReset = data[STORAGE_KEYS.LAST_DAILY_RESET] ?? 0;
+
+            if (lastReset < getLastResetBoundary(resetTime, now)) {
+                console.log("Daily reset boundary passed. Resetting time budgets.");
+                const borrowedTime = { ...(data[STORAGE_KEYS.BORROWED_TIME] ?? {}) };
+                const payBack = budgetId => {
+                    const borrowedMs = borrowedTime[budgetId] ?? 0;
+                    delete borrowedTime[budgetId];
+                    return borrowedMs;
+                };
+                const entryUsage = {};
+                for (const [entryId, usage] of Object.entries(data[STORAGE_KEYS.ENTRY_USAGE] ?? {})) {
+                    const timeSpent = isEntryOnBreak(usage, now) ? 0 : payBack(entryId);
+                    entryUsage[entryId] = { ...usage, timeSpent };
+                }
+                const breakEndTime = data[STORAGE_KEYS.BREAK_END_TIME];
+                await setStoredValues({
+                    [STORAGE_KEYS.TIME_SPENT]: breakEndTime && now < breakEndTime ? 0 : payBack(OVERALL_BUDGET_ID),
+                    [STORAGE_KEYS.ENTRY_USAGE]: entryUsage,
+                    [STORAGE_KEYS.BORROWED_TIME]: borrowedTime,
+                    [STORAGE_KEYS.LAST_DAILY_RESET]: now,
+                    [STORAGE_KEYS.LAST_CHECK_TIME]: now,
+                    [STORAGE_KEYS.BORROWS_USED]: 0,
+                    [STORAGE_KEYS.TIME_TODAY]: {}
+                });
+            }
+        } catch (error) {
+            console.error("Error during daily reset:", error);
+        }
+    });
+    await scheduleDailyResetAlarm();
+}
+
+/**
+ * Rolls history older than the configured retention window up into weeks.
+ * Tracking checks add to the history, so this runs on the tracking queue too.
+ */
+async function rollUpHistory() {
+    try {
+        const data = await chrome.storage.sync.get([STORAGE_KEYS.HISTORY_RETENTION_DAYS]);
+        const retentionDays = data[STORAGE_KEYS.HISTORY_RETENTION_DAYS] ?? DEFAULT_HISTORY_RETENTION_DAYS;
+        await runOnTrackingQueue(() => rollUpUsageHistory(retentionDays, Date.now()));
+    } catch (error) {
+        console.error("Error reading history retention:", error);
+    }
+}
+
+// --- Core Logic ---
+
+/**
+ * Checks if a given URL matches any of the blocked entries (see matcher.js).
+ * Allowlisted URLs are never blocked.
+ * @param {string} url - The URL to check.
+ * @param {object[]} blockedEntries - Array of blocked entry objects.
+ * @param {object[]} [allowlist] - Array of allowlist entries.
+ * @returns {boolean} - True if the URL is blocked, false otherwise.
+ */
+function isUrlBlocked(url, blockedEntries, allowlist = []) {
+    return findMatchingEntries(url, blockedEntries, allowlist).length > 0;
+}
+
+/**
+ * Checks whether an entry's own break is still running.
+ * @param {object | undefined} usage - The entry's usage record.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {boolean}
+ */
+function isEntryOnBreak(usage, now) {
+    return Boolean(usage?.breakEndTime && now < usage.breakEndTime);
+}
+
+/**
+ * Returns when the break blocking a URL ends, either because the shared break
+ * is running, a pomodoro work session is running, or one of its matching
+ * entries is on break. Entries outside their schedule or in a paused group
+ * are not enforced.
+ * @param {string} url - The URL to check.
+ * @param {object} data - Storage snapshot with entries, groups, allowlist, schedules, usage, pomodoro state and break end time.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {number | null} - The latest applicable break end time, or null if the URL isn't on break.
+ */
+function getBreakEndTimeForUrl(url, data, now) {
+    const scheduledEntries = getScheduledEntries(
+        getEnabledEntries(data[STORAGE_KEYS.BLOCKED_ENTRIES], data[STORAGE_KEYS.ENTRY_GROUPS]),
+        data[STORAGE_KEYS.SCHEDULES] ?? [],
+        now
+    );
+    const matches = findMatchingEntries(url, scheduledEntries, data[STORAGE_KEYS.ALLOWLIST] ?? []);
+    if (matches.length === 0) {
+        return null;
+    }
+    const entryUsage = data[STORAGE_KEYS.ENTRY_USAGE] ?? {};
+    const endTimes = [
+        data[STORAGE_KEYS.BREAK_END_TIME],
+        getPomodoroFocusEndTime(data[STORAGE_KEYS.POMODORO_STATE], now),
+        ...matches.map(entry => entryUsage[entry.id]?.breakEndTime)
+    ].filter(endTime => endTime && now < endTime);
+    return endTimes.length > 0 ? Math.max(...endTimes) : null;
+}
+
+/**
+ * Redirects a specific tab to the break page or the custom break URL.
+ * @param {number} tabId - The ID of the tab to redirect.
+ * @param {string | null} fromUrl - The URL being left, shown on the break page.
+ * @param {number | null} breakEndTime - Timestamp (ms) when the break ends.
+ * @param {boolean} [isIncognito] - Whether the tab is in a private window.
+ */
+async function redirectToBreak(tabId, fromUrl, breakEndTime, isIncognito = false) {
+    try {
+        const settings = await chrome.storage.sync.get([
+            STORAGE_KEYS.BREAK_REDIRECT_MODE,
+            STORAGE_KEYS.CUSTOM_BREAK_URL,
+            STORAGE_KEYS.BREAK_MESSAGE
+        ]);
+        await chrome.tabs.update(tabId, { url: buildBreakRedirectUrl(settings, fromUrl, breakEndTime, isIncognito) });
+        console.log(`Tab ${tabId} redirected to break URL.`);
+    } catch (error) {
+        // Handle cases where the tab might have been closed etc.
+        console.warn(`Failed to redirect tab ${tabId}:`, error.message);
+    }
+}
+
+/**
+ * Lists the tabs whose time counts right now: the active tab of the focused
+ * browser window while the user isn't idle, plus every audible tab. Audible
+ * tabs only count towards entries that opt in with countAudible.
+ * @returns {Promise<{ tab: object, audibleOnly: boolean }[]>}
+ */
+async function getTrackedTabs() {
+    const trackedTabs = [];
+
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    let focusedWindow = null;
+    try {
+        focusedWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    } catch (error) {
+        // No browser window is open
+    }
+    if (idleState === 'active' && focusedWindow?.focused) {
+        const [activeTab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+        if (activeTab?.url) {
+            trackedTabs.push({ tab: activeTab, audibleOnly: false });
+        }
+    }
+
+    const audibleTabs = await chrome.tabs.query({ audible: true });
+    for (const tab of audibleTabs) {
+        if (tab.url && !trackedTabs.some(tracked => tracked.tab.id === tab.id)) {
+            trackedTabs.push({ tab, audibleOnly: true });
+        }
+    }
+    return trackedTabs;
+}
+
+/**
+ * The main tracking function. It runs on every tab, window-focus and idle
+ * event (see queueTrackingCheck), and on the alarm as a safety net.
+ *
+ * Time since the last check is credited to the entries that were being
+ * tracked during that interval; then the tracked entries are worked out
+ * again from the current tabs, and tabs whose entries are on break are redirected.
+ * @param {object} [options]
+ * @param {number} [options.accrueUntil] - Stop crediting time at this timestamp,
+ *     e.g. when the user went idle before the idle event fired.
+ */
+async function checkActiveTabAndManageTime(options = {}) {
+    const now = Date.now();
+
+    try {
+        const data = await getStoredValues([
+            STORAGE_KEYS.ALLOWED_TIME,
+            STORAGE_KEYS.BLOCKED_ENTRIES,
+            STORAGE_KEYS.ENTRY_GROUPS,
+            STORAGE_KEYS.TIME_SPENT,
+            STORAGE_KEYS.BREAK_END_TIME,
+            STORAGE_KEYS.LAST_CHECK_TIME,
+            STORAGE_KEYS.ENTRY_USAGE,
+            STORAGE_KEYS.OVERALL_CAP_ENABLED,
+            STORAGE_KEYS.ALLOWLIST,
+            STORAGE_KEYS.SCHEDULES,
+            STORAGE_KEYS.POMODORO_STATE,
+            STORAGE_KEYS.TRACKED_ENTRY_IDS,
+            STORAGE_KEYS.BREAK_REDIRECT_MODE,
+            STORAGE_KEYS.CUSTOM_BREAK_URL,
+            STORAGE_KEYS.NOTIFICATION_SETTINGS,
+            STORAGE_KEYS.FIRED_WARNINGS,
+            STORAGE_KEYS.BORROW_SETTINGS,
+            STORAGE_KEYS.BORROWS_USED,
+            STORAGE_KEYS.BORROWED_TIME,
+            STORAGE_KEYS.TIME_TODAY,
+            STORAGE_KEYS.COUNT_INCOGNITO_TIME
+        ]);
+
+        const {
+            [STORAGE_KEYS.ALLOWED_TIME]: allowedTimeMinutes,
+            [STORAGE_KEYS.BLOCKED_ENTRIES]: blockedEntries = [],
+            [STORAGE_KEYS.ENTRY_GROUPS]: entryGroups,
+            [STORAGE_KEYS.TIME_SPENT]: currentTimeSpent,
+            [STORAGE_KEYS.BREAK_END_TIME]: breakEndTime,
+            [STORAGE_KEYS.LAST_CHECK_TIME]: lastCheckTimestamp,
+            [STORAGE_KEYS.OVERALL_CAP_ENABLED]: overallCapEnabled,
+            [STORAGE_KEYS.ALLOWLIST]: allowlist,
+            [STORAGE_KEYS.SCHEDULES]: schedules,
+            [STORAGE_KEYS.POMODORO_STATE]: pomodoroState,
+            [STORAGE_KEYS.TRACKED_ENTRY_IDS]: trackedEntryIds = [],
+            [STORAGE_KEYS.FIRED_WARNINGS]: firedWarnings = {},
+            [STORAGE_KEYS.BORROWS_USED]: borrowsUsed = 0,
+            [STORAGE_KEYS.COUNT_INCOGNITO_TIME]: countIncognitoTime = true
+        } = data;
+        const notificationSettings = {
+            ...DEFAULT_NOTIFICATION_SETTINGS,
+            ...(data[STORAGE_KEYS.NOTIFICATION_SETTINGS] ?? {})
+        };
+
+        const allowedTimeMs = (allowedTimeMinutes ?? DEFAULT_ALLOWED_MINUTES) * 60 * 1000;
+        const entryUsage = { ...(data[STORAGE_KEYS.ENTRY_USAGE] ?? {}) };
+
+        // 1. Nothing counts while the shared break is ongoing
+        if (breakEndTime && now < breakEndTime) {
+            console.log(`Currently on break until ${new Date(breakEndTime).toLocaleTimeString()}`);
+            await setStoredValues({
+                [STORAGE_KEYS.LAST_CHECK_TIME]: now,
+                [STORAGE_KEYS.TRACKED_ENTRY_IDS]: []
+            });
+            return;
+        }
+
+        // 2. Reset state if the shared break or any entry's break is over.
+        // Time borrowed before the break counts as spent in the new period.
+        let updatedTimeSpent = currentTimeSpent ?? 0;
+        const updates = {};
+        const endedBreakBudgetIds = [];
+        const borrowedTime = { ...(data[STORAGE_KEYS.BORROWED_TIME] ?? {}) };
+        if (breakEndTime && now >= breakEndTime) {
+            console.log("Break finished. Resetting timer.");
+            updatedTimeSpent = borrowedTime[OVERALL_BUDGET_ID] ?? 0;
+            updates[STORAGE_KEYS.BREAK_END_TIME] = null;
+            updates[STORAGE_KEYS.IS_BLOCK_NOW_BREAK] = false;
+            endedBreakBudgetIds.push(OVERALL_BUDGET_ID);
+        }
+        for (const [entryId, usage] of Object.entries(entryUsage)) {
+            if (usage.breakEndTime && now >= usage.breakEndTime) {
+                console.log(`Break finished for entry ${entryId}. Resetting its timer.`);
+                entryUsage[entryId] = { timeSpent: borrowedTime[entryId] ?? 0, breakEndTime: null };
+                endedBreakBudgetIds.push(entryId);
+            }
+        }
+        if (endedBreakBudgetIds.some(budgetId => budgetId in borrowedTime)) {
+            endedBreakBudgetIds.forEach(budgetId => delete borrowedTime[budgetId]);
+            updates[STORAGE_KEYS.BORROWED_TIME] = borrowedTime;
+        }
+
+        // 3. Credit the time since the last check to the entries tracked during it
+        const lastCheck = lastCheckTimestamp ?? now;
+        const accrueUntil = Math.min(now, Math.max(lastCheck, options.accrueUntil ?? now));
+        // Cap the elapsed time: a gap longer than a couple of safety-net alarms
+        // means the worker or the whole system was suspended
+        const elapsedMs = Math.min(accrueUntil - lastCheck, MAX_TRACKED_ELAPSED_MS);
+        const creditedEntries = blockedEntries.filter(entry =>
+            trackedEntryIds.includes(entry.id) && !isEntryOnBreak(entryUsage[entry.id], now)
+        );
+        if (elapsedMs > 0 && creditedEntries.length > 0) {
+            // Each entry has its own counter; the shared counter is only counted once.
+            // The daily totals, unlike the counters, don't start over after a break.
+            updatedTimeSpent += elapsedMs;
+            const timeToday = { ...(data[STORAGE_KEYS.TIME_TODAY] ?? {}) };
+            timeToday[OVERALL_BUDGET_ID] = (timeToday[OVERALL_BUDGET_ID] ?? 0) + elapsedMs;
+            for (const entry of creditedEntries) {
+                const entryTimeSpent = (entryUsage[entry.id]?.timeSpent ?? 0) + elapsedMs;
+                entryUsage[entry.id] = { timeSpent: entryTimeSpent, breakEndTime: null };
+                timeToday[entry.id] = (timeToday[entry.id] ?? 0) + elapsedMs;
+                console.log(`Time counted for "${entry.pattern}": ${Math.round(entryTimeSpent / 1000)}s / ${entry.allowedTimeMinutes * 60}s`);
+            }
+            updates[STORAGE_KEYS.TIME_TODAY] = timeToday;
+            await recordUsage(creditedEntries, elapsedMs, now);
+        }
+
+        // 4. Start breaks for entries whose budget, or for the shared cap, is reached
+        const exhaustedEntries = creditedEntries.filter(entry =>
+            entryUsage[entry.id].timeSpent >= entry.allowedTimeMinutes * 60 * 1000
+        );
+        for (const entry of exhaustedEntries) {
+            console.log(`Time limit exceeded for "${entry.pattern}". Starting its break.`);
+            // An entry's break lasts as long as its budget
+            entryUsage[entry.id].breakEndTime = now + entry.allowedTimeMinutes * 60 * 1000;
+        }
+        let sharedBreakEndTime = null;
+        if (overallCapEnabled && creditedEntries.length > 0 && updatedTimeSpent >= allowedTimeMs) {
+            console.log("Overall time limit exceeded. Starting break.");
+            const breakDurationMs = allowedTimeMs;
+            sharedBreakEndTime = now + breakDurationMs;
+            updates[STORAGE_KEYS.BREAK_END_TIME] = sharedBreakEndTime;
+            updates[STORAGE_KEYS.IS_BLOCK_NOW_BREAK] = false;
+        }
+        const breaksStarted = exhaustedEntries.length + (sharedBreakEndTime ? 1 : 0);
+        for (let i = 0; i < breaksStarted; i++) {
+            await recordHistoryEvent(HISTORY_EVENTS.BREAK, now);
+        }
+        if (notificationSettings.breakNotifications) {
+            for (const budgetId of endedBreakBudgetIds) {
+                const budget = getBudgetInfo(budgetId, blockedEntries);
+                if (budget) {
+                    showBreakNotification(NOTIFICATION_KINDS.BREAK_END, budget);
+                }
+            }
+            for (const entry of exhaustedEntries) {
+                showBreakNotification(NOTIFICATION_KINDS.BREAK_START, getBudgetInfo(entry.id, blockedEntries), entryUsage[entry.id].breakEndTime);
+            }
+            if (sharedBreakEndTime) {
+                showBreakNotification(NOTIFICATION_KINDS.BREAK_START, getBudgetInfo(OVERALL_BUDGET_ID, blockedEntries), sharedBreakEndTime);
+            }
+        }
+
+        // 5. Work out what is tracked from now on, redirecting tabs that are on break.
+        // Entries outside their schedule or in a paused group neither count time nor enforce breaks.
+        const scheduledEntries = getScheduledEntries(getEnabledEntries(blockedEntries, entryGroups), schedules, now);
+        const nextTrackedEntryIds = new Set();
+        const countedBudgets = new Map(); // What is left of each budget being counted, keyed by budget id
+        for (const { tab, audibleOnly } of await getTrackedTabs()) {
+            let matchedEntries = findMatchingEntries(tab.url, scheduledEntries, allowlist);
+            if (audibleOnly) {
+                matchedEntries = matchedEntries.filter(entry => entry.countAudible);
+            }
+            if (matchedEntries.length === 0) {
+                continue;
+            }
+
+            // A running pomodoro work session blocks every matching entry
+            const runningBreakEnds = [
+                sharedBreakEndTime,
+                getPomodoroFocusEndTime(pomodoroState, now),
+                ...matchedEntries
+                    .filter(entry => isEntryOnBreak(entryUsage[entry.id], now))
+                    .map(entry => entryUsage[entry.id].breakEndTime)
+            ].filter(Boolean);
+            if (runningBreakEnds.length > 0) {
+                if (!isBreakRedirectUrl(tab.url, data)) {
+                    await redirectToBreak(tab.id, tab.url, Math.max(...runningBreakEnds), tab.incognito);
+                }
+                continue;
+            }
+            // Private windows are blocked during breaks either way, but only counted if chosen
+            if (tab.incognito && !countIncognitoTime) {
+                continue;
+            }
+
+            for (const entry of matchedEntries) {
+                nextTrackedEntryIds.add(entry.id);
+                const entryAllowedMs = entry.allowedTimeMinutes * 60 * 1000;
+                countedBudgets.set(entry.id, {
+                    ...getBudgetInfo(entry.id, blockedEntries),
+                    remainingMs: entryAllowedMs - (entryUsage[entry.id]?.timeSpent ?? 0)
+                });
+            }
+            if (overallCapEnabled) {
+                countedBudgets.set(OVERALL_BUDGET_ID, {
+                    ...getBudgetInfo(OVERALL_BUDGET_ID, blockedEntries),
+                    remainingMs: allowedTimeMs - updatedTimeSpent
+                });
+            }
+        }
+
+        // 6. Warn once per threshold when a budget is almost used up
+        const { warnings, firedWarnings: updatedFiredWarnings } = getBudgetWarnings(
+            [...countedBudgets.values()],
+            firedWarnings,
+            notificationSettings.warningMinutes
+        );
+        const borrowSettings = { ...DEFAULT_BORROW_SETTINGS, ...(data[STORAGE_KEYS.BORROW_SETTINGS] ?? {}) };
+        const borrowMinutes = borrowsUsed < borrowSettings.perDay ? borrowSettings.minutes : 0;
+        for (const { budget, minutes } of warnings) {
+            showBudgetWarning(budget, minutes, borrowMinutes);
+        }
+
+        // 7. Update time spent and what is being tracked
+        await setStoredValues({
+            ...updates,
+            [STORAGE_KEYS.TIME_SPENT]: updatedTimeSpent,
+            [STORAGE_KEYS.ENTRY_USAGE]: entryUsage,
+            [STORAGE_KEYS.LAST_CHECK_TIME]: now,
+            [STORAGE_KEYS.TRACKED_ENTRY_IDS]: [...nextTrackedEntryIds],
+            [STORAGE_KEYS.FIRED_WARNINGS]: updatedFiredWarnings
+        });
+
+    } catch (error) {
+        console.error("Error during tracking check:", error);
+        await setStoredValues({ [STORAGE_KEYS.LAST_CHECK_TIME]: now });
+    }
+}
+
+/**
+ * Runs a task that reads and writes the counters after the tracking checks
+ * and tasks already queued, so none of them writes back counters another one
+ * has since changed. A task that fails, e.g. on a storage error, doesn't
+ * stop the ones queued after it.
+ * @param {function(): Promise<*>} task - The task. It must not wait for the queue itself.
+ * @returns {Promise<*>} - What the task returns, or its error.
+ */
+function runOnTrackingQueue(task) {
+    const result = trackingQueue.then(task);
+    trackingQueue = result.catch(error => console.error("Error on the tracking queue:", error));
+    return result;
+}
+
+/**
+ * Runs a tracking check after any that is already running. Events often
+ * arrive in bursts (e.g. a window focus change plus a tab activation), and
+ * overlapping checks would credit the same interval twice.
+ * @param {object} [options] - Options for checkActiveTabAndManageTime.
+ * @returns {Promise<void>} - Settles once the check has run, even if it failed.
+ */
+function queueTrackingCheck(options) {
+    runOnTrackingQueue(() => checkActiveTabAndManageTime(options));
+    return trackingQueue;
+}
@@ -0,0 +1,290 @@
+// --- Import / Export ---
+// Loaded by the background service worker via importScripts. Block lists and
+// settings are exported as versioned JSON so they can be shared; the emergency
+// unlock passphrase and all runtime state stay behind.
+
+const EXPORT_FORMAT = 'focus-time-blocker';
+const EXPORT_VERSION = 1;
+const IMPORT_MODES = {
+    MERGE: 'merge', // Adds the file's lists to the current ones, keeps current settings
+    REPLACE: 'replace' // Replaces the lists and settings with the file's
+};
+// Plain settings taken from the file in replace mode
+const IMPORTED_SETTINGS_KEYS = [
+    'allowedTimeMinutes',
+    'overallCapEnabled',
+    'dailyResetTime',
+    'breakRedirectMode',
+    'customBreakUrl',
+    'breakMessage',
+    'pomodoroSettings',
+    'notificationSettings',
+    'borrowSettings',
+    'dynamicIcon',
+    'countIncognitoTime'
+];
+
+/**
+ * Builds the export of the block lists and settings.
+ * @param {object} settings - Current settings, keyed by storage key.
+ * @param {number} now - Current timestamp (ms).
+ * @returns {object} - The export, ready for JSON.stringify.
+ */
+function buildSettingsExport(settings, now) {
+    const exported = {};
+    for (const key of IMPORTED_SETTINGS_KEYS) {
+        exported[key] = settings[key];
+    }
+    exported.entryGroups = settings.entryGroups;
+    exported.blockedEntries = settings.blockedEntries.map(entry => ({
+        id: entry.id,
+        pattern: entry.pattern,
+        matchType: entry.matchType,
+        allowedTimeMinutes: entry.allowedTimeMinutes,
+        countAudible: Boolean(entry.countAudible),
+        groupId: entry.groupId ?? null,
+        note: entry.note ?? ''
+    }));
+    exported.allowlistEntries = settings.allowlistEntries.map(entry => ({
+        id: entry.id,
+        pattern: entry.pattern,
+        matchType: entry.matchType
+    }));
+    exported.schedules = settings.schedules;
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        settings: exported
+    };
+}
+
+/**
+ * Validates and normalizes one imported pattern entry.
+ * @param {*} item - The entry as found in the file.
+ * @returns {{ entry: object | null, error: string | null }}
+ */
+function parseImportedPattern(item) {
+    if (!item || typeof item !== 'object' || typeof item.pattern !== 'string') {
+        return { entry: null, error: 'Not an entry with a pattern.' };
+    }
+    if (!Object.values(MATCH_TYPES).includes(item.matchType)) {
+        return { entry: null, error: `Unknown match type "${item.matchType}".` };
+    }
+    const pattern = normalizePattern(item.pattern, item.matchType);
+    const patternError = validatePattern(pattern, item.matchType);
+    if (patternError) {
+        return { entry: null, error: patternError };
+    }
+    return { entry: { pattern, matchType: item.matchType }, error: null };
+}
+
+/**
+ * Validates one imported schedule and points it at the imported entries.
+ * @param {*} item - The schedule as found in the file.
+ * @param {Map<string, string>} entryIdMap - Entry ids in the file mapped to ids after import.
+ * @returns {{ schedule: object | null, error: string | null }}
+ */
+function parseImportedSchedule(item, entryIdMap) {
+    if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) {
+        return { schedule: null, error: 'Not a schedule with a name.' };
+    }
+    const days = Array.isArray(item.days) ? item.days : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { schedule: null, error: 'Days must be numbers from 0 (Sunday) to 6.' };
+    }
+    const ranges = Array.isArray(item.ranges) ? item.ranges : [];
+    const hasInvalidRange = ranges.some(range =>
+        typeof range?.start !== 'string' || typeof range?.end !== 'string'
+        || parseTimeOfDay(range.start) === null || parseTimeOfDay(range.end) === null
+        || range.start === range.end
+    );
+    if (ranges.length === 0 || hasInvalidRange) {
+        return { schedule: null, error: 'Focus hours must be "HH:MM" start and end times.' };
+    }
+    const entryIds = (Array.isArray(item.entryIds) ? item.entryIds : [])
+        .filter(id => entryIdMap.has(id))
+        .map(id => entryIdMap.get(id));
+    if (entryIds.length === 0) {
+        return { schedule: null, error: 'Applies to none of the imported entries.' };
+    }
+    return {
+        schedule: {
+            id: crypto.randomUUID(),
+            name: item.name.trim(),
+            days: [...new Set(days)],
+            ranges: ranges.map(range => ({ start: range.start, end: range.end })),
+            entryIds: [...new Set(entryIds)]
+        },
+        error: null
+    };
+}
+
+/**
+ * Turns an exported file into a settings update. Entries are de-duplicated
+ * on their normalized pattern and match type, like entries added from the
+ * popup, both within the file and (when merging) against the current lists.
+ * @param {*} data - The parsed JSON file.
+ * @param {string} mode - One of IMPORT_MODES.
+ * @param {object} current - Current settings, keyed by storage key.
+ * @returns {{ updates: object, report: { added: object, rejected: object[] } }}
+ */
+function parseSettingsImport(data, mode, current) {
+    if (!Object.values(IMPORT_MODES).includes(mode)) {
+        throw new Error(`Unknown import mode "${mode}".`);
+    }
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        throw new Error("This isn't a Focus Time Blocker export.");
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error("This export has no valid version.");
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error("This export comes from a newer version of the extension. Please update first.");
+    }
+    const imported = data.settings;
+    if (!imported || typeof imported !== 'object') {
+        throw new Error("This export has no settings.");
+    }
+
+    const isMerge = mode === IMPORT_MODES.MERGE;
+    const rejected = [];
+    const entryIdMap = new Map();
+    const groupIdMap = new Map();
+
+    // Categories, matched by preset or name to the current ones when merging
+    const entryGroups = isMerge ? [...current.entryGroups] : [];
+    let addedCategories = 0;
+    for (const item of Array.isArray(imported.entryGroups) ? imported.entryGroups : []) {
+        const error = validateEntryGroups([item]);
+        if (error) {
+            rejected.push({ kind: 'category', item: String(item?.name ?? ''), reason: error });
+            continue;
+        }
+        const name = item.name.trim();
+        const presetId = PRESET_CATEGORIES[item.presetId] ? item.presetId : null;
+        const existing = entryGroups.find(group => (presetId && group.presetId === presetId) || group.name === name);
+        if (existing) {
+            groupIdMap.set(item.id, existing.id);
+            continue;
+        }
+        const group = { id: crypto.randomUUID(), name, enabled: item.enabled };
+        if (presetId) {
+            group.presetId = presetId;
+        }
+        groupIdMap.set(item.id, group.id);
+        entryGroups.push(group);
+        addedCategories++;
+    }
+
+    // Blocked entries
+    const blockedEntries = isMerge ? [...current.blockedEntries] : [];
+    let addedEntries = 0;
+    for (const item of Array.isArray(imported.blockedEntries) ? imported.blockedEntries : []) {
+        const { entry, error } = parseImportedPattern(item);
+        const allowedTimeMinutes = item?.allowedTimeMinutes;
+        if (error || !Number.isInteger(allowedTimeMinutes) || allowedTimeMinutes < 1) {
+            rejected.push({ kind: 'entry', item: String(item?.pattern ?? ''), reason: error ?? 'Budget must be at least 1 minute.' });
+            continue;
+        }
+        const existing = blockedEntries.find(other => other.pattern === entry.pattern && other.matchType === entry.matchType);
+        if (existing) {
+            // Schedules in the file still apply to the entry that is kept
+            entryIdMap.set(item.id, existing.id);
+            rejected.push({ kind: 'entry', item: entry.pattern, reason: 'Already in the block list.' });
+            continue;
+        }
+        const newEntry = {
+            id: crypto.randomUUID(),
+            ...entry,
+            allowedTimeMinutes,
+            countAudible: Boolean(item.countAudible)
+        };
+        if (groupIdMap.has(item.groupId)) {
+            newEntry.groupId = groupIdMap.get(item.groupId);
+        }
+        if (typeof item.note === 'string' && item.note.trim()) {
+            newEntry.note = item.note.trim().slice(0, MAX_ENTRY_NOTE_LENGTH);
+        }
+        entryIdMap.set(item.id, newEntry.id);
+        blockedEntries.push(newEntry);
+        addedEntries++;
+    }
+
+    // Always allowed exceptions
+    const allowlistEntries = isMerge ? [...current.allowlistEntries] : [];
+    let addedExceptions = 0;
+    for (const item of Array.isArray(imported.allowlistEntries) ? imported.allowlistEntries : []) {
+        const { entry, error } = parseImportedPattern(item);
+        if (error) {
+            rejected.push({ kind: 'exception', item: String(item?.pattern ?? ''), reason: error });
+            continue;
+        }
+        if (allowlistEntries.some(other => other.pattern === entry.pattern && other.matchType === entry.matchType)) {
+            rejected.push({ kind: 'exception', item: entry.pattern, reason: 'Already always allowed.' });
+            continue;
+        }
+        allowlistEntries.push({ id: crypto.randomUUID(), ...entry });
+        addedExceptions++;
+    }
+
+    // Schedules
+    const schedules = isMerge ? [...current.schedules] : [];
+    let addedSchedules = 0;
+    for (const item of Array.isArray(imported.schedules) ? imported.schedules : []) {
+        const { schedule, error } = parseImportedSchedule(item, entryIdMap);
+        if (error) {
+            rejected.push({ kind: 'schedule', item: String(item?.name ?? ''), reason: error });
+            continue;
+        }
+        if (schedules.some(other => other.name === schedule.name)) {
+            rejected.push({ kind: 'schedule', item: schedule.name, reason: 'A schedule with this name already exists.' });
+            continue;
+        }
+        schedules.push(schedule);
+        addedSchedules++;
+    }
+
+    const updates = {};
+    if (addedCategories > 0 || !isMerge) {
+        updates.entryGroups = entryGroups;
+    }
+    if (addedEntries > 0 || !isMerge) {
+        updates.blockedEntries = blockedEntries;
+    }
+    if (addedExceptions > 0 || !isMerge) {
+        updates.allowlistEntries = allowlistEntries;
+    }
+    if (addedSchedules > 0 || !isMerge) {
+        updates.schedules = schedules;
+    }
+    if (!isMerge) {
+        for (const key of IMPORTED_SETTINGS_KEYS) {
+            const value = imported[key];
+            if (value === undefined) {
+                continue;
+            }
+            // Values are checked further by the usual settings validation
+            if (typeof value !== typeof current[key] || value === null || Array.isArray(value)) {
+                rejected.push({ kind: 'setting', item: key, reason: 'Has the wrong type.' });
+                continue;
+            }
+            // Grouped settings keep the current values of anything the file leaves out
+            updates[key] = typeof value === 'object' ? { ...current[key], ...value } : value;
+        }
+    }
+
+    return {
+        updates,
+        report: {
+            added: {
+                entries: addedEntries,
+                categories: addedCategories,
+                exceptions: addedExceptions,
+                schedules: addedSchedules
+            },
+            rejected
+        }
+    };
+}